@@ -1,19 +1,55 @@
 #!/usr/bin/env node
 
+const path = require('path');
 const { Command } = require('commander');
 const chalk = require('chalk');
+const oraModule = require('ora');
+const inquirer = require('inquirer');
 const SelfDiagnosisEngine = require('./modules/self-diagnosis');
 const EvolutionEngineV2 = require('./evolution-engine-v2');
 const LearningSystem = require('./modules/learning-system');
+const DetectionLearner = require('./modules/detection-learner');
 const PatternExtractor = require('./modules/pattern-extractor');
 const CommunityShare = require('./modules/community-share');
+const DataIntegrity = require('./modules/data-integrity');
+const paths = require('./modules/paths');
+
+// Data written by a newer Evolution Core must not be read (or overwritten) by this one
+function loadOrExit(create) {
+  try {
+    return create();
+  } catch (error) {
+    if (error.code !== 'ESCHEMAVERSION') throw error;
+    console.error(chalk.red(`\n❌ ${error.message}`));
+    process.exit(1);
+  }
+}
+
+// Remove "--data-dir <dir>" / "--data-dir=<dir>" from argv and return its value
+function takeDataDirOption(argv) {
+  for (let i = 2; i < argv.length; i++) {
+    if (argv[i] === '--data-dir' && argv[i + 1]) {
+      return argv.splice(i, 2)[1];
+    }
+    if (argv[i].startsWith('--data-dir=')) {
+      return argv.splice(i, 1)[0].slice('--data-dir='.length);
+    }
+  }
+  return null;
+}
+
+// --data-dir works with every command, so it has to apply before the stores load
+const dataDirOption = takeDataDirOption(process.argv);
+if (dataDirOption) {
+  paths.setDataDir(dataDirOption);
+}
 
 const program = new Command();
 const selfDiagnosis = new SelfDiagnosisEngine();
-const evolution = new EvolutionEngineV2();
-const learning = new LearningSystem();
-const patternExtractor = new PatternExtractor(learning);
-const community = new CommunityShare();
+const evolution = loadOrExit(() => new EvolutionEngineV2());
+const learning = loadOrExit(() => new LearningSystem({ onSuccess: record => evolution.learnFromWorkflow(record) }));
+const patternExtractor = loadOrExit(() => new PatternExtractor(learning));
+const community = loadOrExit(() => new CommunityShare());
 
 // Display welcome message
 console.log(chalk.bold.green('\n───────────────────────────────────────────────────'));
@@ -24,7 +60,59 @@ console.log(chalk.bold.green('────────────────
 program
   .name('evolution')
   .description('CLI for Autonomous Evolution Core v2')
-  .version('2.0.0');
+  .version('2.0.0')
+  .option('--data-dir <dir>', 'Data directory (default: nearest .evolution/ workspace, then $EVOLUTION_HOME/data)');
+
+program.command('init')
+  .description('Create a .evolution/ workspace so this project keeps its own learning and installs')
+  .action(() => {
+    const existing = paths.findWorkspace();
+    if (existing && path.dirname(existing) === process.cwd()) {
+      console.log(chalk.yellow(`\n⚠️  ${existing} already exists`));
+      return;
+    }
+
+    const workspace = paths.initWorkspace();
+    console.log(chalk.green(`\n✓ Created workspace ${workspace}`));
+    console.log(chalk.gray('  Commands run in this directory tree now use ' + path.join(workspace, 'data')));
+    if (existing) {
+      console.log(chalk.gray(`  It takes precedence over the enclosing workspace ${existing}`));
+    }
+  });
+
+program.command('where')
+  .description('Show where npm packages, git skills and ClawHub skills are installed')
+  .option('--set <installer=dir>', 'Configure a root (npm, git, clawhub or openclawHome)')
+  .option('--unset <installer>', 'Remove a configured root so the default applies again')
+  .action((options) => {
+    const roots = evolution.installRoots;
+
+    try {
+      if (options.set) {
+        const [installer, ...dir] = options.set.split('=');
+        if (dir.length === 0 || !dir.join('=')) {
+          throw new Error('Expected --set <installer>=<dir>, e.g. --set npm=/opt/openclaw');
+        }
+        console.log(chalk.green(`\n✓ ${roots.set(installer, dir.join('=')).message}`));
+      }
+      if (options.unset) {
+        const result = roots.unset(options.unset);
+        console.log(result.success ? chalk.green(`\n✓ ${result.message}`) : chalk.yellow(`\n⚠️  ${result.message}`));
+      }
+    } catch (error) {
+      console.log(chalk.red(`\n❌ ${error.message}`));
+      process.exit(1);
+    }
+
+    const openclaw = roots.openclawHome();
+    console.log(chalk.cyan('\n📍 Install locations:'));
+    console.log(`  ${'OpenClaw home'.padEnd(14)} ${openclaw ? `${openclaw.dir} ${chalk.gray(`(${openclaw.source})`)}` : chalk.gray('not found')}`);
+    roots.resolveAll().forEach(root => {
+      console.log(`  ${root.installer.padEnd(14)} ${root.dir} ${chalk.gray(`(${root.source})`)}`);
+    });
+    console.log(`  ${'data'.padEnd(14)} ${evolution.dataDir} ${chalk.gray(`(${paths.resolveDataDir().source})`)}`);
+    console.log(chalk.gray(`\n  Config: ${roots.configPath}`));
+  });
 
 program.command('enable')
   .description('Enable autonomous evolution features')
@@ -44,6 +132,11 @@ program.command('status')
   .action(async () => {
     console.log(chalk.bold('\n📊 Autonomous Evolution Status:'));
     console.log(chalk.gray('─'.repeat(50)));
+
+    const location = paths.resolveDataDir();
+    console.log(chalk.cyan('\n📁 Data:'));
+    console.log(`  Directory: ${evolution.dataDir} (${location.source})`);
+    if (location.workspace) console.log(`  Workspace: ${location.workspace}`);
     
     // Evolution Engine status
     const evoStatus = evolution.getStatus();
@@ -53,6 +146,10 @@ program.command('status')
     console.log(`  Pending: ${evoStatus.pendingCapabilities}`);
     console.log(`  Failed: ${evoStatus.failedInstallations}`);
     console.log(`  Progress: ${chalk.bold(evoStatus.evolutionProgress + '%')}`);
+    evoStatus.bundles.forEach(bundle => {
+      const state = bundle.complete ? chalk.green('complete') : chalk.yellow(`${bundle.installed}/${bundle.total}`);
+      console.log(`  Bundle ${bundle.name}: ${state}`);
+    });
 
     // Learning System status
     const learnReport = learning.generateReport();
@@ -115,10 +212,29 @@ program.command('autofix <tool>')
     }
   });
 
-program.command('detect <query>')
-  .description('Detect missing capabilities from a user query')
-  .action((query) => {
-    const missing = evolution.detectCapabilities(query);
+program.command('detect [query]')
+  .description('Detect missing capabilities from a user query or a runtime error')
+  .option('-e, --error <text>', 'Detect from an error message such as "Cannot find module \'puppeteer\'"')
+  .option('--threshold <confidence>', 'Minimum confidence between 0 and 1', String(evolution.detectionThreshold))
+  .option('--explain', 'Show the terms and patterns behind each score')
+  .action((query, options) => {
+    if (options.error === undefined && !query) {
+      console.log(chalk.red('\n❌ Give a query or --error "<text>"'));
+      process.exit(1);
+    }
+
+    const threshold = Number(options.threshold);
+    if (String(options.threshold).trim() === '' || !Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+      console.log(chalk.red(`\n❌ --threshold must be a number between 0 and 1 (got "${options.threshold}")`));
+      process.exit(1);
+    }
+
+    if (options.error !== undefined) {
+      detectFromError(options.error, options);
+      return;
+    }
+
+    const missing = evolution.detectCapabilities(query, { threshold });
     if (missing.length === 0) {
       console.log(chalk.green('\n✓ All required capabilities are installed'));
     } else {
@@ -127,38 +243,733 @@ program.command('detect <query>')
         console.log(`\n  ${chalk.bold(i + 1)}. ${item.capability.name}`);
         console.log(`     Category: ${item.category}`);
         console.log(`     ID: ${item.capability.id}`);
-        console.log(`     Matched: ${item.matchedPattern}`);
+        console.log(`     Confidence: ${chalk.bold(Math.round(item.confidence * 100) + '%')}`);
+        if (item.matchedPattern) console.log(`     Matched: ${item.matchedPattern}`);
+        if (options.explain) printExplanation(item.explanation);
         console.log(`     Install: ${chalk.blue(item.capability.implementation.installCommand)}`);
       });
     }
+
+    if (options.explain) {
+      const ranked = evolution.rankCapabilities(query, { all: true });
+      ranked.filter(result => result.negated).forEach(result => {
+        const negation = result.explanation.find(entry => entry.source === 'negation');
+        console.log(chalk.gray(`\n  Ruled out ${result.capability.id}: the query excludes "${negation.term}"`));
+      });
+      ranked.filter(result => !result.negated && !missing.some(item => item.capability.id === result.capability.id)).forEach(result => {
+        const suppressed = result.explanation.filter(entry => ['feedback', 'muted'].includes(entry.source));
+        if (suppressed.length === 0) return;
+        const reasons = suppressed.map(entry => (entry.source === 'muted' ? `muted /${entry.term}/` : entry.term));
+        console.log(chalk.gray(`\n  Held back ${result.capability.id} (${Math.round(result.confidence * 100)}%): ${reasons.join(', ')}`));
+      });
+    }
   });
 
-program.command('install <capability-id>')
-  .description('Auto-install a capability')
-  .action(async (capabilityId) => {
-    // Find capability
-    let capability;
-    Object.values(evolution.registry.categories || {}).forEach(category => {
-      (category.capabilities || []).forEach(cap => {
-        if (cap.id === capabilityId) capability = cap;
+program.command('evolve <query>')
+  .description('Detect missing capabilities and install them as the install policy allows')
+  .option('-y, --yes', 'Approve installs the policy would ask about')
+  .option('-n, --dry-run', 'Only show what the policy decides')
+  .option('-t, --timeout <seconds>', 'Abort each install after this long')
+  .action(async (query, options) => {
+    const labels = { install: chalk.green('auto-install'), ask: chalk.yellow('ask'), suggest: chalk.gray('suggest only') };
+    const confirm = async (item, decision) => {
+      if (options.yes) return true;
+      if (!process.stdin.isTTY || options.dryRun) return null;
+      const answer = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'install',
+        message: `Install ${item.capability.name} (${item.capability.id})? ${chalk.gray(decision.reason)}`,
+        default: false
+      }]);
+      return answer.install;
+    };
+
+    if (!options.dryRun) showInstallProgress();
+    const outcome = await evolution.detectAndEvolve(query, { ...installRunOptions(options), dryRun: options.dryRun, confirm });
+    if (outcome.results.length === 0) {
+      console.log(chalk.green('\n✓ All required capabilities are installed'));
+      return;
+    }
+
+    console.log(chalk.cyan(`\n🧭 ${outcome.results.length} missing capability(ies):`));
+    outcome.results.forEach(({ capability, decision, approved, declined, result }) => {
+      console.log(`\n  ${chalk.bold(capability.id)}: ${labels[decision.action]} ${chalk.gray(`[${decision.rule}] ${decision.reason}`)}`);
+      if (declined) {
+        console.log(chalk.gray('     Declined; it will rank lower for similar queries'));
+      } else if (result) {
+        console.log(result.success ? chalk.green(`     ✓ ${result.message}`) : chalk.red(`     ✗ ${result.message}`));
+      } else if (!approved || options.dryRun) {
+        console.log(chalk.gray(`     Install with: evolution install ${capability.id}`));
+      }
+    });
+    if (outcome.results.some(entry => entry.result && !entry.result.success)) process.exit(1);
+  });
+
+program.command('reject <capability-id>')
+  .description('Decline a suggested capability so it ranks lower for similar queries')
+  .requiredOption('--for <query>', 'The query it was suggested for')
+  .action((capabilityId, options) => {
+    const result = evolution.rejectSuggestion(capabilityId, options.for);
+    printResult(result);
+    result.muted.forEach(entry => {
+      console.log(chalk.yellow(`  🔇 Muted /${entry.pattern}/ for ${entry.capability} after ${entry.rejections} rejections`) +
+        chalk.gray(` (undo: evolution suppressions lift ${entry.id})`));
+    });
+  });
+
+const suppressionsCommand = program.command('suppressions')
+  .description('Show or undo what rejected suggestions suppress');
+
+suppressionsCommand.command('list', { isDefault: true })
+  .description('List muted patterns and rejections by capability')
+  .action(() => {
+    const { rejections, muted } = evolution.feedback.list();
+    if (rejections.length === 0 && muted.length === 0) {
+      console.log(chalk.green('\n✓ No suggestions have been rejected'));
+      return;
+    }
+
+    if (muted.length > 0) {
+      console.log(chalk.cyan(`\n🔇 ${muted.length} muted pattern(s):`));
+      muted.forEach(entry => {
+        console.log(`  ${chalk.bold(String(entry.id).padEnd(4))} ${entry.capability.padEnd(24)} /${entry.pattern}/` +
+          chalk.gray(` ${entry.rejections} rejections, since ${entry.since}`));
       });
+    }
+
+    const byCapability = {};
+    rejections.forEach(entry => (byCapability[entry.capability] = byCapability[entry.capability] || []).push(entry.query));
+    console.log(chalk.cyan(`\n👎 Rejections (${rejections.length}):`));
+    Object.entries(byCapability).forEach(([capability, queries]) => {
+      console.log(`  ${capability.padEnd(24)} ${queries.length}x ${chalk.gray([...new Set(queries)].slice(-3).map(query => `"${query}"`).join(', '))}`);
+    });
+    console.log(chalk.gray('\nUnmute with: evolution suppressions lift <id>; clear a capability with: evolution suppressions forget <capability-id>'));
+  });
+
+suppressionsCommand.command('lift <id>')
+  .description('Unmute a muted pattern')
+  .action((id) => printResult(evolution.feedback.lift(id)));
+
+suppressionsCommand.command('forget <capability-id>')
+  .description('Drop every rejection and muted pattern of a capability')
+  .action((capabilityId) => printResult(evolution.feedback.forget(capabilityId)));
+
+const policyCommand = program.command('policy')
+  .description('Show or change the policy evolve uses to install capabilities');
+
+policyCommand.command('show', { isDefault: true })
+  .description('Print the install policy')
+  .action(() => {
+    const policy = evolution.policy.load();
+    const show = entries => entries.length > 0 ? entries.join(', ') : chalk.gray('-');
+    console.log(chalk.cyan(`\n🛡  Install policy (${evolution.policy.policyPath}):`));
+    ['allow', 'deny'].forEach(listName => {
+      Object.entries(policy[listName]).forEach(([kind, entries]) => {
+        console.log(`  ${`${listName}.${kind}`.padEnd(22)} ${show(entries)}`);
+      });
+    });
+    console.log(`  ${'minPriority'.padEnd(22)} ${policy.minPriority}`);
+    console.log(`  ${'maxInstallsPerDay'.padEnd(22)} ${policy.maxInstallsPerDay === null ? 'none' : policy.maxInstallsPerDay}` +
+      chalk.gray(` (${evolution.policy.installsToday()} used today)`));
+    console.log(`  ${'requireConfirmation'.padEnd(22)} ${policy.requireConfirmation}`);
+  });
+
+policyCommand.command('set <key> <value>')
+  .description('Set minPriority, maxInstallsPerDay or requireConfirmation')
+  .action((key, value) => printResult(evolution.policy.set(key, value)));
+
+['allow', 'deny'].forEach(listName => {
+  policyCommand.command(`${listName} <kind> <value>`)
+    .description(`Add a capability, category or type to the ${listName} list`)
+    .option('--remove', `Take it off the ${listName} list instead`)
+    .action((kind, value, options) => printResult(evolution.policy.list(listName, kind, value, { remove: options.remove })));
+});
+
+policyCommand.command('log')
+  .description('Show recent policy decisions and the rule behind each')
+  .option('-n, --limit <count>', 'How many decisions to show', '20')
+  .action((options) => {
+    const decisions = evolution.policy.decisions(parseInt(options.limit, 10));
+    if (decisions.length === 0) {
+      console.log(chalk.green('\n✓ No policy decisions logged yet'));
+      return;
+    }
+    console.log(chalk.cyan(`\n📜 Last ${decisions.length} policy decision(s):`));
+    decisions.forEach(decision => {
+      const outcome = decision.installed ? chalk.green('installed') : decision.approved ? chalk.red('install failed') : chalk.gray('not installed');
+      console.log(`  ${chalk.gray(decision.at)} ${decision.capability.padEnd(24)} ${decision.action.padEnd(8)} ${outcome}`);
+      console.log(chalk.gray(`     [${decision.rule}] ${decision.reason} - "${decision.query}"`));
     });
+  });
+
+const patternsCommand = program.command('patterns')
+  .description('Detect patterns learned from successful workflows');
+
+patternsCommand.command('list', { isDefault: true })
+  .description('List learned patterns with their precision')
+  .option('-s, --status <status>', `Only one status (${DetectionLearner.STATUSES.join(', ')})`)
+  .option('-c, --capability <id>', 'Only patterns for one capability')
+  .action((options) => {
+    const entries = evolution.detectionLearner.list({ status: options.status, capability: options.capability });
+    if (entries.length === 0) {
+      console.log(chalk.gray('\nNo learned patterns yet. Record workflows with learn-success --caps <ids>.'));
+      return;
+    }
+    console.log(chalk.cyan(`\n🧠 ${entries.length} learned pattern(s):`));
+    entries.forEach(printLearnedPattern);
+  });
+
+patternsCommand.command('review [pattern-id]')
+  .description('Accept or reject candidate patterns (interactive without an id)')
+  .option('--accept', 'Accept the pattern so detection uses it')
+  .option('--reject', 'Reject the pattern so it is not proposed again')
+  .action(async (patternId, options) => {
+    if (patternId) {
+      if (!!options.accept === !!options.reject) {
+        console.log(chalk.red('\n❌ Give exactly one of --accept or --reject'));
+        process.exit(1);
+      }
+      printResult(evolution.detectionLearner.review(patternId, options.accept ? 'accept' : 'reject'));
+      return;
+    }
+
+    const candidates = evolution.detectionLearner.list({ status: 'candidate' });
+    if (candidates.length === 0) {
+      console.log(chalk.green('\n✓ No candidate patterns to review'));
+      return;
+    }
+    if (!process.stdin.isTTY) {
+      console.log(chalk.cyan(`\n🧠 ${candidates.length} candidate pattern(s):`));
+      candidates.forEach(printLearnedPattern);
+      console.log(chalk.gray('\nReview one with: evolution patterns review <pattern-id> --accept|--reject'));
+      return;
+    }
+
+    for (const entry of candidates) {
+      printLearnedPattern(entry);
+      const answer = await inquirer.prompt([{
+        type: 'list',
+        name: 'decision',
+        message: `Use "${entry.phrase}" to detect ${entry.capability}?`,
+        choices: [
+          { name: 'Accept', value: 'accept' },
+          { name: 'Reject', value: 'reject' },
+          { name: 'Skip', value: 'skip' },
+          { name: 'Stop reviewing', value: 'stop' }
+        ]
+      }]);
+      if (answer.decision === 'stop') break;
+      if (answer.decision === 'skip') continue;
+      const result = evolution.detectionLearner.review(entry.id, answer.decision);
+      console.log(result.success ? chalk.green(`  ✓ ${result.message}`) : chalk.red(`  ❌ ${result.message}`));
+    }
+  });
+
+program.command('install [capability-id]')
+  .description('Auto-install a capability')
+  .option('--dry-run', 'Print the install plan without installing anything')
+  .option('--frozen', 'Reproduce exactly the capabilities recorded in evolution.lock')
+  .option('-t, --timeout <seconds>', 'Abort the install (and everything it spawned) after this long')
+  .option('--stage', 'Stage and inspect npm and git installs with --ignore-scripts first (the default)')
+  .option('--no-stage', 'Install directly, running lifecycle scripts unreviewed')
+  .option('--allow-scripts', 'Let a staged install with npm lifecycle scripts through')
+  .option('--allow-unstaged', 'Install a high-risk capability that cannot be staged (ClawHub skills)')
+  .option('--allow-conflicts', 'Install even if it conflicts with installed capabilities (only warn)')
+  .option('-b, --bundle <name>', 'Install every capability of a bundle (see evolution bundles)')
+  .action(async (capabilityId, options) => {
+    const runOptions = installRunOptions(options);
+    if (options.bundle) {
+      await installBundle(options.bundle, options, runOptions);
+      return;
+    }
+
+    if (options.frozen) {
+      showInstallProgress();
+      const frozen = await evolution.installFrozen(runOptions);
+      if (frozen.success) {
+        console.log(chalk.green(`\n✓ ${frozen.message}`));
+        if (frozen.installed.length > 0) console.log(`  Installed: ${frozen.installed.join(', ')}`);
+        if (frozen.skipped.length > 0) console.log(chalk.gray(`  Already matching: ${frozen.skipped.join(', ')}`));
+      } else {
+        console.log(chalk.red(`\n❌ ${frozen.message}`));
+        (frozen.rolledBack || []).forEach(step => console.log(chalk.yellow(`   ↩ Rolled back ${step}`)));
+        process.exit(1);
+      }
+      return;
+    }
+
+    if (!capabilityId) {
+      console.log(chalk.red('\n❌ Specify a capability id, or use --bundle or --frozen'));
+      process.exit(1);
+    }
+
+    printFeedResults(await evolution.refreshRegistry(), { quiet: true });
+    const capability = evolution.findCapability(capabilityId);
 
     if (!capability) {
       console.log(chalk.red(`\n❌ Capability not found: ${capabilityId}`));
       process.exit(1);
     }
 
-    const result = await evolution.installCapability(capability);
-    if (result.success) {
+    if (!options.dryRun) showInstallProgress();
+    const result = await evolution.installCapability(capability, {
+      ...runOptions,
+      dryRun: options.dryRun,
+      stage: options.stage,
+      allowScripts: options.allowScripts,
+      allowUnstaged: options.allowUnstaged,
+      allowConflicts: options.allowConflicts
+    });
+    if (result.dryRun) {
+      printInstallPlan(result.plan);
+      printRisk(result.risk);
+      if (result.providedBy.length > 0) {
+        console.log(chalk.yellow(`  Already provided by: ${result.providedBy.join(', ')}`));
+      }
+      if (result.replacedBy) console.log(chalk.yellow(`  Replaced by: ${result.replacedBy}`));
+      printConflicts(result.conflicts, options.allowConflicts);
+      if (!result.plan.ok || (result.conflicts.length > 0 && !options.allowConflicts)) process.exit(1);
+    } else if (result.success) {
       console.log(chalk.green(`\n✓ ${result.message}`));
       console.log(chalk.blue('\n💡 Try using the capability now!'));
+    } else {
+      console.log(chalk.red(`\n❌ ${result.message}`));
+      if (result.conflicts) console.log(chalk.gray('   Use --allow-conflicts to install anyway'));
+      (result.rolledBack || []).forEach(step => console.log(chalk.yellow(`   ↩ Rolled back ${step}`)));
+      process.exit(1);
+    }
+  });
+
+program.command('uninstall [capability-id]')
+  .description('Uninstall a capability and reverse its installer')
+  .option('-f, --force', 'Uninstall even if other installed capabilities depend on it')
+  .option('-b, --bundle <name>', 'Uninstall what a bundle installed')
+  .action(async (capabilityId, options) => {
+    if (!capabilityId && !options.bundle) {
+      console.log(chalk.red('\n❌ Specify a capability id, or use --bundle'));
+      process.exit(1);
+    }
+
+    showInstallProgress();
+    const result = options.bundle
+      ? await evolution.uninstallBundle(options.bundle, { force: options.force })
+      : await evolution.uninstallCapability(capabilityId, { force: options.force });
+    if (result.success) {
+      console.log(chalk.green(`\n✓ ${result.message}`));
+      (result.kept || []).forEach(({ id, reason }) => console.log(chalk.gray(`  Kept ${id}: ${reason}`)));
     } else {
       console.log(chalk.red(`\n❌ ${result.message}`));
       process.exit(1);
     }
   });
 
+program.command('bundles')
+  .description('List capability bundles and how much of each is installed')
+  .option('--all', 'Include the default bundle of every category')
+  .action((options) => {
+    const bundles = evolution.listBundles().filter(bundle => options.all || bundle.source === 'registry' || bundle.installedAsBundle);
+    if (bundles.length === 0) {
+      console.log(chalk.gray('\nNo bundles defined (use --all for the category bundles)'));
+      return;
+    }
+
+    console.log(chalk.cyan(`\n📦 ${bundles.length} bundle(s):`));
+    bundles.forEach(bundle => {
+      const progress = `${bundle.installed.length}/${bundle.capabilities.length} installed`;
+      const source = bundle.source === 'category' ? chalk.gray(' (category)') : '';
+      console.log(`\n  ${chalk.bold(bundle.name)}${source} ${bundle.complete ? chalk.green(progress) : chalk.yellow(progress)}`);
+      if (bundle.description) console.log(chalk.gray(`     ${bundle.description}`));
+      bundle.capabilities.forEach(id => {
+        const mark = bundle.installed.includes(id) ? chalk.green('✓') : bundle.unknown.includes(id) ? chalk.red('✗ unknown') : chalk.gray('·');
+        console.log(`     ${mark} ${id}`);
+      });
+    });
+    console.log(chalk.gray('\nInstall one with: evolution install --bundle <name>'));
+  });
+
+program.command('retry-failed')
+  .description('Retry failed installs whose backoff has elapsed')
+  .option('-l, --list', 'Only list the failed-install queue')
+  .option('-f, --force', 'Retry now, ignoring backoff and give-up limits')
+  .option('--transient', 'Only retry network, lock and timeout failures')
+  .option('--clear', 'Empty the failed-install queue')
+  .option('-t, --timeout <seconds>', 'Abort each install after this long')
+  .action(async (options) => {
+    const queue = evolution.installQueue;
+
+    if (options.clear) {
+      queue.clear();
+      console.log(chalk.green('\n✓ Failed-install queue cleared'));
+      return;
+    }
+
+    if (options.list) {
+      const entries = queue.list();
+      if (entries.length === 0) {
+        console.log(chalk.green('\n✓ No failed installs queued'));
+        return;
+      }
+      console.log(chalk.cyan(`\n🔁 ${entries.length} failed install(s):`));
+      entries.forEach(entry => {
+        const state = entry.status === 'given-up' ? chalk.red('given up') : `next attempt ${entry.nextAttemptAt}`;
+        console.log(`\n  ${chalk.bold(entry.id)} [${entry.errorClass}${entry.transient ? ', transient' : ''}]`);
+        console.log(`     Attempts: ${entry.attempts}, ${state}`);
+        console.log(chalk.gray(`     Last error: ${entry.lastError}`));
+        if (entry.logPath) console.log(chalk.gray(`     Log: ${entry.logPath}`));
+      });
+      return;
+    }
+
+    const due = queue.due({ force: options.force, transientOnly: options.transient });
+    if (due.length === 0) {
+      const pending = queue.list().filter(entry => entry.status === 'pending');
+      console.log(chalk.green('\n✓ Nothing due for retry'));
+      if (pending.length > 0) {
+        console.log(chalk.gray(`  ${pending.length} waiting on backoff, next at ${pending[0].nextAttemptAt} (use --force to retry now)`));
+      }
+      return;
+    }
+
+    showInstallProgress();
+    const results = await evolution.retryFailed({
+      ...installRunOptions(options),
+      force: options.force,
+      transientOnly: options.transient
+    });
+
+    results.forEach(result => {
+      if (result.success) {
+        console.log(chalk.green(`\n✓ ${result.capability}: ${result.message}`));
+      } else {
+        console.log(chalk.red(`\n❌ ${result.capability}: ${result.message}`));
+        if (result.errorClass) {
+          const next = result.nextAttemptAt ? `next attempt ${result.nextAttemptAt}` : 'giving up';
+          console.log(chalk.gray(`   ${result.errorClass}, attempt ${result.attempts}, ${next}`));
+        }
+      }
+    });
+    if (results.some(result => !result.success)) process.exit(1);
+  });
+
+program.command('outdated')
+  .description('List installed capabilities that are behind the registry')
+  .action(() => {
+    const outdated = evolution.checkOutdated();
+    if (outdated.length === 0) {
+      console.log(chalk.green('\n✓ All installed capabilities are up to date'));
+      return;
+    }
+
+    console.log(chalk.yellow(`\n⬆ ${outdated.length} outdated capability(ies):`));
+    outdated.forEach(item => {
+      console.log(`\n  ${chalk.bold(item.id)} (${item.installer})`);
+      console.log(`     Installed: ${item.installed || 'unknown'}`);
+      console.log(`     Wanted: ${item.wanted || 'unknown'}`);
+      item.reasons.forEach(r => console.log(chalk.gray(`     • ${r}`)));
+    });
+  });
+
+program.command('verify [capability-id]')
+  .description('Re-run post-install verification probes for installed capabilities')
+  .action(async (capabilityId) => {
+    const results = await evolution.verifyInstalled(capabilityId ? [capabilityId] : null);
+    if (results.length === 0) {
+      console.log(chalk.gray('\nNo installed capabilities to verify'));
+      return;
+    }
+
+    results.forEach(result => {
+      const icon = result.passed ? chalk.green('✓') : chalk.red('✗');
+      console.log(`\n  ${icon} ${chalk.bold(result.capability)}`);
+      if (result.checks.length === 0 && result.passed) {
+        console.log(chalk.gray('     no verify probes declared'));
+      }
+      result.checks.forEach(check => {
+        const color = check.passed ? chalk.gray : chalk.red;
+        console.log(color(`     ${check.passed ? '•' : '✗'} ${check.type} ${check.target}: ${check.message}`));
+      });
+      if (result.checks.length === 0 && !result.passed) {
+        console.log(chalk.red(`     ${result.message}`));
+      }
+    });
+
+    const failures = results.filter(result => !result.passed).length;
+    if (failures > 0) {
+      console.log(chalk.red(`\n❌ ${failures} of ${results.length} capability(ies) failed verification`));
+      process.exit(1);
+    }
+    console.log(chalk.green(`\n✓ ${results.length} capability(ies) verified`));
+  });
+
+program.command('upgrade [capability-id]')
+  .description('Upgrade one or all outdated capabilities in place')
+  .option('-t, --timeout <seconds>', 'Abort each upgrade after this long')
+  .action(async (capabilityId, options) => {
+    const ids = capabilityId ? [capabilityId] : evolution.checkOutdated().map(item => item.id);
+    if (ids.length === 0) {
+      console.log(chalk.green('\n✓ Nothing to upgrade'));
+      return;
+    }
+
+    showInstallProgress();
+    const runOptions = installRunOptions(options);
+    let failures = 0;
+    for (const id of ids) {
+      const result = await evolution.upgradeCapability(id, runOptions);
+      if (result.success) {
+        console.log(chalk.green(`\n✓ ${result.message}`));
+      } else {
+        console.log(chalk.red(`\n❌ ${result.message}`));
+        failures++;
+      }
+    }
+    if (failures > 0) process.exit(1);
+  });
+
+program.command('risk [capability-id]')
+  .description('Show the install risk level of one or every capability')
+  .action((capabilityId) => {
+    const capabilities = [];
+    if (capabilityId) {
+      const capability = evolution.findCapability(capabilityId);
+      if (!capability) {
+        console.log(chalk.red(`\n❌ Capability not found: ${capabilityId}`));
+        process.exit(1);
+      }
+      capabilities.push(capability);
+    } else {
+      Object.values(evolution.registry.categories || {}).forEach(category => capabilities.push(...(category.capabilities || [])));
+    }
+
+    console.log(chalk.cyan('\n⚖️  Install risk (staged: installed with --ignore-scripts and inspected first; install scripts found there add 3):'));
+    capabilities.forEach(capability => {
+      const risk = evolution.assessRisk(capability);
+      const factors = risk.factors.map(factor => `${factor.detail} +${factor.points}`).join(', ');
+      console.log(`  ${capability.id.padEnd(26)} ${RISK_COLORS[risk.level](risk.level.padEnd(6))} ${chalk.gray(`${risk.score} (${factors})`)}` +
+        (risk.staged ? chalk.yellow(' staged') : '') +
+        (risk.unstageable ? chalk.red(' cannot be staged: needs --allow-unstaged') : ''));
+    });
+  });
+
+program.command('resolve')
+  .description('Show which installer each registry capability resolves to')
+  .action(() => {
+    const { resolved, unresolved } = evolution.resolveRegistry();
+    console.log(chalk.cyan(`\n🧩 ${resolved.length} capability(ies) resolved:`));
+    resolved.forEach(r => {
+      const target = r.package || r.repo || r.modulePath;
+      console.log(`  ${chalk.green('✓')} ${r.capabilityId} → ${chalk.bold(r.installer)} ${chalk.gray(target)}`);
+    });
+
+    if (unresolved.length > 0) {
+      console.log(chalk.red(`\n❌ ${unresolved.length} capability(ies) cannot be resolved:`));
+      unresolved.forEach(u => {
+        console.log(`  ${chalk.red('✗')} ${u.id} (${u.category}): ${u.reason}`);
+      });
+      process.exit(1);
+    }
+  });
+
+const registryCommand = program.command('registry')
+  .description('Inspect and validate the capability registry');
+
+registryCommand.command('validate [file]')
+  .description('Validate a registry file against the schema (default: all merged layers)')
+  .action((file) => {
+    const result = evolution.validateRegistry(file ? path.resolve(file) : undefined);
+    const errors = result.issues.filter(i => i.severity === 'error');
+    const warnings = result.issues.filter(i => i.severity !== 'error');
+
+    errors.forEach(issue => console.log(chalk.red(`  ✗ ${evolution.validator.formatIssue(issue)}`)));
+    warnings.forEach(issue => console.log(chalk.yellow(`  ⚠ ${evolution.validator.formatIssue(issue)}`)));
+
+    if (result.valid) {
+      console.log(chalk.green(`\n✓ Registry is valid${warnings.length ? ` (${warnings.length} warning(s))` : ''}`));
+    } else {
+      console.log(chalk.red(`\n❌ Registry has ${errors.length} error(s)`));
+      process.exit(1);
+    }
+  });
+
+registryCommand.command('sources')
+  .description('Show registry layers and where each effective entry came from')
+  .option('-a, --all', 'List every capability, not only overridden ones')
+  .action((options) => {
+    const sources = evolution.getRegistrySources();
+
+    console.log(chalk.cyan('\n📚 Registry layers (later layers win):'));
+    sources.layers.forEach((layer, i) => {
+      const state = layer.loaded
+        ? chalk.green(`${layer.capabilities} entr${layer.capabilities === 1 ? 'y' : 'ies'}`)
+        : chalk.gray('not found');
+      console.log(`  ${i + 1}. ${chalk.bold(layer.layer.padEnd(8))} ${layer.source} ${state}`);
+    });
+
+    const entries = Object.entries(sources.capabilities)
+      .filter(([, entry]) => options.all || entry.definedIn !== sources.layers[0].source || entry.overriddenBy.length > 0);
+
+    console.log(chalk.cyan(`\n🧩 ${options.all ? 'Capabilities' : 'Capabilities from overlays'}:`));
+    if (entries.length === 0) {
+      console.log(chalk.gray('  Every capability comes from the bundled registry'));
+    }
+    entries.forEach(([id, entry]) => {
+      const skipped = evolution.findCapability(id) ? '' : chalk.red(' (invalid, skipped)');
+      console.log(`  ${chalk.bold(id)} [${entry.category}]${skipped}`);
+      console.log(chalk.gray(`     defined in ${entry.definedIn}`));
+      entry.overriddenBy.forEach(source => console.log(chalk.gray(`     overridden by ${source}`)));
+    });
+
+    if (sources.disabled.length > 0) {
+      console.log(chalk.cyan('\n🚫 Disabled:'));
+      sources.disabled.forEach(entry => {
+        console.log(`  ${entry.type} ${chalk.bold(entry.id)} ${chalk.gray(`by ${entry.source}`)}`);
+      });
+    }
+  });
+
+registryCommand.command('feeds')
+  .description('List remote registry feeds and their cache state')
+  .action(() => {
+    const feeds = evolution.feeds.status();
+    if (feeds.length === 0) {
+      console.log(chalk.gray('\nNo registry feeds configured (add one with: evolution registry add-feed <url>)'));
+      return;
+    }
+
+    console.log(chalk.cyan(`\n🌐 ${feeds.length} registry feed(s):`));
+    feeds.forEach(feed => {
+      console.log(`  ${chalk.bold(feed.url)}`);
+      console.log(chalk.gray(feed.cached
+        ? `     cached ${feed.fetchedAt}, last checked ${feed.checkedAt}${feed.etag ? `, ETag ${feed.etag}` : ''}`
+        : '     not fetched yet'));
+    });
+  });
+
+registryCommand.command('add-feed <url>')
+  .description('Add a remote registry feed and fetch it')
+  .action(async (url) => {
+    const result = evolution.feeds.add(url);
+    if (!result.success) {
+      console.log(chalk.red(`\n❌ ${result.message}`));
+      process.exit(1);
+    }
+    console.log(chalk.green(`\n✓ ${result.message}`));
+    printFeedResults([await evolution.feeds.refreshFeed(url, { force: true })]);
+  });
+
+registryCommand.command('remove-feed <url>')
+  .description('Remove a remote registry feed and its cached copy')
+  .action((url) => {
+    const result = evolution.feeds.remove(url);
+    console.log(result.success ? chalk.green(`\n✓ ${result.message}`) : chalk.red(`\n❌ ${result.message}`));
+    if (!result.success) process.exit(1);
+  });
+
+registryCommand.command('update')
+  .description('Refresh remote registry feeds (conditional requests, offline fallback)')
+  .option('-f, --force', 'Check every feed even if recently checked')
+  .action(async (options) => {
+    const results = await evolution.refreshRegistry({ force: options.force });
+    if (results.length === 0) {
+      console.log(chalk.gray('\nNo registry feeds configured'));
+      return;
+    }
+    printFeedResults(results);
+  });
+
+registryCommand.command('serve [dir]')
+  .description('Serve a directory of registry files over HTTP (ETag / Last-Modified)')
+  .option('-p, --port <port>', 'Port to listen on', '4873')
+  .option('--host <host>', 'Interface to bind', '127.0.0.1')
+  .action(async (dir, options) => {
+    const RegistryServer = require('./modules/registry-server');
+    const server = new RegistryServer({ dir, port: parseInt(options.port, 10), host: options.host });
+    const { url } = await server.start();
+    console.log(chalk.green(`\n🌐 Serving ${server.dir} at ${url}`));
+    console.log(chalk.gray(`   Feed URL example: ${url}/registry.json`));
+    console.log(chalk.gray('   Press Ctrl+C to stop'));
+    process.on('SIGINT', () => server.stop().then(() => process.exit(0)));
+  });
+
+const dataCommand = program.command('data')
+  .description('Check and repair the JSON stores in data/');
+
+dataCommand.command('check')
+  .description('Verify every data file and its backups')
+  .action(() => {
+    const integrity = new DataIntegrity({ storage: evolution.storage });
+    const results = integrity.check();
+    const labels = {
+      ok: chalk.green('ok'),
+      unchecked: chalk.gray('ok (no checksum yet)'),
+      newer: chalk.yellow('written by a newer version'),
+      corrupt: chalk.red('corrupt')
+    };
+
+    console.log(chalk.cyan(`\n🩺 ${results.length} data file(s) in ${integrity.dataDir}:`));
+    results.forEach(result => {
+      const good = result.backups.filter(backup => backup.status !== 'corrupt').length;
+      const version = result.schemaVersion ? ` v${result.schemaVersion}` : '';
+      console.log(`  ${result.file.padEnd(32)} ${labels[result.status]}` +
+        chalk.gray(`${version}, ${good}/${result.backups.length} good backup(s)`));
+      if (result.reason) console.log(chalk.red(`     ${result.reason}`));
+    });
+
+    const corrupt = results.filter(result => result.status === 'corrupt');
+    if (corrupt.length > 0) {
+      console.log(chalk.red(`\n❌ ${corrupt.length} corrupt file(s); run "evolution data repair" to salvage them`));
+      process.exit(1);
+    }
+    console.log(chalk.green('\n✓ All data files are readable'));
+  });
+
+dataCommand.command('repair [files...]')
+  .description('Salvage valid records from corrupt data files and restore the rest from backups')
+  .action((files) => {
+    const integrity = new DataIntegrity({ storage: evolution.storage });
+    const results = integrity.repair(files);
+
+    if (results.length === 0) {
+      console.log(chalk.green('\n✓ No corrupt data files'));
+      return;
+    }
+
+    results.forEach(result => {
+      if (result.success) {
+        console.log(chalk.green(`\n✓ ${result.message}`));
+        console.log(chalk.gray(`   Corrupt original kept at ${result.corruptPath}`));
+      } else {
+        console.log(chalk.red(`\n❌ ${result.message}`));
+      }
+    });
+    if (results.some(result => !result.success)) process.exit(1);
+  });
+
+program.command('migrate')
+  .description('Migrate data/ files to the current (or another) data schema version')
+  .option('--to <version>', 'Target schema version (lower versions run down steps)')
+  .option('-n, --dry-run', 'Show what would change without writing')
+  .action((options) => {
+    const integrity = new DataIntegrity({ storage: evolution.storage });
+    const target = options.to !== undefined ? parseInt(options.to, 10) : evolution.storage.schemaVersion;
+
+    let results;
+    try {
+      results = integrity.migrate({ to: target, dryRun: options.dryRun });
+    } catch (error) {
+      console.log(chalk.red(`\n❌ ${error.message}`));
+      process.exit(1);
+    }
+
+    console.log(chalk.cyan(`\n🗂  Data schema v${target}${options.dryRun ? ' (dry run)' : ''}:`));
+    results.forEach(result => {
+      const color = !result.success ? chalk.red : result.changed ? chalk.green : chalk.gray;
+      console.log(color(`  ${result.success ? '✓' : '✗'} ${result.message}`));
+      (result.steps || []).forEach(step => console.log(chalk.gray(`      ${step}`)));
+    });
+    if (results.some(result => !result.success)) process.exit(1);
+  });
+
 program.command('suggest <context>')
   .description('Get capability suggestions based on context')
   .action((context) => {
@@ -184,10 +995,12 @@ program.command('learn-success')
   .option('-t, --tools <list>', 'Tools used (comma-separated)')
   .option('-s, --steps <json>', 'Steps as JSON array')
   .option('-d, --duration <ms>', 'Duration in milliseconds')
+  .option('--caps <list>', 'Registry capabilities used (comma-separated)')
   .action((options) => {
     const workflow = {
       context: options.context ? JSON.parse(options.context) : {},
       toolsUsed: options.tools ? options.tools.split(',') : [],
+      capabilities: options.caps ? options.caps.split(',') : [],
       steps: options.steps ? JSON.parse(options.steps) : [],
       duration: parseInt(options.duration) || null,
       outcome: 'success'
@@ -386,6 +1199,208 @@ program.command('search-community <query>')
     }
   });
 
+async function installBundle(name, options, runOptions) {
+  printFeedResults(await evolution.refreshRegistry(), { quiet: true });
+  if (!options.dryRun) showInstallProgress();
+
+  const result = await evolution.installBundle(name, {
+    ...runOptions,
+    dryRun: options.dryRun,
+    stage: options.stage,
+    allowScripts: options.allowScripts,
+    allowUnstaged: options.allowUnstaged,
+    allowConflicts: options.allowConflicts
+  });
+  if (result.dryRun) {
+    printInstallPlan(result.plan, `bundle ${name}`);
+    console.log(chalk.cyan('\n⚠️  Risk:'));
+    Object.entries(result.risks).forEach(([id, risk]) => {
+      console.log(`  ${id.padEnd(24)} ${RISK_COLORS[risk.level](risk.level)}` + describeStaging(risk));
+    });
+    if (result.skipped.length > 0) console.log(chalk.gray(`\n  Already installed: ${result.skipped.join(', ')}`));
+    printConflicts(result.conflicts, options.allowConflicts);
+    if (!result.plan.ok || (result.conflicts.length > 0 && !options.allowConflicts)) process.exit(1);
+  } else if (result.success) {
+    console.log(chalk.green(`\n✓ ${result.message}`));
+    if (result.skipped.length > 0) console.log(chalk.gray(`  Already installed: ${result.skipped.join(', ')}`));
+  } else {
+    console.log(chalk.red(`\n❌ ${result.message}`));
+    if (result.conflicts) console.log(chalk.gray('   Use --allow-conflicts to install anyway'));
+    (result.rolledBack || []).forEach(step => console.log(chalk.yellow(`   ↩ Rolled back ${step}`)));
+    process.exit(1);
+  }
+}
+
+function printInstallPlan(plan, title = plan.capability) {
+  console.log(chalk.cyan(`\n📋 Install plan for ${chalk.bold(title)}:`));
+  plan.steps.forEach((step, i) => {
+    const mark = step.satisfied ? chalk.green('✓') : chalk.yellow('→');
+    const note = step.requiredBy && step.requiredBy !== step.name ? chalk.gray(` (for ${step.requiredBy})`) : '';
+    console.log(`  ${i + 1}. ${mark} ${step.action} ${chalk.bold(step.name)}${note}`);
+  });
+
+  plan.cycles.forEach(cycle => {
+    console.log(chalk.red(`  ✗ Dependency cycle: ${cycle.join(' → ')}`));
+  });
+  plan.missing.forEach(m => {
+    console.log(chalk.red(`  ✗ Missing ${m.type}: ${m.name} (required by ${m.requiredBy})`));
+  });
+  plan.invalid.forEach(entry => {
+    console.log(chalk.red(`  ✗ Invalid dependency entry ${JSON.stringify(entry.dependency)} (in ${entry.requiredBy})`));
+  });
+}
+
+function printConflicts(conflicts, allowed) {
+  if (conflicts.length === 0) return;
+  console.log(chalk.red(`\n⚠️  Conflicts${allowed ? ' (allowed)' : ' - the install will be refused without --allow-conflicts'}:`));
+  conflicts.forEach(conflict => {
+    console.log(`  ${conflict.capability} ✗ ${conflict.with}` +
+      chalk.gray(` ("${conflict.term}", declared by ${conflict.declaredBy})`));
+  });
+}
+
+/**
+ * Timeout from --timeout and an AbortSignal that fires on Ctrl+C
+ */
+function installRunOptions(options) {
+  const controller = new AbortController();
+  process.removeAllListeners('SIGINT');
+  process.once('SIGINT', () => {
+    console.log(chalk.yellow('\n⏹  Cancelling (press Ctrl+C again to force quit)...'));
+    controller.abort();
+  });
+
+  const runOptions = { signal: controller.signal };
+  if (options.timeout) {
+    runOptions.timeout = parseFloat(options.timeout) * 1000;
+  }
+  return runOptions;
+}
+
+/**
+ * Render engine progress events as a spinner; child output goes to the install log
+ */
+function showInstallProgress() {
+  const ora = oraModule.default || oraModule;
+  const spinner = ora();
+
+  evolution.on('started', ({ capability, action }) => {
+    spinner.start(`${action} ${capability}`);
+  });
+  evolution.on('output', ({ capability, action, stream, data }) => {
+    if (stream === 'engine') {
+      // Engine messages stay on screen above the spinner
+      const wasSpinning = spinner.isSpinning;
+      spinner.clear();
+      console.log(data);
+      if (wasSpinning) spinner.render();
+      return;
+    }
+    const line = data.split('\n').map(text => text.trim()).filter(Boolean).pop();
+    if (line && spinner.isSpinning) {
+      spinner.text = `${action} ${capability}: ${chalk.gray(line.slice(0, 70))}`;
+    }
+  });
+  evolution.on('finished', ({ capability, action }) => {
+    spinner.succeed(`${action} ${capability}`);
+  });
+  evolution.on('failed', ({ capability, action, message, logPath }) => {
+    spinner.fail(`${action} ${capability}: ${message}`);
+    console.log(chalk.gray(`   Log: ${logPath}`));
+  });
+}
+
+function printFeedResults(results, options = {}) {
+  const icons = { updated: '✓', 'not-modified': '✓', fresh: '✓', offline: '⚠', unavailable: '✗' };
+  results.forEach(result => {
+    if (options.quiet && !['offline', 'unavailable'].includes(result.status)) return;
+
+    const color = result.status === 'unavailable' ? chalk.red
+      : result.status === 'offline' ? chalk.yellow
+        : chalk.green;
+    let detail = result.status;
+    if (result.status === 'offline') detail = `offline (${result.error}), using cache from ${result.fetchedAt}`;
+    if (result.status === 'unavailable') detail = `unavailable (${result.error}), no cached copy`;
+    console.log(color(`  ${icons[result.status]} ${result.url}: ${detail}`));
+  });
+}
+
+/**
+ * List what an error says is missing and the capabilities that would fix it
+ */
+function detectFromError(text, options) {
+  const signatures = evolution.errorDetector.signatures(text);
+  if (signatures.length === 0) {
+    console.log(chalk.gray('\nNo missing module or command found in the error'));
+    return;
+  }
+
+  console.log(chalk.yellow('\n🔍 The error reports:'));
+  signatures.forEach(signature => {
+    console.log(`  • missing ${signature.kind} ${chalk.bold(signature.name)} ${chalk.gray(`(${signature.text})`)}`);
+  });
+
+  const missing = evolution.detectFromError(text);
+  if (missing.length === 0) {
+    console.log(chalk.gray('\nNo uninstalled registry capability provides or depends on them'));
+    return;
+  }
+
+  console.log(chalk.yellow(`\n💡 ${missing.length} capability(ies) would fix it:`));
+  missing.forEach((item, i) => {
+    const names = item.signatures.map(signature => signature.name).join(', ');
+    const why = item.reason === 'provides' ? `installs ${names}` : `depends on ${names}`;
+    console.log(`\n  ${chalk.bold(i + 1)}. ${item.capability.name} ${chalk.gray(`(${why})`)}`);
+    console.log(`     Category: ${item.category}`);
+    console.log(`     ID: ${item.capability.id}`);
+    console.log(`     Confidence: ${chalk.bold(Math.round(item.confidence * 100) + '%')}`);
+    if (options.explain) printExplanation(item.explanation);
+    console.log(`     Install: ${chalk.blue(item.capability.implementation.installCommand)}`);
+  });
+}
+
+/**
+ * Per-term contributions to a detection score
+ */
+function printExplanation(explanation) {
+  explanation.forEach(entry => {
+    const label = ['pattern', 'learned'].includes(entry.source) ? `${entry.source} /${entry.term}/` : `${entry.source} "${entry.term}"`;
+    const color = entry.contribution < 0 ? chalk.red : chalk.gray;
+    console.log(color(`       ${entry.contribution > 0 ? '+' : ''}${entry.contribution} ${label}`));
+  });
+}
+
+const PATTERN_STATUS_COLORS = { candidate: chalk.yellow, accepted: chalk.green, rejected: chalk.gray };
+
+function printLearnedPattern(entry) {
+  console.log(`\n  ${chalk.bold(entry.id)} ${PATTERN_STATUS_COLORS[entry.status](entry.status)}`);
+  console.log(`     Capability: ${entry.capability}`);
+  console.log(`     Pattern: /${entry.pattern}/`);
+  console.log(`     Precision: ${Math.round(entry.precision * 100)}% (${entry.support} of ${entry.matches} matching goals used it)`);
+  entry.examples.forEach(example => console.log(chalk.gray(`     "${example}"`)));
+}
+
+const RISK_COLORS = { low: chalk.green, medium: chalk.yellow, high: chalk.red };
+
+function printRisk(risk) {
+  if (!risk) return;
+  const factors = risk.factors.map(factor => factor.detail).join(', ');
+  console.log(`  Risk: ${RISK_COLORS[risk.level](risk.level)} ${chalk.gray(`(${factors})`)}` + describeStaging(risk));
+}
+
+function describeStaging(risk) {
+  if (risk.unstageable) return chalk.red(' - cannot be staged, refused without --allow-unstaged');
+  return risk.staged ? chalk.gray(' - will be staged with --ignore-scripts first') : '';
+}
+
+function printResult(result) {
+  if (!result.success) {
+    console.log(chalk.red(`\n❌ ${result.message}`));
+    process.exit(1);
+  }
+  console.log(chalk.green(`\n✓ ${result.message}`));
+}
+
 // Help command
 if (!process.argv.slice(2).length) {
   program.outputHelp();
@@ -11,204 +11,1808 @@
  */
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const { spawn } = require('child_process');
+const EventEmitter = require('events');
+const { spawn, execFileSync } = require('child_process');
+const ImplementationResolver = require('./modules/implementation-resolver');
+const DependencyPlanner = require('./modules/dependency-planner');
+const { satisfies, compareVersions } = require('./modules/version-utils');
+const CapabilityLock = require('./modules/capability-lock');
+const RegistryValidator = require('./modules/registry-validator');
+const RegistryLoader = require('./modules/registry-loader');
+const RegistryFeed = require('./modules/registry-feed');
+const CapabilityVerifier = require('./modules/capability-verifier');
+const InstallLog = require('./modules/install-log');
+const InstallQueue = require('./modules/install-queue');
+const InstallRoots = require('./modules/install-roots');
+const InstallPolicy = require('./modules/install-policy');
+const RiskClassifier = require('./modules/risk-classifier');
+const CapabilityRanker = require('./modules/capability-ranker');
+const ErrorDetector = require('./modules/error-detector');
+const DetectionLearner = require('./modules/detection-learner');
+const SuggestionFeedback = require('./modules/suggestion-feedback');
+const BundleCatalog = require('./modules/bundle-catalog');
+const CapabilityRelations = require('./modules/capability-relations');
+const Storage = require('./modules/storage');
+const paths = require('./modules/paths');
 
-class EvolutionEngineV2 {
-  constructor() {
+const DEFAULT_INSTALL_TIMEOUT = 10 * 60 * 1000;
+const DEFAULT_SUGGESTION_THRESHOLD = 0.3;
+const KILL_GRACE_PERIOD = 5000;
+const STAGEABLE_INSTALLERS = ['npm', 'git'];
+
+/**
+ * Emits progress for every install, uninstall and upgrade:
+ * - started  { capability, action, logPath }
+ * - output   { capability, action, stream: 'stdout' | 'stderr' | 'engine', data }
+ * - finished { capability, action, logPath, result }
+ * - failed   { capability, action, logPath, message }
+ */
+class EvolutionEngineV2 extends EventEmitter {
+  constructor(options = {}) {
+    super();
     this.registryPath = path.join(__dirname, 'capabilities', 'registry.json');
+    this.dataDir = options.dataDir || paths.dataDir();
     this.installedCapabilities = [];
+    this.installRecords = {};
+    // What installed-capabilities.json held when last read or written, for merging
+    this.persistedInstalls = { installed: {}, records: {} };
     this.learnedPatterns = [];
+    this.storage = options.storage || new Storage();
+    this.installRoots = new InstallRoots({
+      dataDir: this.dataDir,
+      storage: this.storage,
+      overrides: options.installRoots
+    });
+    this.resolver = new ImplementationResolver({ baseDir: __dirname });
+    this.validator = new RegistryValidator({ resolver: this.resolver });
+    this.registryIssues = [];
+    this.feeds = new RegistryFeed({
+      dataDir: this.dataDir,
+      validator: this.validator,
+      storage: this.storage
+    });
+    this.registryLoader = new RegistryLoader({
+      bundledPath: this.registryPath,
+      userDir: options.userRegistryDir,
+      projectPath: options.projectRegistryPath,
+      validator: this.validator,
+      feedSources: () => this.feeds.sources()
+    });
+    this.registrySources = [];
+    this.registryProvenance = { capabilities: {}, categories: {}, disabled: [] };
+    this.planner = new DependencyPlanner({
+      findCapability: id => this.findCapability(id),
+      npmRoot: this._npmRoot(),
+      npmRootFor: packageName => this._npmRoot(packageName)
+    });
+    this.lock = new CapabilityLock({
+      lockPath: path.join(this.dataDir, 'evolution.lock'),
+      npmRoot: this._npmRoot(),
+      npmRootFor: packageName => this._npmRoot(packageName),
+      baseDir: __dirname,
+      storage: this.storage
+    });
+    this.lockFrozen = false;
+    this.installLogDir = path.join(this.dataDir, 'install-logs');
+    this.installTimeout = options.installTimeout || DEFAULT_INSTALL_TIMEOUT;
+    this.installQueue = new InstallQueue({
+      queuePath: path.join(this.dataDir, 'install-queue.json'),
+      storage: this.storage
+    });
+    this.policy = new InstallPolicy({ dataDir: this.dataDir, storage: this.storage });
+    this.riskClassifier = new RiskClassifier();
+    this.ranker = new CapabilityRanker();
+    this.rankedRegistry = null;
+    this.rankedOverlay = null;
+    this.detectionLearner = new DetectionLearner({ dataDir: this.dataDir, storage: this.storage });
+    this.feedback = new SuggestionFeedback({ dataDir: this.dataDir, storage: this.storage });
+    this.bundleCatalog = new BundleCatalog();
+    this.relations = new CapabilityRelations();
+    this.errorDetector = new ErrorDetector();
+    this.detectionThreshold = options.detectionThreshold !== undefined ? options.detectionThreshold : CapabilityRanker.DEFAULT_THRESHOLD;
+    this.suggestionThreshold = options.suggestionThreshold !== undefined ? options.suggestionThreshold : DEFAULT_SUGGESTION_THRESHOLD;
+    this.currentInstall = null;
+    this.verifier = new CapabilityVerifier({
+      npmRoot: this._npmRoot(),
+      npmRootFor: packageName => this._npmRoot(packageName),
+      baseDir: __dirname,
+      findBinary: name => this.planner.findBinary(name)
+    });
     
     this.loadRegistry();
     this.loadInstalledCapabilities();
   }
 
-  loadRegistry() {
+  loadRegistry() {
+    try {
+      const result = this.registryLoader.load();
+      this.registryIssues = result.issues;
+      this.registrySources = result.layers;
+      this.registryProvenance = result.provenance;
+      this.registry = result.registry;
+      this._dropInvalidCapabilities(result.issues);
+
+      const overlays = result.layers.filter(layer => layer.layer !== 'bundled' && layer.loaded).length;
+      console.log(`✓ Loaded capability registry with ${this._countCapabilities()} capabilities` +
+        (overlays > 0 ? ` (${overlays} overlay(s))` : ''));
+    } catch (error) {
+      console.error('Failed to load capability registry:', error.message);
+      this.registry = { categories: {}, installedCapabilities: [] };
+    }
+  }
+
+  /**
+   * Skip capabilities with validation errors so detection never hits a bad entry
+   */
+  _dropInvalidCapabilities(issues) {
+    const errors = issues.filter(issue => issue.severity === 'error');
+    if (errors.length === 0) return;
+
+    console.warn(`⚠️  Registry has ${errors.length} validation error(s):`);
+    errors.forEach(issue => console.warn(`   ${this.validator.formatIssue(issue)}`));
+
+    const invalid = new Set(errors
+      .filter(issue => issue.category !== undefined)
+      .map(issue => `${issue.category}:${issue.index}`));
+
+    Object.entries(this.registry.categories || {}).forEach(([categoryName, category]) => {
+      if (!category || !Array.isArray(category.capabilities)) return;
+      category.capabilities = category.capabilities.filter((capability, index) => {
+        if (!invalid.has(`${categoryName}:${index}`)) return true;
+        console.warn(`   Skipping capability ${capability && capability.id ? capability.id : `${categoryName}[${index}]`}`);
+        return false;
+      });
+    });
+  }
+
+  /**
+   * Validate a registry file, or every layer of the merged registry when none is given
+   */
+  validateRegistry(filePath) {
+    if (filePath) {
+      return this.validator.validateFile(filePath);
+    }
+
+    const { registry, issues } = this.registryLoader.load();
+    return { registry, issues, valid: !issues.some(issue => issue.severity === 'error') };
+  }
+
+  /**
+   * Refresh remote registry feeds, then reload the merged registry.
+   * Unreachable feeds fall back to their cached copy.
+   */
+  async refreshRegistry(options = {}) {
+    const results = await this.feeds.refresh(options);
+    if (results.some(result => result.status === 'updated')) {
+      this.loadRegistry();
+    }
+    return results;
+  }
+
+  /**
+   * Describe the registry layers and where each effective entry came from
+   */
+  getRegistrySources() {
+    return {
+      layers: this.registrySources,
+      ...this.registryProvenance
+    };
+  }
+
+  loadInstalledCapabilities() {
+    const dataPath = path.join(this.dataDir, 'installed-capabilities.json');
+    try {
+      const saved = this.storage.readJson(dataPath, {});
+      this.installedCapabilities = saved.installed || [];
+      this.installRecords = saved.records || {};
+      this._rememberPersistedInstalls();
+    } catch (error) {
+      if (error.code === 'ESCHEMAVERSION') throw error;
+      if (error.code === 'ECORRUPT') {
+        console.log(`⚠️  ${error.message}`);
+      } else {
+        console.log('No installed capabilities found yet');
+      }
+    }
+  }
+
+  /**
+   * Write installs back, merging with whatever other processes recorded since we read the file
+   */
+  saveInstalledCapabilities() {
+    const dataPath = path.join(this.dataDir, 'installed-capabilities.json');
+
+    this.storage.withLock(dataPath, () => {
+      const onDisk = this.storage.readJson(dataPath, {});
+      const installed = this.storage.merge(
+        this.persistedInstalls.installed,
+        this._keyed(this.installedCapabilities),
+        this._keyed(onDisk.installed || [])
+      );
+      this.installRecords = this.storage.merge(
+        this.persistedInstalls.records,
+        this.installRecords,
+        onDisk.records || {}
+      );
+      this.installedCapabilities = Object.keys(installed);
+
+      this.storage.writeJson(dataPath, {
+        installed: this.installedCapabilities,
+        records: this.installRecords,
+        lastUpdated: new Date().toISOString()
+      });
+      this._rememberPersistedInstalls();
+
+      // A frozen install reproduces the lock, it never rewrites it
+      if (!this.lockFrozen) {
+        this.lock.write(this.lock.build(this.installRecords));
+      }
+    });
+  }
+
+  _rememberPersistedInstalls() {
+    this.persistedInstalls = JSON.parse(JSON.stringify({
+      installed: this._keyed(this.installedCapabilities),
+      records: this.installRecords
+    }));
+  }
+
+  _keyed(ids) {
+    const keyed = {};
+    ids.forEach(id => { keyed[id] = true; });
+    return keyed;
+  }
+
+  _countCapabilities() {
+    let count = 0;
+    Object.values(this.registry.categories || {}).forEach(category => {
+      count += (category.capabilities || []).length;
+    });
+    return count;
+  }
+
+  /**
+   * Detect missing capabilities from a user query, most relevant first.
+   * Matches below options.threshold (default detectionThreshold) are left out.
+   */
+  detectCapabilities(query, options = {}) {
+    const threshold = options.threshold !== undefined ? options.threshold : this.detectionThreshold;
+    return this.rankCapabilities(query, { threshold }).map(result => ({
+      capability: result.capability,
+      category: result.category,
+      matchedPattern: result.matchedPatterns[0] || null,
+      matchedPatterns: result.matchedPatterns,
+      confidence: result.confidence,
+      score: result.score,
+      explanation: result.explanation
+    }));
+  }
+
+  /**
+   * Detect missing capabilities from a runtime error (an Error, its text,
+   * or a LearningSystem failure record), most likely fix first. See
+   * error-detector.js for the signatures it recognizes.
+   */
+  detectFromError(error) {
+    const entries = [];
+    Object.entries(this.registry.categories || {}).forEach(([categoryName, category]) => {
+      (category.capabilities || []).forEach(capability => {
+        let resolution = {};
+        try {
+          resolution = this.resolver.resolve(capability);
+        } catch (resolveError) {
+          // Still matchable through its dependencies
+        }
+        entries.push({ capability, category: categoryName, installer: resolution.installer, package: resolution.package });
+      });
+    });
+
+    return this.errorDetector.detect(error, entries)
+      .filter(result => !this._isCovered(result.capability));
+  }
+
+  /**
+   * Rank capabilities against a query (see capability-ranker.js), leaving
+   * out installed ones and those an installed capability already provides
+   */
+  rankCapabilities(query, options = {}) {
+    this._indexRanker();
+    return this.ranker.rank(query, options)
+      .filter(result => !this._isCovered(result.capability));
+  }
+
+  /**
+   * Remember that the user declined a capability proposed for query: it
+   * ranks lower for similar queries, and a detect pattern that keeps
+   * causing rejections is muted (see suggestion-feedback.js)
+   */
+  rejectSuggestion(capabilityId, query) {
+    const capability = this.findCapability(capabilityId);
+    if (!capability) {
+      return { success: false, message: `Capability not found: ${capabilityId}` };
+    }
+
+    this._indexRanker();
+    const ranked = this.ranker.rank(query, { all: true }).find(result => result.capability.id === capabilityId);
+    const { muted } = this.feedback.reject(capabilityId, query, ranked ? ranked.matchedPatterns : []);
+    return {
+      success: true,
+      message: `Recorded rejection of ${capabilityId} for "${query}"`,
+      muted
+    };
+  }
+
+  /**
+   * Mine a successful workflow (a LearningSystem record) for detect
+   * patterns: registry capabilities it used whose static patterns missed
+   * context.goal get candidate phrases (see detection-learner.js)
+   */
+  learnFromWorkflow(workflow) {
+    const goal = workflow.context && workflow.context.goal;
+    if (typeof goal !== 'string' || goal.trim() === '') {
+      return { candidates: [], updated: 0 };
+    }
+
+    const used = [...new Set(workflow.capabilitiesUsed || workflow.capabilities || [])]
+      .filter(id => this.findCapability(id));
+    const covered = used.filter(id => (this.findCapability(id).detectPatterns || []).some(pattern => {
+      try {
+        return new RegExp(pattern, 'i').test(goal);
+      } catch (error) {
+        return false;
+      }
+    }));
+    return this.detectionLearner.observe(goal, used, { covered });
+  }
+
+  /**
+   * Detect missing capabilities and act on each as the install policy allows:
+   * install it, install it once options.confirm(item, decision) resolves true,
+   * or only suggest it. Every decision is logged with the rule that fired
+   * (options.dryRun decides without installing or logging). When confirm
+   * resolves exactly false the user declined, and that is remembered as a
+   * rejection (see rejectSuggestion); resolve null when nobody was asked.
+   */
+  async detectAndEvolve(query, options = {}) {
+    const results = [];
+
+    for (const item of this.detectCapabilities(query)) {
+      const { capability, category } = item;
+      const type = this._implementationType(capability);
+      const decision = this.policy.decide(capability, { category, type });
+      let approved = decision.action === 'install';
+      let declined = false;
+
+      if (decision.action === 'ask' && typeof options.confirm === 'function') {
+        const answer = await options.confirm(item, decision);
+        approved = !!answer;
+        declined = answer === false && !options.dryRun;
+      }
+      if (declined) {
+        this.rejectSuggestion(capability.id, query);
+      }
+
+      let result = null;
+      if (approved && !options.dryRun) {
+        result = await this.installCapability(capability, options);
+      }
+
+      if (!options.dryRun) {
+        this.policy.record({
+          query,
+          capability: capability.id,
+          category,
+          type,
+          action: decision.action,
+          rule: decision.rule,
+          reason: decision.reason,
+          approved,
+          installed: !!(result && result.success),
+          message: result ? result.message : null
+        });
+      }
+      results.push({ ...item, decision, approved, declined, result });
+    }
+
+    return {
+      query,
+      results,
+      installed: results.filter(entry => entry.result && entry.result.success).map(entry => entry.capability.id)
+    };
+  }
+
+  /**
+   * Find a capability by id across all categories
+   */
+  findCapability(capabilityId) {
+    let found = null;
+    Object.values(this.registry.categories || {}).forEach(category => {
+      (category.capabilities || []).forEach(capability => {
+        if (capability.id === capabilityId) found = capability;
+      });
+    });
+    return found;
+  }
+
+  /**
+   * Conflicts between capabilities about to be installed and the installed
+   * ones, or among themselves: [{ capability, with, term, declaredBy }]
+   * (see capability-relations.js)
+   */
+  findConflicts(capabilities) {
+    const ids = capabilities.map(capability => capability.id);
+    const installed = this.installedCapabilities
+      .filter(id => !ids.includes(id))
+      .map(id => this.findCapability(id))
+      .filter(Boolean);
+
+    const found = [];
+    capabilities.forEach(capability => {
+      this.relations.conflicts(capability, installed, this.registry).forEach(conflict => {
+        found.push({ capability: capability.id, with: conflict.capability, term: conflict.term, declaredBy: conflict.declaredBy });
+      });
+    });
+    return found.concat(this.relations.conflictsAmong(capabilities, this.registry));
+  }
+
+  /**
+   * Risk level of installing a capability, before anything is staged, whether
+   * the install would be staged (options.stage as for installCapability) and
+   * whether it is blocked for being high risk without a way to stage it
+   */
+  assessRisk(capability, options = {}) {
+    const installer = this._implementationType(capability);
+    const risk = this.riskClassifier.classify(capability, { installer });
+    return { ...risk, staged: this._shouldStage(installer, options.stage), unstageable: this._cannotStage(installer, risk) };
+  }
+
+  /**
+   * Resolve every registry entry to an installer, reporting the ones that cannot be
+   */
+  resolveRegistry() {
+    return this.resolver.resolveAll(this.registry);
+  }
+
+  /**
+   * Build an ordered install plan from the capability's dependencies
+   */
+  planInstall(capability) {
+    return this.planner.plan(capability, {
+      installed: this.installedCapabilities,
+      ownPackage: cap => {
+        try {
+          return this.resolver.resolve(cap).package || null;
+        } catch (error) {
+          return null;
+        }
+      }
+    });
+  }
+
+  /**
+   * Auto-install a capability
+   * Runs the dependency plan and rolls back completed steps if any step fails.
+   * options.signal (AbortSignal) cancels it; options.timeout (ms) overrides installTimeout.
+   * npm and git installs are staged with --ignore-scripts and inspected first
+   * unless options.stage is false; options.allowScripts lets a staged install
+   * that has lifecycle scripts through, and options.allowUnstaged a high-risk
+   * ClawHub install, which cannot be staged.
+   * Conflicts with installed capabilities (see findConflicts) refuse the
+   * install unless options.allowConflicts, which only warns about them.
+   */
+  async installCapability(capability, options = {}) {
+    const { dryRun = false, force = false } = options;
+
+    if (this.installedCapabilities.includes(capability.id) && !force) {
+      return {
+        success: false,
+        message: `Capability ${capability.id} is already installed`
+      };
+    }
+
+    let resolution;
+    try {
+      resolution = this.resolver.resolve(capability);
+    } catch (error) {
+      return {
+        success: false,
+        capability: capability.id,
+        message: error.message
+      };
+    }
+
+    const plan = this.planInstall(capability);
+    const conflicts = this.findConflicts(this._plannedCapabilities(plan, [capability]));
+    
+    if (dryRun) {
+      return {
+        success: true,
+        dryRun: true,
+        capability: capability.id,
+        installCommand: resolution.installCommand,
+        implementation: resolution.installer,
+        risk: this.assessRisk(capability, options),
+        conflicts,
+        providedBy: this._providersOf(capability),
+        replacedBy: capability.replacedBy || null,
+        plan
+      };
+    }
+
+    if (conflicts.length > 0 && !options.allowConflicts) {
+      return {
+        success: false,
+        capability: capability.id,
+        conflicts,
+        message: `Refusing to install ${capability.id}: ${this._describeConflicts(conflicts)}`
+      };
+    }
+
+    return this._runLogged(capability.id, 'install', () => this._executeInstall(capability, resolution, plan, options), options);
+  }
+
+  /**
+   * Run an install plan step by step, undoing completed steps on failure
+   */
+  async _executeInstall(capability, resolution, plan, options = {}) {
+    this._report(`\n🔧 Installing capability: ${capability.name} (${capability.id})`);
+    this._report(`   Installer: ${resolution.installer}`);
+    this._report(`   Command: ${resolution.installCommand}`);
+    this._reportRelations([capability], plan);
+
+    // Undo actions for every completed step, run in reverse on failure
+    const completed = [];
+    const installedPackages = [];
+
+    try {
+      if (plan.cycles.length > 0) {
+        throw new Error(`Dependency cycle: ${plan.cycles.map(c => c.join(' → ')).join('; ')}`);
+      }
+      if (plan.invalid.length > 0) {
+        const invalid = plan.invalid.map(entry => `${JSON.stringify(entry.dependency)} (in ${entry.requiredBy})`);
+        throw new Error(`Invalid dependency entries: ${invalid.join(', ')}`);
+      }
+      if (!plan.ok) {
+        const missing = plan.missing.map(m => `${m.name} (${m.type}, required by ${m.requiredBy})`);
+        throw new Error(`Missing dependencies: ${missing.join(', ')}`);
+      }
+
+      for (const step of plan.steps) {
+        if (step.satisfied) continue;
+        this._throwIfAborted();
+
+        if (step.action === 'install-npm') {
+          this._report(`   Dependency: ${step.name}`);
+          await this._installNpmDependency(step, options);
+          installedPackages.push(step.name);
+          completed.push({
+            description: `npm package ${step.name}`,
+            undo: () => this._uninstallNpmPackage(step.name)
+          });
+        } else if (step.action === 'install-capability') {
+          const target = step.name === capability.id ? capability : this.findCapability(step.name);
+          const isTarget = step.name === capability.id;
+          await this._installSingle(target, {
+            dependencies: isTarget ? installedPackages : [],
+            stage: isTarget ? options.stage : undefined,
+            allowScripts: options.allowScripts,
+            allowUnstaged: options.allowUnstaged
+          });
+          completed.push({
+            description: `capability ${target.id}`,
+            undo: () => this._uninstallSingle(target.id, { keepDependencies: true })
+          });
+        }
+      }
+
+      this.installQueue.remove(capability.id);
+
+      return {
+        success: true,
+        capability: capability.id,
+        message: `Successfully installed ${capability.name}`,
+        plan
+      };
+
+    } catch (error) {
+      this._report(`✗ Failed to install ${capability.id}: ${error.message}`, 'error');
+
+      const rolledBack = await this._rollback(completed);
+      const reason = error.reason || 'error';
+      const logPath = this.currentInstall ? this.currentInstall.logPath : null;
+
+      // Persist the failure so it can be retried with backoff
+      const queued = this.installQueue.recordFailure(capability.id, {
+        message: error.message,
+        reason,
+        details: this._logTail(logPath),
+        logPath
+      });
+
+      return {
+        success: false,
+        capability: capability.id,
+        message: error.message,
+        reason,
+        errorClass: queued.errorClass,
+        attempts: queued.attempts,
+        nextAttemptAt: queued.status === 'pending' ? queued.nextAttemptAt : null,
+        rolledBack
+      };
+    }
+  }
+
+  /**
+   * Retry queued failed installs whose backoff has elapsed.
+   * options.transientOnly / options.force select entries (see InstallQueue.due);
+   * signal and timeout are passed to each install.
+   */
+  async retryFailed(options = {}) {
+    const results = [];
+
+    for (const entry of this.installQueue.due(options)) {
+      const capability = this.findCapability(entry.id);
+
+      if (!capability) {
+        this.installQueue.remove(entry.id);
+        results.push({ success: false, capability: entry.id, message: `${entry.id} is no longer in the registry; dropped from the queue` });
+        continue;
+      }
+      if (this.installedCapabilities.includes(entry.id)) {
+        this.installQueue.remove(entry.id);
+        results.push({ success: true, capability: entry.id, message: `${entry.id} is already installed` });
+        continue;
+      }
+
+      results.push(await this.installCapability(capability, options));
+    }
+
+    return results;
+  }
+
+  /**
+   * Reproduce exactly the set recorded in evolution.lock, failing on any difference
+   */
+  async installFrozen(options = {}) {
+    let lock;
+    try {
+      lock = this.lock.read();
+    } catch (error) {
+      return { success: false, message: `Cannot read evolution.lock: ${error.message}` };
+    }
+
+    if (!lock) {
+      return { success: false, message: 'No evolution.lock found; install capabilities first to create one' };
+    }
+
+    const locked = Object.keys(lock.capabilities || {});
+    const extra = this.installedCapabilities.filter(id => !locked.includes(id));
+    if (extra.length > 0) {
+      return {
+        success: false,
+        message: `Installed capabilities missing from evolution.lock: ${extra.join(', ')}`
+      };
+    }
+
+    const completed = [];
+    const installed = [];
+    const skipped = [];
+    this.lockFrozen = true;
+
+    try {
+      for (const id of locked) {
+        const expected = lock.capabilities[id];
+        const record = this.installRecords[id];
+
+        if (record) {
+          const differences = this.lock.diff(expected, this.lock.entryFor(record));
+          if (differences.length > 0) {
+            throw new Error(`${id} differs from evolution.lock: ${differences.join('; ')}`);
+          }
+          skipped.push(id);
+          continue;
+        }
+
+        this._report(`\n🔒 Installing ${id} from evolution.lock`);
+        const newRecord = await this._runLogged(id, 'install-frozen', () => this._installFromLock(id, expected), options);
+        completed.push({
+          description: `capability ${id}`,
+          undo: () => this._uninstallSingle(id)
+        });
+
+        const differences = this.lock.diff(expected, this.lock.entryFor(newRecord));
+        if (differences.length > 0) {
+          throw new Error(`${id} does not match evolution.lock: ${differences.join('; ')}`);
+        }
+        installed.push(id);
+      }
+
+      return {
+        success: true,
+        installed,
+        skipped,
+        message: `Reproduced ${locked.length} capability(ies) from evolution.lock`
+      };
+    } catch (error) {
+      this._report(`✗ Frozen install failed: ${error.message}`, 'error');
+      const rolledBack = await this._rollback(completed);
+      return {
+        success: false,
+        installed,
+        message: error.message,
+        rolledBack
+      };
+    } finally {
+      this.lockFrozen = false;
+    }
+  }
+
+  /**
+   * Install one locked entry at its exact version, commit or hash
+   */
+  async _installFromLock(capabilityId, entry) {
+    const dependencies = Object.keys(entry.dependencies || {});
+    for (const dep of dependencies) {
+      await this._installNpmPackage(this._npmSpec(dep, entry.dependencies[dep].version));
+    }
+
+    let result = { success: true };
+    switch (entry.installer) {
+      case 'npm':
+        result = await this._installNpmPackage(this._npmSpec(entry.package, entry.version));
+        break;
+      case 'clawhub':
+        result = await this._installClawHubSkill(entry.package, entry.version);
+        break;
+      case 'git':
+        result = await this._cloneGitRepo(entry.repo, capabilityId, entry.commit);
+        break;
+      case 'builtin':
+        result = await this._enableBuiltinModule(entry.modulePath);
+        break;
+      default:
+        throw new Error(`Unknown installer in evolution.lock: ${entry.installer}`);
+    }
+
+    const record = {
+      installer: entry.installer,
+      package: entry.package,
+      repo: entry.repo,
+      ref: entry.ref,
+      targetPath: result.targetPath,
+      modulePath: entry.modulePath,
+      capabilityVersion: entry.capabilityVersion,
+      requestedVersion: entry.version || null,
+      dependencies,
+      installedAt: new Date().toISOString()
+    };
+    Object.assign(record, this._detectInstalledVersion(record));
+
+    const capability = this.findCapability(capabilityId);
+    if (capability) {
+      await this._verifyOrRemove(capability, record);
+    }
+
+    if (!this.installedCapabilities.includes(capabilityId)) {
+      this.installedCapabilities.push(capabilityId);
+    }
+    this.installRecords[capabilityId] = record;
+    this.saveInstalledCapabilities();
+
+    return record;
+  }
+
+  /**
+   * Every bundle (see bundle-catalog.js) with what is installed of it:
+   * { ..., installed: [ids], complete, installedAsBundle }
+   */
+  listBundles() {
+    return this.bundleCatalog.list(this.registry).map(bundle => this._bundleState(bundle));
+  }
+
+  /**
+   * A bundle by name with its install state, or null
+   */
+  findBundle(name) {
+    const bundle = this.bundleCatalog.find(this.registry, name);
+    return bundle ? this._bundleState(bundle) : null;
+  }
+
+  /**
+   * Install every capability of a bundle from one combined dependency plan.
+   * Capabilities already installed are skipped; if any step fails, everything
+   * the bundle installed so far is rolled back. Accepts the options of
+   * installCapability (dryRun, stage, allowScripts, allowUnstaged, signal, timeout).
+   */
+  async installBundle(name, options = {}) {
+    const bundle = this.findBundle(name);
+    if (!bundle) {
+      return { success: false, bundle: name, message: `Bundle not found: ${name}` };
+    }
+    if (bundle.unknown.length > 0) {
+      return { success: false, bundle: name, message: `Bundle ${name} lists unknown capabilities: ${bundle.unknown.join(', ')}` };
+    }
+
+    const members = bundle.capabilities.map(id => this.findCapability(id));
+    const pending = members.filter(capability => !this.installedCapabilities.includes(capability.id));
+    const skipped = members.filter(capability => !pending.includes(capability)).map(capability => capability.id);
+    if (pending.length === 0) {
+      return { success: false, bundle: name, skipped, message: `Every capability in bundle ${name} is already installed` };
+    }
+
+    for (const capability of pending) {
+      try {
+        this.resolver.resolve(capability);
+      } catch (error) {
+        return { success: false, bundle: name, capability: capability.id, message: error.message };
+      }
+    }
+
+    const plan = this.planner.planMany(pending, {
+      installed: this.installedCapabilities,
+      ownPackage: cap => {
+        try {
+          return this.resolver.resolve(cap).package || null;
+        } catch (error) {
+          return null;
+        }
+      }
+    });
+    const conflicts = this.findConflicts(this._plannedCapabilities(plan, pending));
+
+    if (options.dryRun) {
+      const risks = {};
+      pending.forEach(capability => { risks[capability.id] = this.assessRisk(capability, options); });
+      return { success: true, dryRun: true, bundle: name, capabilities: plan.capabilities, skipped, risks, conflicts, plan };
+    }
+
+    if (conflicts.length > 0 && !options.allowConflicts) {
+      return {
+        success: false,
+        bundle: name,
+        conflicts,
+        message: `Refusing to install bundle ${name}: ${this._describeConflicts(conflicts)}`
+      };
+    }
+
+    return this._runLogged(`bundle-${name}`, 'install', () => this._executeBundleInstall(bundle, pending, skipped, plan, options), options);
+  }
+
+  /**
+   * Run a bundle plan; every capability it installs is tagged with the bundle
+   */
+  async _executeBundleInstall(bundle, pending, skipped, plan, options = {}) {
+    this._report(`\n📦 Installing bundle ${bundle.name}: ${pending.map(capability => capability.id).join(', ')}`);
+    if (skipped.length > 0) {
+      this._report(`   Already installed: ${skipped.join(', ')}`);
+    }
+    this._reportRelations(pending, plan);
+
+    const completed = [];
+    const installed = [];
+    const installedPackages = [];
+    let current = null;
+
+    try {
+      if (plan.cycles.length > 0) {
+        throw new Error(`Dependency cycle: ${plan.cycles.map(c => c.join(' → ')).join('; ')}`);
+      }
+      if (plan.invalid.length > 0) {
+        const invalid = plan.invalid.map(entry => `${JSON.stringify(entry.dependency)} (in ${entry.requiredBy})`);
+        throw new Error(`Invalid dependency entries: ${invalid.join(', ')}`);
+      }
+      if (!plan.ok) {
+        const missing = plan.missing.map(m => `${m.name} (${m.type}, required by ${m.requiredBy})`);
+        throw new Error(`Missing dependencies: ${missing.join(', ')}`);
+      }
+
+      for (const step of plan.steps) {
+        if (step.satisfied) continue;
+        this._throwIfAborted();
+
+        if (step.action === 'install-npm') {
+          current = step.requiredBy;
+          this._report(`   Dependency: ${step.name}`);
+          await this._installNpmDependency(step, options);
+          installedPackages.push(step.name);
+          completed.push({
+            description: `npm package ${step.name}`,
+            undo: () => this._uninstallNpmPackage(step.name)
+          });
+        } else if (step.action === 'install-capability') {
+          current = step.name;
+          const target = this.findCapability(step.name);
+          const isMember = pending.includes(target);
+          this._report(`   Capability: ${target.name} (${target.id})`);
+          // A package shared by several members is recorded for each of them
+          const needed = (target.dependencies || []).map(dep => this.planner.classify(dep).name);
+          await this._installSingle(target, {
+            dependencies: installedPackages.filter(pkg => needed.includes(pkg)),
+            stage: isMember ? options.stage : undefined,
+            allowScripts: options.allowScripts,
+            allowUnstaged: options.allowUnstaged,
+            bundle: bundle.name
+          });
+          installed.push(target.id);
+          completed.push({
+            description: `capability ${target.id}`,
+            undo: () => this._uninstallSingle(target.id, { keepDependencies: true })
+          });
+        }
+      }
+
+      pending.forEach(capability => this.installQueue.remove(capability.id));
+
+      // Members another bundle installed are shared with this one now
+      const shared = skipped.filter(id => this._bundlesOf(id).length > 0);
+      shared.forEach(id => {
+        this.installRecords[id] = { ...this.installRecords[id], bundles: [...this._bundlesOf(id), bundle.name] };
+      });
+      if (shared.length > 0) this.saveInstalledCapabilities();
+
+      return {
+        success: true,
+        bundle: bundle.name,
+        installed,
+        skipped,
+        message: `Installed bundle ${bundle.name} (${installed.length} capability(ies))`,
+        plan
+      };
+    } catch (error) {
+      this._report(`✗ Failed to install bundle ${bundle.name}: ${error.message}`, 'error');
+
+      const rolledBack = await this._rollback(completed);
+      const reason = error.reason || 'error';
+      const logPath = this.currentInstall ? this.currentInstall.logPath : null;
+      const failedId = current || pending[0].id;
+
+      // The capability that failed can be retried on its own
+      const queued = this.installQueue.recordFailure(failedId, {
+        message: error.message,
+        reason,
+        details: this._logTail(logPath),
+        logPath
+      });
+
+      return {
+        success: false,
+        bundle: bundle.name,
+        capability: failedId,
+        message: error.message,
+        reason,
+        errorClass: queued.errorClass,
+        attempts: queued.attempts,
+        nextAttemptAt: queued.status === 'pending' ? queued.nextAttemptAt : null,
+        rolledBack
+      };
+    }
+  }
+
+  /**
+   * Uninstall what a bundle installed, dependents first. Capabilities that
+   * were installed on their own, belong to another installed bundle, or are
+   * still required by something outside the bundle (unless options.force)
+   * are kept.
+   */
+  async uninstallBundle(name, options = {}) {
+    const bundle = this.findBundle(name);
+    if (!bundle) {
+      return { success: false, bundle: name, message: `Bundle not found: ${name}` };
+    }
+    if (!bundle.installedAsBundle) {
+      return { success: false, bundle: name, message: `Bundle ${name} is not installed` };
+    }
+
+    return this._runLogged(`bundle-${name}`, 'uninstall', async () => {
+      const kept = bundle.installed
+        .filter(id => !this._bundlesOf(id).includes(name))
+        .map(id => ({ id, reason: 'installed separately' }));
+      const tagged = this.installedCapabilities.filter(id => this._bundlesOf(id).includes(name));
+      let removing = tagged.filter(id => {
+        const others = this._bundlesOf(id).filter(other => other !== name);
+        if (others.length === 0) return true;
+        kept.push({ id, reason: `also in bundle ${others.join(', ')}` });
+        return false;
+      });
+
+      // Anything still needed outside the bundle stays, and so do its own dependencies
+      let changed = !options.force;
+      while (changed) {
+        changed = false;
+        removing = removing.filter(id => {
+          const outside = this._findDependents(id).filter(dependent => !removing.includes(dependent));
+          if (outside.length === 0) return true;
+          kept.push({ id, reason: `required by ${outside.join(', ')}` });
+          changed = true;
+          return false;
+        });
+      }
+
+      const removed = [];
+      try {
+        while (removing.length > 0) {
+          const next = removing.find(id => this._findDependents(id).every(dependent => !removing.includes(dependent))) || removing[0];
+          await this._uninstallSingle(next);
+          removed.push(next);
+          removing = removing.filter(id => id !== next);
+        }
+      } catch (error) {
+        this._report(`✗ Failed to uninstall bundle ${name}: ${error.message}`, 'error');
+        return { success: false, bundle: name, removed, kept, message: error.message };
+      }
+
+      // Shared capabilities stay installed but no longer count for this bundle
+      kept.forEach(({ id }) => {
+        if (this.installRecords[id] && this._bundlesOf(id).includes(name)) {
+          this.installRecords[id] = { ...this.installRecords[id], bundles: this._bundlesOf(id).filter(other => other !== name) };
+        }
+      });
+      this.saveInstalledCapabilities();
+
+      return {
+        success: true,
+        bundle: name,
+        removed,
+        kept,
+        message: `Uninstalled bundle ${name} (${removed.length} capability(ies))`
+      };
+    }, options);
+  }
+
+  /**
+   * Uninstall a capability using the reverse operation of its installer
+   */
+  async uninstallCapability(capabilityId, options = {}) {
+    const { force = false } = options;
+
+    if (!this.installedCapabilities.includes(capabilityId)) {
+      return {
+        success: false,
+        capability: capabilityId,
+        message: `Capability ${capabilityId} is not installed`
+      };
+    }
+
+    const dependents = this._findDependents(capabilityId);
+    if (dependents.length > 0 && !force) {
+      return {
+        success: false,
+        capability: capabilityId,
+        message: `Capability ${capabilityId} is required by: ${dependents.join(', ')}`
+      };
+    }
+
+    return this._runLogged(capabilityId, 'uninstall', async () => {
+      try {
+        await this._uninstallSingle(capabilityId);
+        return {
+          success: true,
+          capability: capabilityId,
+          message: `Successfully uninstalled ${capabilityId}`
+        };
+      } catch (error) {
+        this._report(`✗ Failed to uninstall ${capabilityId}: ${error.message}`, 'error');
+        return {
+          success: false,
+          capability: capabilityId,
+          message: error.message
+        };
+      }
+    }, options);
+  }
+
+  /**
+   * Get the recorded version info for an installed capability
+   */
+  getInstalledVersion(capabilityId) {
+    const record = this.installRecords[capabilityId];
+    if (!record) return null;
+    return {
+      version: record.version || null,
+      capabilityVersion: record.capabilityVersion || null,
+      ref: record.ref || null,
+      commit: record.commit || null
+    };
+  }
+
+  /**
+   * Compare installed capabilities against the registry and local npm metadata
+   */
+  checkOutdated(capabilityIds = null) {
+    const ids = capabilityIds || this.installedCapabilities;
+    const outdated = [];
+
+    ids.forEach(id => {
+      const capability = this.findCapability(id);
+      const record = this.installRecords[id];
+      if (!capability || !record) return;
+
+      const reasons = [];
+      const implementation = capability.implementation || {};
+
+      // Re-read local metadata so manual changes on disk are noticed
+      const current = { ...record, ...this._detectInstalledVersion(record) };
+
+      if (capability.version && record.capabilityVersion &&
+          compareVersions(capability.version, record.capabilityVersion) > 0) {
+        reasons.push(`capability ${record.capabilityVersion} → ${capability.version}`);
+      }
+      if (record.installer === 'npm' && implementation.version && current.version &&
+          !satisfies(current.version, implementation.version)) {
+        reasons.push(`${record.package}@${current.version} does not satisfy ${implementation.version}`);
+      }
+      if (record.installer === 'clawhub' && implementation.version && current.version !== implementation.version) {
+        reasons.push(`${record.package} ${current.version || 'unknown'} → ${implementation.version}`);
+      }
+      if (record.installer === 'git' && implementation.ref && implementation.ref !== record.ref) {
+        reasons.push(`ref ${record.ref || 'default'} → ${implementation.ref}`);
+      }
+
+      if (reasons.length > 0) {
+        outdated.push({
+          id,
+          installer: record.installer,
+          installed: current.version || record.capabilityVersion,
+          wanted: implementation.version || implementation.ref || capability.version,
+          reasons
+        });
+      }
+    });
+
+    return outdated;
+  }
+
+  /**
+   * Upgrade an installed capability in place to what the registry declares
+   */
+  async upgradeCapability(capabilityId, options = {}) {
+    const capability = this.findCapability(capabilityId);
+    const record = this.installRecords[capabilityId];
+
+    if (!capability || !this.installedCapabilities.includes(capabilityId)) {
+      return {
+        success: false,
+        capability: capabilityId,
+        message: `Capability ${capabilityId} is not installed`
+      };
+    }
+
+    return this._runLogged(capabilityId, 'upgrade', () => this._executeUpgrade(capability, record), options);
+  }
+
+  /**
+   * Move an installed capability to what the registry currently asks for
+   */
+  async _executeUpgrade(capability, record) {
+    const capabilityId = capability.id;
+
+    try {
+      const resolution = this.resolver.resolve(capability);
+      const previous = record ? record.version : null;
+      let targetPath = record ? record.targetPath : null;
+
+      switch (resolution.installer) {
+        case 'npm':
+          await this._installNpmPackage(this._npmSpec(resolution.package, resolution.version || 'latest'));
+          break;
+        case 'clawhub':
+          if (resolution.version) {
+            await this._installClawHubSkill(resolution.package, resolution.version, { force: true });
+          } else {
+            await this._spawnCommand('clawhub', ['update', resolution.package], { cwd: this.installRoots.ensure('clawhub') });
+          }
+          break;
+        case 'git':
+          targetPath = targetPath || path.join(this._skillsDir(), resolution.repoName);
+          await this._spawnCommand('git', ['fetch', '--tags', 'origin'], { cwd: targetPath });
+          if (resolution.ref) {
+            await this._spawnCommand('git', ['checkout', resolution.ref], { cwd: targetPath });
+          }
+          await this._spawnCommand('git', ['pull', '--ff-only'], { cwd: targetPath }).catch(() => {
+            // Detached tags and SHAs have nothing to pull
+          });
+          break;
+        case 'builtin':
+          break;
+        default:
+          throw new Error(`Unknown installer: ${resolution.installer}`);
+      }
+
+      const updated = {
+        ...(record || { dependencies: [], installedAt: new Date().toISOString() }),
+        installer: resolution.installer,
+        package: resolution.package,
+        repo: resolution.repo,
+        ref: resolution.ref,
+        targetPath,
+        modulePath: resolution.modulePath,
+        capabilityVersion: capability.version || null,
+        requestedVersion: resolution.version,
+        upgradedAt: new Date().toISOString()
+      };
+      Object.assign(updated, this._detectInstalledVersion(updated));
+      const verification = await this.verifier.verify(capability, updated);
+      updated.verification = this._verificationSummary(verification);
+      this.installRecords[capabilityId] = updated;
+      this.saveInstalledCapabilities();
+
+      if (!verification.passed) {
+        return {
+          success: false,
+          capability: capabilityId,
+          from: previous,
+          to: updated.version,
+          message: `Upgraded ${capability.name} but verification failed: ${updated.verification.message}`
+        };
+      }
+
+      return {
+        success: true,
+        capability: capabilityId,
+        from: previous,
+        to: updated.version,
+        message: `Upgraded ${capability.name}${updated.version ? ` to ${updated.version}` : ''}`
+      };
+    } catch (error) {
+      this._report(`✗ Failed to upgrade ${capabilityId}: ${error.message}`, 'error');
+      return {
+        success: false,
+        capability: capabilityId,
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Re-run the verify probes of installed capabilities (all when no ids are given).
+   * Failures are recorded on the install record; checks that pass only write
+   * installed-capabilities.json when they clear an earlier failure.
+   */
+  async verifyInstalled(capabilityIds = null) {
+    const ids = capabilityIds || this.installedCapabilities;
+    const results = [];
+    let changed = false;
+
+    for (const id of ids) {
+      const capability = this.findCapability(id);
+      if (!capability || !this.installedCapabilities.includes(id)) {
+        results.push({ capability: id, passed: false, checks: [], message: `Capability ${id} is not installed` });
+        continue;
+      }
+
+      const record = this.installRecords[id] || {};
+      const verification = await this.verifier.verify(capability, record);
+      // Only a failure, or clearing an earlier one, is written back
+      const wasUnverified = !!(record.verification && record.verification.passed === false);
+      if (this.installRecords[id] && (!verification.passed || wasUnverified)) {
+        this.installRecords[id].verification = this._verificationSummary(verification);
+        changed = true;
+      }
+      results.push({
+        capability: id,
+        passed: verification.passed,
+        checks: verification.checks,
+        message: verification.passed ? null : this.verifier.describeFailures(verification)
+      });
+    }
+
+    if (changed) this.saveInstalledCapabilities();
+    return results;
+  }
+
+  /**
+   * Run the resolved installer for one capability and record it
+   */
+  async _installSingle(capability, options = {}) {
+    const resolution = this.resolver.resolve(capability);
+    let risk = this.riskClassifier.classify(capability, { installer: resolution.installer });
+    const staged = this._shouldStage(resolution.installer, options.stage);
+    const review = inspection => {
+      risk = this._reviewStaged(capability, resolution, inspection, options);
+    };
+    let result;
+
+    if (this._cannotStage(resolution.installer, risk) && !options.allowUnstaged) {
+      throw new Error(`Blocked by risk review: ${capability.id} is high risk (${risk.factors.map(factor => factor.detail).join(', ')}) ` +
+        `and ${resolution.installer} installs cannot be staged; install with --allow-unstaged to trust it`);
+    }
+    if (staged) {
+      this._report(`   Risk: ${risk.level} (${risk.factors.map(factor => factor.detail).join(', ')}), staging with --ignore-scripts`);
+    }
+
+    switch (resolution.installer) {
+      case 'npm':
+        result = staged
+          ? await this._installNpmReviewed(resolution.package, resolution.version, review)
+          : await this._installNpmPackage(this._npmSpec(resolution.package, resolution.version));
+        break;
+      case 'clawhub':
+        result = await this._installClawHubSkill(resolution.package, resolution.version);
+        break;
+      case 'git':
+        result = await this._cloneGitRepo(resolution.repo, capability.id, resolution.ref, staged ? { review } : {});
+        break;
+      case 'builtin':
+        result = await this._enableBuiltinModule(resolution.modulePath);
+        break;
+      default:
+        throw new Error(`Unknown installer: ${resolution.installer}`);
+    }
+
+    if (!result.success) {
+      throw new Error(result.message || 'Installation failed');
+    }
+
+    const record = {
+      installer: resolution.installer,
+      package: resolution.package,
+      repo: resolution.repo,
+      ref: resolution.ref,
+      targetPath: result.targetPath,
+      modulePath: resolution.modulePath,
+      capabilityVersion: capability.version || null,
+      requestedVersion: resolution.version,
+      dependencies: options.dependencies || [],
+      risk: { level: risk.level, score: risk.score, staged },
+      installedAt: new Date().toISOString()
+    };
+    if (options.bundle) {
+      record.bundles = [options.bundle];
+    }
+    Object.assign(record, this._detectInstalledVersion(record));
+    await this._verifyOrRemove(capability, record);
+
+    if (!this.installedCapabilities.includes(capability.id)) {
+      this.installedCapabilities.push(capability.id);
+    }
+    this.installRecords[capability.id] = record;
+    this.saveInstalledCapabilities();
+
+    return result;
+  }
+
+  /**
+   * Reverse a single capability install and forget it
+   */
+  async _uninstallSingle(capabilityId, options = {}) {
+    const { keepDependencies = false } = options;
+    let record = this.installRecords[capabilityId];
+
+    if (!record) {
+      // Installed before records were kept: derive it from the registry
+      const capability = this.findCapability(capabilityId);
+      if (!capability) {
+        throw new Error(`No install record or registry entry for ${capabilityId}`);
+      }
+      const resolution = this.resolver.resolve(capability);
+      record = { ...resolution, dependencies: [] };
+      if (resolution.installer === 'git') {
+        record.targetPath = path.join(this._skillsDir(), resolution.repoName);
+      }
+    }
+
+    await this._removeInstall(record);
+
+    this.installedCapabilities = this.installedCapabilities.filter(id => id !== capabilityId);
+    delete this.installRecords[capabilityId];
+
+    // Drop npm dependencies no other installed capability still needs
+    const stillNeeded = new Set();
+    Object.values(this.installRecords).forEach(other => {
+      (other.dependencies || []).forEach(dep => stillNeeded.add(dep));
+      if (other.installer === 'npm') stillNeeded.add(other.package);
+    });
+    for (const dep of keepDependencies ? [] : record.dependencies || []) {
+      if (!stillNeeded.has(dep)) {
+        await this._uninstallNpmPackage(dep);
+      }
+    }
+
+    this.saveInstalledCapabilities();
+    return { success: true };
+  }
+
+  /**
+   * Run the reverse operation of a record's installer
+   */
+  async _removeInstall(record) {
+    switch (record.installer) {
+      case 'npm':
+        await this._uninstallNpmPackage(record.package);
+        break;
+      case 'clawhub':
+        await this._uninstallClawHubSkill(record.package);
+        break;
+      case 'git':
+        await this._removeGitClone(record.targetPath);
+        break;
+      case 'builtin':
+        await this._disableBuiltinModule(record.modulePath);
+        break;
+      default:
+        throw new Error(`Unknown installer: ${record.installer}`);
+    }
+  }
+
+  /**
+   * Run a capability's verify probes; undo the install and throw if they fail
+   */
+  async _verifyOrRemove(capability, record) {
+    const verification = await this.verifier.verify(capability, record);
+    record.verification = this._verificationSummary(verification);
+    if (verification.passed) return;
+
+    this._report(`   ✗ Verification failed: ${record.verification.message}`);
+    try {
+      await this._removeInstall(record);
+    } catch (error) {
+      this._report(`   ⚠️  Could not remove unverified ${capability.id}: ${error.message}`, 'error');
+    }
+    throw new Error(`Verification failed for ${capability.id}: ${record.verification.message}`);
+  }
+
+  _verificationSummary(verification) {
+    return {
+      passed: verification.passed,
+      checks: verification.checks.length,
+      checkedAt: new Date().toISOString(),
+      message: verification.passed ? null : this.verifier.describeFailures(verification)
+    };
+  }
+
+  async _rollback(completed) {
+    const rolledBack = [];
+
+    // Undo steps must run even when the install itself was aborted
+    if (this.currentInstall) {
+      this.currentInstall.signal = null;
+    }
+
+    for (const step of completed.reverse()) {
+      try {
+        await step.undo();
+        rolledBack.push(step.description);
+        this._report(`   ↩ Rolled back ${step.description}`);
+      } catch (error) {
+        this._report(`   ✗ Could not roll back ${step.description}: ${error.message}`, 'error');
+      }
+    }
+
+    return rolledBack;
+  }
+
+  /**
+   * Run an install/uninstall/upgrade with its own log file, progress events,
+   * timeout and cancellation. Nested calls share the outer run.
+   */
+  async _runLogged(capabilityId, action, task, options = {}) {
+    if (this.currentInstall) {
+      return task();
+    }
+
+    const log = new InstallLog({ dir: this.installLogDir, capabilityId, action }).open();
+    const event = { capability: capabilityId, action, logPath: log.path };
+    const controller = this._abortController(capabilityId, action, options);
+    this.currentInstall = { ...event, log, signal: controller.signal };
+    this.emit('started', event);
+
     try {
-      const data = fs.readFileSync(this.registryPath, 'utf8');
-      this.registry = JSON.parse(data);
-      console.log(`✓ Loaded capability registry with ${this._countCapabilities()} capabilities`);
+      const result = await task();
+      if (result.success === false) {
+        log.close(`failed: ${result.message}`);
+        this.emit('failed', { ...event, message: result.message });
+      } else {
+        log.close('finished');
+        this.emit('finished', { ...event, result });
+      }
+      return { ...result, logPath: log.path };
     } catch (error) {
-      console.error('Failed to load capability registry:', error.message);
-      this.registry = { categories: {}, installedCapabilities: [] };
+      log.close(`failed: ${error.message}`);
+      this.emit('failed', { ...event, message: error.message });
+      error.logPath = log.path;
+      throw error;
+    } finally {
+      controller.dispose();
+      this.currentInstall = null;
     }
   }
 
-  loadInstalledCapabilities() {
-    const dataPath = path.join(__dirname, 'data', 'installed-capabilities.json');
+  /**
+   * Abort controller that fires on the caller's signal or after the timeout.
+   * The abort reason is an Error whose .reason is "cancelled" or "timeout".
+   */
+  _abortController(capabilityId, action, options) {
+    const controller = new AbortController();
+    const timeout = options.timeout || this.installTimeout;
+    const fail = (reason, message) => {
+      if (controller.signal.aborted) return;
+      const error = new Error(message);
+      error.reason = reason;
+      controller.abort(error);
+    };
+
+    const timer = setTimeout(() => fail('timeout', `${action} of ${capabilityId} timed out after ${Math.round(timeout / 1000)}s`), timeout);
+    timer.unref();
+
+    const onCancel = () => fail('cancelled', `${action} of ${capabilityId} was cancelled`);
+    if (options.signal) {
+      if (options.signal.aborted) onCancel();
+      else options.signal.addEventListener('abort', onCancel, { once: true });
+    }
+
+    controller.dispose = () => {
+      clearTimeout(timer);
+      if (options.signal) options.signal.removeEventListener('abort', onCancel);
+    };
+    return controller;
+  }
+
+  _logTail(logPath, bytes = 4096) {
+    if (!logPath) return '';
     try {
-      if (fs.existsSync(dataPath)) {
-        const data = fs.readFileSync(dataPath, 'utf8');
-        const saved = JSON.parse(data);
-        this.installedCapabilities = saved.installed || [];
-      }
+      const text = fs.readFileSync(logPath, 'utf8');
+      return text.slice(-bytes);
     } catch (error) {
-      console.log('No installed capabilities found yet');
+      return '';
     }
   }
 
-  saveInstalledCapabilities() {
-    const dataDir = path.join(__dirname, 'data');
-    if (!fs.existsSync(dataDir)) {
-      fs.mkdirSync(dataDir, { recursive: true });
+  _throwIfAborted() {
+    const signal = this.currentInstall && this.currentInstall.signal;
+    if (signal && signal.aborted) {
+      throw signal.reason;
     }
-    
-    const dataPath = path.join(dataDir, 'installed-capabilities.json');
-    fs.writeFileSync(dataPath, JSON.stringify({
-      installed: this.installedCapabilities,
-      lastUpdated: new Date().toISOString()
-    }, null, 2);
   }
 
-  _countCapabilities() {
-    let count = 0;
-    Object.values(this.registry.categories || {}).forEach(category => {
-      count += (category.capabilities || []).length;
+  /**
+   * Progress message: goes to the install log, to "output" listeners, else the console
+   */
+  _report(message, level = 'log') {
+    if (this.currentInstall) {
+      this.currentInstall.log.line(message.replace(/^\n+/, ''));
+    }
+    if (this.listenerCount('output') > 0) {
+      this.emit('output', { capability: this.currentInstall && this.currentInstall.capability,
+        action: this.currentInstall && this.currentInstall.action, stream: 'engine', data: message });
+    } else {
+      console[level](message);
+    }
+  }
+
+  /**
+   * Child process output: goes to the install log and "output" listeners.
+   * With neither, it is passed through to the console as before.
+   */
+  _captureOutput(stream, chunk) {
+    if (this.currentInstall) {
+      this.currentInstall.log.write(chunk);
+    }
+    if (this.listenerCount('output') > 0) {
+      this.emit('output', { capability: this.currentInstall && this.currentInstall.capability,
+        action: this.currentInstall && this.currentInstall.action, stream, data: chunk.toString() });
+    } else if (!this.currentInstall) {
+      process[stream].write(chunk);
+    }
+  }
+
+  _findDependents(capabilityId) {
+    return this.installedCapabilities.filter(id => {
+      if (id === capabilityId) return false;
+      const capability = this.findCapability(id);
+      if (!capability) return false;
+      return (capability.dependencies || [])
+        .map(dep => this.planner.classify(dep))
+        .some(dep => dep.type === 'capability' && dep.name === capabilityId);
     });
-    return count;
   }
 
   /**
-   * Detect missing capabilities from a user query
+   * npm and git installs are staged unless stage is false; clawhub installs
+   * in one step and builtin modules ship with the engine, so neither can be
    */
-  detectCapabilities(query) {
-    const missing = [];
-    const queryLower = query.toLowerCase();
+  _shouldStage(installer, stage) {
+    return STAGEABLE_INSTALLERS.includes(installer) && stage !== false;
+  }
 
-    Object.entries(this.registry.categories || {}).forEach(([categoryName, category]) => {
-      (category.capabilities || []).forEach(capability => {
-        // Check if capability is already installed
-        if (this.installedCapabilities.includes(capability.id)) {
-          return; // Already have it
-        }
+  /**
+   * A high-risk install that cannot be staged is only run when trusted
+   */
+  _cannotStage(installer, risk) {
+    return installer === 'clawhub' && risk.level === 'high';
+  }
 
-        // Check detection patterns
-        const patterns = capability.detectPatterns || [];
-        for (const pattern of patterns) {
-          const regex = new RegExp(pattern, 'i');
-          if (regex.test(queryLower)) {
-            missing.push({
-              capability,
-              matchedPattern: pattern,
-              category: categoryName
-            });
-            break; // Only match once per capability
-          }
-        }
+  _bundleState(bundle) {
+    const installed = bundle.capabilities.filter(id => this.installedCapabilities.includes(id));
+    return {
+      ...bundle,
+      installed,
+      complete: installed.length === bundle.capabilities.length,
+      installedAsBundle: this.installedCapabilities.some(id => this._bundlesOf(id).includes(bundle.name))
+    };
+  }
+
+  /**
+   * The capabilities a plan installs, starting with targets
+   */
+  _plannedCapabilities(plan, targets) {
+    const planned = [...targets];
+    plan.steps
+      .filter(step => step.action === 'install-capability' && !step.satisfied)
+      .forEach(step => {
+        const capability = this.findCapability(step.name);
+        if (capability && !planned.some(entry => entry.id === capability.id)) planned.push(capability);
       });
-    });
+    return planned;
+  }
 
-    return missing;
+  /**
+   * Installed (or covered by an installed capability that provides it)
+   */
+  _isCovered(capability) {
+    return this.installedCapabilities.includes(capability.id) || this._providersOf(capability).length > 0;
   }
 
   /**
-   * Auto-install a capability
+   * Installed capabilities that already provide capability
    */
-  async installCapability(capability, options = {}) {
-    const { dryRun = false, force = false } = options;
+  _providersOf(capability) {
+    const installed = this.installedCapabilities.map(id => this.findCapability(id)).filter(Boolean);
+    return this.relations.providers(capability, installed, this.registry);
+  }
 
-    if (this.installedCapabilities.includes(capability.id) && !force) {
-      return {
-        success: false,
-        message: `Capability ${capability.id} is already installed`
-      };
-    }
+  _describeConflicts(conflicts) {
+    return conflicts
+      .map(conflict => `${conflict.capability} conflicts with ${conflict.with} ("${conflict.term}", declared by ${conflict.declaredBy})`)
+      .join('; ');
+  }
 
-    const implementation = capability.implementation;
-    
-    if (dryRun) {
-      return {
-        success: true,
-        dryRun: true,
-        capability: capability.id,
-        installCommand: implementation.installCommand,
-        implementation: implementation.type
-      };
+  /**
+   * Warn about what an install goes ahead with anyway: conflicts allowed by
+   * options.allowConflicts, capabilities already provided, replaced ones
+   */
+  _reportRelations(targets, plan) {
+    const conflicts = this.findConflicts(this._plannedCapabilities(plan, targets));
+    if (conflicts.length > 0) {
+      this._report(`   ⚠️  Installing despite conflicts: ${this._describeConflicts(conflicts)}`, 'warn');
     }
+    targets.forEach(capability => {
+      const providers = this._providersOf(capability);
+      if (providers.length > 0) {
+        this._report(`   ⚠️  ${capability.id} is already provided by ${providers.join(', ')}`, 'warn');
+      }
+      if (capability.replacedBy) {
+        this._report(`   ⚠️  ${capability.id} is replaced by ${capability.replacedBy}`, 'warn');
+      }
+    });
+  }
+
+  _bundlesOf(capabilityId) {
+    const record = this.installRecords[capabilityId];
+    return record && Array.isArray(record.bundles) ? record.bundles : [];
+  }
 
-    console.log(`\n🔧 Installing capability: ${capability.name} (${capability.id})`);
-    console.log(`   Type: ${implementation.type}`);
-    console.log(`   Command: ${implementation.installCommand}`);
+  /**
+   * (Re)index the ranker when the registry, the accepted learned patterns
+   * or the suggestion feedback changed
+   */
+  _indexRanker() {
+    const learned = this.detectionLearner.overlay();
+    const feedback = this.feedback.overlay();
+    const overlayKey = JSON.stringify([learned, feedback]);
+    if (this.rankedRegistry !== this.registry || this.rankedOverlay !== overlayKey) {
+      const entries = [];
+      Object.entries(this.registry.categories || {}).forEach(([categoryName, category]) => {
+        (category.capabilities || []).forEach(capability => entries.push({
+          capability,
+          category: categoryName,
+          learnedPatterns: learned[capability.id] || [],
+          ...(feedback[capability.id] || {})
+        }));
+      });
+      this.ranker.index(entries);
+      this.rankedRegistry = this.registry;
+      this.rankedOverlay = overlayKey;
+    }
+  }
 
+  /**
+   * Installer a capability resolves to, for policy type rules
+   */
+  _implementationType(capability) {
     try {
-      let result;
+      return this.resolver.resolve(capability).installer;
+    } catch (error) {
+      return capability.implementation ? capability.implementation.type || null : null;
+    }
+  }
 
-      switch (implementation.type) {
-        case 'npm':
-          result = await this._installNpmPackage(implementation.package);
-          break;
-        case 'clawhub':
-          result = await this._installClawHubSkill(implementation.package);
-          break;
-        case 'git':
-          result = await this._cloneGitRepo(implementation.repo, capability.id);
-          break;
-        case 'builtin':
-          result = await this._enableBuiltinModule(implementation.codeTemplate);
-          break;
-        default:
-          throw new Error(`Unknown implementation type: ${implementation.type}`);
+  /**
+   * The npm root, or the one holding packageName (see InstallRoots.npmRootFor)
+   */
+  _npmRoot(packageName = null) {
+    return packageName ? this.installRoots.npmRootFor(packageName) : this.installRoots.root('npm');
+  }
+
+  _skillsDir() {
+    return this.installRoots.root('git');
+  }
+
+  _npmSpec(packageName, version) {
+    return version && version !== '*' ? `${packageName}@${version}` : packageName;
+  }
+
+  /**
+   * Read the actually installed version from local metadata
+   */
+  _detectInstalledVersion(record) {
+    const readVersion = (pkgPath) => {
+      try {
+        return JSON.parse(fs.readFileSync(pkgPath, 'utf8')).version || null;
+      } catch (error) {
+        return null;
       }
+    };
 
-      if (result.success) {
-        this.installedCapabilities.push(capability.id);
-        this.saveInstalledCapabilities();
-        
-        // Update registry
-        if (!this.registry.installedCapabilities) {
-          this.registry.installedCapabilities = [];
+    switch (record.installer) {
+      case 'npm':
+        return { version: readVersion(path.join(this._npmRoot(record.package), 'node_modules', record.package, 'package.json')) };
+      case 'git': {
+        if (!record.targetPath || !fs.existsSync(record.targetPath)) return {};
+        let commit = null;
+        try {
+          commit = execFileSync('git', ['rev-parse', 'HEAD'], { cwd: record.targetPath, encoding: 'utf8' }).trim();
+        } catch (error) {
+          // Not a git checkout any more
         }
-        this.registry.installedCapabilities.push({
-          id: capability.id,
-          installedAt: new Date().toISOString()
-        });
-        
-        return {
-          success: true,
-          capability: capability.id,
-          message: `Successfully installed ${capability.name}`
-        };
-      } else {
-        throw new Error(result.message || 'Installation failed');
+        return { version: readVersion(path.join(record.targetPath, 'package.json')), commit };
       }
-
-    } catch (error) {
-      console.error(`✗ Failed to install ${capability.id}:`, error.message);
-      
-      // Track failure
-      if (!this.registry.failedInstallations) {
-        this.registry.failedInstallations = [];
-      }
-      this.registry.failedInstallations.push({
-        id: capability.id,
-        error: error.message,
-        timestamp: new Date().toISOString()
-      });
-
-      return {
-        success: false,
-        capability: capability.id,
-        message: error.message
-      };
+      case 'clawhub':
+        return { version: record.requestedVersion || null };
+      case 'builtin':
+        return { version: readVersion(path.join(__dirname, 'package.json')) };
+      default:
+        return {};
     }
   }
 
   /**
-   * Install npm package
+   * Spawn a command and resolve when it exits with code 0
    */
-  async _installNpmPackage(packageName) {
+  _spawnCommand(command, args, options = {}) {
     return new Promise((resolve, reject) => {
-      const proc = spawn('npm', ['install', packageName], {
-        cwd: path.join(__dirname, '..', '..'),
-        stdio: 'inherit'
+      const signal = this.currentInstall ? this.currentInstall.signal : null;
+      if (signal && signal.aborted) {
+        return reject(signal.reason);
+      }
+
+      if (this.currentInstall) {
+        this.currentInstall.log.line(`$ ${command} ${args.join(' ')}${options.cwd ? ` (in ${options.cwd})` : ''}`);
+      }
+
+      // Own process group, so cancelling also stops whatever npm/git spawned
+      const proc = spawn(command, args, {
+        cwd: options.cwd,
+        stdio: ['ignore', 'pipe', 'pipe'],
+        detached: !!signal && process.platform !== 'win32'
       });
+      proc.stdout.on('data', chunk => this._captureOutput('stdout', chunk));
+      proc.stderr.on('data', chunk => this._captureOutput('stderr', chunk));
+
+      const onAbort = () => this._killProcessGroup(proc);
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
 
       proc.on('close', (code) => {
-        if (code === 0) {
+        if (signal) signal.removeEventListener('abort', onAbort);
+
+        if (signal && signal.aborted) {
+          reject(signal.reason);
+        } else if (code === 0) {
           resolve({ success: true });
         } else {
-          reject(new Error(`npm install exited with code ${code}`));
+          const logHint = this.currentInstall ? ` (see ${this.currentInstall.logPath})` : '';
+          reject(new Error(`${command} ${args[0]} exited with code ${code}${logHint}`));
         }
       });
 
@@ -216,33 +1820,112 @@ class EvolutionEngineV2 {
     });
   }
 
+  _killProcessGroup(proc) {
+    const kill = (sig) => {
+      try {
+        if (process.platform === 'win32') proc.kill(sig);
+        else process.kill(-proc.pid, sig);
+      } catch (error) {
+        // Already gone
+      }
+    };
+
+    if (this.currentInstall) {
+      this.currentInstall.log.line(`# killing process group ${proc.pid}`);
+    }
+    kill('SIGTERM');
+    const escalate = setTimeout(() => kill('SIGKILL'), KILL_GRACE_PERIOD);
+    escalate.unref();
+    proc.once('close', () => clearTimeout(escalate));
+  }
+
+  /**
+   * Install npm package; options.ignoreScripts skips its lifecycle scripts
+   */
+  async _installNpmPackage(packageName, options = {}) {
+    // --prefix keeps npm from walking up to an unrelated package.json
+    const npmRoot = this.installRoots.ensure('npm');
+    const args = ['install', '--prefix', npmRoot, packageName];
+    if (options.ignoreScripts) args.splice(1, 0, '--ignore-scripts');
+    return this._spawnCommand('npm', args, {
+      cwd: npmRoot
+    });
+  }
+
+  /**
+   * Install a plan's npm dependency, staged and reviewed for the capability
+   * that requires it unless options.stage is false
+   */
+  async _installNpmDependency(step, options = {}) {
+    if (!this._shouldStage('npm', options.stage)) {
+      return this._installNpmPackage(step.name);
+    }
+    const capability = this.findCapability(step.requiredBy) || { id: step.requiredBy };
+    return this._installNpmReviewed(step.name, null, inspection => {
+      this._reviewStaged(capability, { installer: 'npm' }, inspection, options);
+    });
+  }
+
+  /**
+   * Stage an npm package, let review(inspection) throw to stop it, then
+   * install exactly the inspected version with --ignore-scripts and run only
+   * the scripts the review let through
+   */
+  async _installNpmReviewed(packageName, version, review) {
+    const inspection = await this._stageNpmPackage(this._npmSpec(packageName, version));
+    review(inspection);
+
+    const inspected = inspection.versions[packageName];
+    const result = await this._installNpmPackage(inspected ? `${packageName}@${inspected}` : this._npmSpec(packageName, version), {
+      ignoreScripts: true
+    });
+    if (inspection.scripts.length > 0) {
+      try {
+        await this._runReviewedScripts(this.installRoots.ensure('npm'), inspection);
+      } catch (error) {
+        // A package whose scripts did not run is not installed
+        await this._uninstallNpmPackage(packageName).catch(() => {});
+        throw error;
+      }
+    }
+    return result;
+  }
+
+  async _uninstallNpmPackage(packageName) {
+    this.installRoots.ensure('npm');
+    // Packages installed by earlier versions are removed where they are
+    const npmRoot = this._npmRoot(packageName);
+    return this._spawnCommand('npm', ['uninstall', '--prefix', npmRoot, packageName], {
+      cwd: npmRoot
+    });
+  }
+
   /**
    * Install skill via ClawHub
    */
-  async _installClawHubSkill(packageName) {
-    return new Promise((resolve, reject) => {
-      const proc = spawn('clawhub', ['install', packageName], {
-        cwd: path.join(__dirname, '..', '..'),
-        stdio: 'inherit'
-      });
+  async _installClawHubSkill(packageName, version = null, options = {}) {
+    const args = ['install', packageName];
+    if (version) args.push('--version', version);
+    if (options.force) args.push('--force');
 
-      proc.on('close', (code) => {
-        if (code === 0) {
-          resolve({ success: true });
-        } else {
-          reject(new Error(`clawhub install exited with code ${code}`));
-        }
-      });
+    return this._spawnCommand('clawhub', args, {
+      cwd: this.installRoots.ensure('clawhub')
+    });
+  }
 
-      proc.on('error', reject);
+  async _uninstallClawHubSkill(packageName) {
+    return this._spawnCommand('clawhub', ['uninstall', packageName], {
+      cwd: this.installRoots.ensure('clawhub')
     });
   }
 
   /**
-   * Clone git repository for skill
+   * Clone git repository for skill. options.review(inspection) stages the
+   * clone in a temporary directory first: dependencies are installed there
+   * with --ignore-scripts and review may throw to stop the install.
    */
-  async _cloneGitRepo(repoUrl, capabilityId) {
-    const skillsDir = path.join(__dirname, '..', '..', '.openclaw', 'skills');
+  async _cloneGitRepo(repoUrl, capabilityId, ref = null, options = {}) {
+    const skillsDir = this._skillsDir();
     
     // Create skills directory if needed
     if (!fs.existsSync(skillsDir)) {
@@ -251,40 +1934,172 @@ class EvolutionEngineV2 {
 
     const repoName = repoUrl.split('/').pop().replace('.git', '');
     const targetPath = path.join(skillsDir, repoName);
+    this._removeOrphanedClones();
 
-    return new Promise((resolve, reject) => {
-      const proc = spawn('git', ['clone', repoUrl, targetPath], {
-        stdio: 'inherit'
-      });
+    if (fs.existsSync(targetPath)) {
+      throw new Error(`Skill directory already exists: ${targetPath}`);
+    }
 
-      proc.on('close', (code) => {
-        if (code === 0) {
-          // Install npm dependencies if package.json exists
-          const pkgPath = path.join(targetPath, 'package.json');
-          if (fs.existsSync(pkgPath)) {
-            console.log('Installing dependencies...');
-            const npmProc = spawn('npm', ['install'], { 
-              cwd: targetPath,
-              stdio: 'inherit'
-            });
-            
-            npmProc.on('close', (npmCode) => {
-              if (npmCode === 0) {
-                resolve({ success: true });
-              } else {
-                resolve({ success: true, warning: 'Dependencies installation may have issues' });
-              }
-            });
-          } else {
-            resolve({ success: true });
-          }
-        } else {
-          reject(new Error(`git clone exited with code ${code}`));
+    // Clone next to the target and rename at the end, so an interrupted
+    // clone never looks like an installed skill
+    const partialPath = path.join(skillsDir, `.${repoName}.partial-${process.pid}`);
+    const stagingDir = options.review ? fs.mkdtempSync(path.join(os.tmpdir(), 'evolution-stage-')) : null;
+    let warning = null;
+
+    try {
+      const clonePath = stagingDir ? path.join(stagingDir, repoName) : partialPath;
+      await this._spawnCommand('git', ['clone', repoUrl, clonePath]);
+      if (ref) {
+        await this._spawnCommand('git', ['checkout', ref], { cwd: clonePath });
+      }
+
+      // Install npm dependencies if package.json exists; a staged clone
+      // installs them without scripts and is promoted as it was reviewed
+      if (fs.existsSync(path.join(clonePath, 'package.json'))) {
+        this._report('   Installing dependencies...');
+        const args = stagingDir ? ['install', '--ignore-scripts', '--no-audit', '--no-fund'] : ['install'];
+        try {
+          await this._spawnCommand('npm', args, { cwd: clonePath });
+        } catch (error) {
+          if (error.reason) throw error;
+          warning = 'Dependencies installation may have issues';
         }
+      }
+
+      if (stagingDir) {
+        const inspection = this.riskClassifier.inspect(clonePath);
+        options.review(inspection);
+        this._moveDirectory(clonePath, partialPath);
+        if (inspection.scripts.length > 0) {
+          await this._runReviewedScripts(partialPath, inspection);
+        }
+      }
+
+      fs.renameSync(partialPath, targetPath);
+    } catch (error) {
+      // Never leave a half-cloned directory behind
+      fs.rmSync(partialPath, { recursive: true, force: true });
+      throw error;
+    } finally {
+      if (stagingDir) fs.rmSync(stagingDir, { recursive: true, force: true });
+    }
+
+    return warning ? { success: true, targetPath, warning } : { success: true, targetPath };
+  }
+
+  /**
+   * Install an npm package into a throwaway directory with --ignore-scripts
+   * and inspect what it would bring in
+   */
+  async _stageNpmPackage(spec) {
+    const stagingDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evolution-stage-'));
+    try {
+      await this._spawnCommand('npm', ['install', '--ignore-scripts', '--no-save', '--no-audit', '--no-fund', '--prefix', stagingDir, spec], {
+        cwd: stagingDir
       });
+      return this.riskClassifier.inspect(stagingDir);
+    } finally {
+      fs.rmSync(stagingDir, { recursive: true, force: true });
+    }
+  }
 
-      proc.on('error', reject);
+  /**
+   * Run the lifecycle scripts a review let through in a promoted install:
+   * dependencies through npm rebuild, a checkout's own scripts through
+   * npm run-script. A package whose version changed since it was staged
+   * was never reviewed, so nothing runs.
+   */
+  async _runReviewedScripts(dir, inspection) {
+    const installed = this.riskClassifier.inspect(dir).versions;
+    const changed = inspection.scripts
+      .filter(script => installed[script.package] !== inspection.versions[script.package])
+      .map(script => `${script.package}@${installed[script.package] || 'missing'}`);
+    if (changed.length > 0) {
+      throw new Error(`Blocked by risk review: ${[...new Set(changed)].join(', ')} changed after staging`);
+    }
+
+    this._report(`   Running ${inspection.scripts.length} reviewed install script(s)...`);
+    const rebuild = [...new Set(inspection.scripts.filter(script => !script.own).map(script => script.package))];
+    if (rebuild.length > 0) {
+      await this._spawnCommand('npm', ['rebuild', '--prefix', dir, ...rebuild], { cwd: dir });
+    }
+    for (const script of inspection.scripts.filter(entry => entry.own)) {
+      if (script.command === RiskClassifier.IMPLICIT_BUILD) {
+        await this._spawnCommand('npm', ['exec', '--yes', '--', 'node-gyp', 'rebuild'], { cwd: dir });
+      } else {
+        await this._spawnCommand('npm', ['run-script', script.script], { cwd: dir });
+      }
+    }
+  }
+
+  /**
+   * Re-classify a staged install with what inspection found; lifecycle
+   * scripts stop the install unless options.allowScripts is set
+   */
+  _reviewStaged(capability, resolution, inspection, options = {}) {
+    const risk = this.riskClassifier.classify(capability, { installer: resolution.installer, scripts: inspection.scripts });
+    this._report(`   Staged: ${inspection.packages} package(s), ${inspection.scripts.length} install script(s), risk ${risk.level}`);
+
+    if (inspection.scripts.length > 0 && !options.allowScripts) {
+      const scripts = inspection.scripts.slice(0, 3).map(script => `${script.package} ${script.script}: ${script.command}`);
+      if (inspection.scripts.length > 3) scripts.push(`${inspection.scripts.length - 3} more`);
+      throw new Error(`Blocked by risk review: ${capability.id} runs install scripts (${scripts.join('; ')}); ` +
+        'install with --allow-scripts to trust them');
+    }
+    return risk;
+  }
+
+  /**
+   * rename(), falling back to copy and delete across file systems
+   */
+  _moveDirectory(from, to) {
+    try {
+      fs.renameSync(from, to);
+    } catch (error) {
+      if (error.code !== 'EXDEV') throw error;
+      fs.cpSync(from, to, { recursive: true });
+      fs.rmSync(from, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Delete partial clones left behind by engine processes that no longer run
+   */
+  _removeOrphanedClones() {
+    const skillsDir = this._skillsDir();
+    if (!fs.existsSync(skillsDir)) return [];
+
+    const removed = [];
+    fs.readdirSync(skillsDir).forEach(name => {
+      const match = name.match(/^\..+\.partial-(\d+)$/);
+      if (!match || this._processAlive(parseInt(match[1], 10))) return;
+
+      fs.rmSync(path.join(skillsDir, name), { recursive: true, force: true });
+      removed.push(name);
     });
+    return removed;
+  }
+
+  _processAlive(pid) {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      return error.code === 'EPERM';
+    }
+  }
+
+  async _removeGitClone(targetPath) {
+    const skillsDir = path.resolve(this._skillsDir());
+    const resolved = path.resolve(targetPath);
+
+    // Only ever delete directories inside the skills directory
+    if (!resolved.startsWith(skillsDir + path.sep)) {
+      throw new Error(`Refusing to remove ${targetPath}: outside ${skillsDir}`);
+    }
+
+    fs.rmSync(resolved, { recursive: true, force: true });
+    return { success: true };
   }
 
   /**
@@ -300,20 +2115,33 @@ class EvolutionEngineV2 {
     }
   }
 
+  async _disableBuiltinModule(modulePath) {
+    // Builtin modules ship with the package; disabling just unregisters them
+    return { success: true, modulePath };
+  }
+
   /**
    * Get evolution status
    */
   getStatus() {
     const total = this._countCapabilities();
     const installed = this.installedCapabilities.length;
-    const failed = (this.registry.failedInstallations || []).length;
+    const failed = this.installQueue.list().length;
 
     return {
       totalCapabilities: total,
       installedCapabilities: installed,
       pendingCapabilities: total - installed,
       failedInstallations: failed,
-      evolutionProgress: Math.round((installed / total) * 100)
+      evolutionProgress: Math.round((installed / total) * 100),
+      bundles: this.listBundles()
+        .filter(bundle => bundle.installedAsBundle)
+        .map(bundle => ({
+          name: bundle.name,
+          installed: bundle.installed.length,
+          total: bundle.capabilities.length,
+          complete: bundle.complete
+        }))
     };
   }
 
@@ -321,46 +2149,19 @@ class EvolutionEngineV2 {
    * Suggest capabilities based on context
    */
   suggestCapabilities(context) {
-    const suggestions = [];
-    const contextLower = context.toLowerCase();
-
-    Object.entries(this.registry.categories || {}).forEach(([categoryName, category]) => {
-      (category.capabilities || []).forEach(capability => {
-        if (this.installedCapabilities.includes(capability.id)) {
-          return;
-        }
-
-        // Score capability relevance
-        let score = 0;
-        const patterns = capability.detectPatterns || [];
-        
-        for (const pattern of patterns) {
-          const regex = new RegExp(pattern, 'i');
-          if (regex.test(contextLower)) {
-            score += 1;
-          }
-        }
-
-        if (score > 0) {
-          suggestions.push({
-            ...capability,
-            category: categoryName,
-            score,
-            reason: `Detected ${score} matching patterns in context`
-          });
-        }
-      });
-    });
-
-    // Sort by score and priority
-    suggestions.sort((a, b) => {
-      const priorityOrder = { high: 3, medium: 2, low: 1 };
-      const priorityDiff = priorityOrder[b.priority] - priorityOrder[a.priority];
-      if (priorityDiff !== 0) return priorityDiff;
-      return b.score - a.score;
-    });
+    const priorityOrder = { high: 3, medium: 2, low: 1 };
 
-    return suggestions.slice(0, 5); // Top 5 suggestions
+    return this.rankCapabilities(context, { threshold: this.suggestionThreshold })
+      .map(result => ({
+        ...result.capability,
+        category: result.category,
+        score: result.confidence,
+        explanation: result.explanation,
+        reason: `Matched ${result.explanation.slice(0, 3).map(entry => entry.source === 'pattern' ? `/${entry.term}/` : `"${entry.term}" (${entry.source})`).join(', ')}`
+      }))
+      // Relevance first; priority only breaks ties
+      .sort((a, b) => (b.score - a.score) || ((priorityOrder[b.priority] || 0) - (priorityOrder[a.priority] || 0)))
+      .slice(0, 5); // Top 5 suggestions
   }
 }
 
@@ -402,7 +2203,7 @@ if (require.main === module) {
         console.log(`\n  ${i + 1}. ${item.capability.name}`);
         console.log(`     Category: ${item.category}`);
         console.log(`     ID: ${item.capability.id}`);
-        console.log(`     Matched: ${item.matchedPattern}`);
+        console.log(`     Confidence: ${Math.round(item.confidence * 100)}%`);
         console.log(`     Install: ${item.capability.implementation.installCommand}`);
       });
     }
@@ -416,15 +2217,7 @@ if (require.main === module) {
       process.exit(1);
     }
 
-    // Find capability by ID
-    let capability;
-    Object.values(engine.registry.categories || {}).forEach(category => {
-      (category.capabilities || []).forEach(cap => {
-        if (cap.id === capabilityId) {
-          capability = cap;
-        }
-      });
-    });
+    const capability = engine.findCapability(capabilityId);
 
     if (!capability) {
       console.error(`Capability not found: ${capabilityId}`);
@@ -5,12 +5,23 @@ const util = require('util');
 const execPromise = util.promisify(exec);
 const chalk = require('chalk');
 const SelfDiagnosisEngine = require('./modules/self-diagnosis');
+const Storage = require('./modules/storage');
+const paths = require('./modules/paths');
 
 class EvolutionEngine {
-  constructor() {
-    this.selfDiagnosis = new SelfDiagnosisEngine();
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || paths.dataDir();
+    this.storage = options.storage || new Storage();
+    this.selfDiagnosis = new SelfDiagnosisEngine({ dataDir: this.dataDir, storage: this.storage });
     this.isEnabled = false;
     this.monitorInterval = null;
+    // Let the monitor retry capability installs that failed for transient reasons
+    // (--retry-transient when run directly, or EVOLUTION_RETRY_TRANSIENT=1)
+    const env = options.env || process.env;
+    this.retryTransientFailures = options.retryTransientFailures !== undefined
+      ? !!options.retryTransientFailures
+      : ['1', 'true'].includes(String(env.EVOLUTION_RETRY_TRANSIENT || '').toLowerCase());
+    this.capabilityEngine = options.capabilityEngine || null;
     this.learningDatabase = new Map();
     this.loadLearningDatabase();
   }
@@ -31,6 +42,9 @@ class EvolutionEngine {
     console.log(chalk.cyan('\n• 24/7 monitoring active'));
     console.log(chalk.cyan('• Self-diagnosis ready'));
     console.log(chalk.cyan('• Learning system online'));
+    if (this.retryTransientFailures) {
+      console.log(chalk.cyan('• Transient install failures retried automatically'));
+    }
     console.log(chalk.yellow('• Automatic fixes require confirmation'));
     console.log(chalk.bold.green('───────────────────────────────────────────────────\n'));
     
@@ -129,10 +143,35 @@ class EvolutionEngine {
       console.log(chalk.yellow('  Run "evolution status" for details'));
     }
     
+    if (this.retryTransientFailures) {
+      await this.retryTransientInstalls();
+    }
+
     // Update learning database
     this.updateLearningFromRecentActivity();
   }
 
+  /**
+   * Retry queued capability installs that failed with network, lock or timeout errors
+   */
+  async retryTransientInstalls() {
+    if (!this.capabilityEngine) {
+      const EvolutionEngineV2 = require('./evolution-engine-v2');
+      this.capabilityEngine = new EvolutionEngineV2({ dataDir: this.dataDir, storage: this.storage });
+    }
+
+    const results = await this.capabilityEngine.retryFailed({ transientOnly: true });
+    results.forEach(result => {
+      if (result.success) {
+        console.log(chalk.green(`  ✅ Retried ${result.capability}: installed`));
+      } else {
+        const next = result.nextAttemptAt ? `, next attempt ${result.nextAttemptAt}` : '';
+        console.log(chalk.yellow(`  ⚠️  Retry of ${result.capability} failed (${result.errorClass || 'error'}${next})`));
+      }
+    });
+    return results;
+  }
+
   async applyFixWithConfirmation(toolName) {
     console.log(chalk.bold(`\n🔧 Applying fix for ${toolName}`));
     console.log(chalk.gray('─'.repeat(40)));
@@ -176,42 +215,45 @@ class EvolutionEngine {
   }
 
   logIssue(issue) {
-    const issuesPath = path.join(__dirname, 'data', 'issues-log.json');
-    const issuesDir = path.dirname(issuesPath);
-    
-    if (!fs.existsSync(issuesDir)) {
-      fs.mkdirSync(issuesDir, { recursive: true });
-    }
-    
-    let issues = [];
-    if (fs.existsSync(issuesPath)) {
+    const issuesPath = path.join(this.dataDir, 'issues-log.json');
+
+    this.storage.withLock(issuesPath, () => {
+      let issues;
       try {
-        issues = JSON.parse(fs.readFileSync(issuesPath, 'utf8'));
+        issues = this.storage.readJson(issuesPath, []);
       } catch (error) {
-        console.log(chalk.yellow('⚠️  Could not read issues log'));
+        // Leave a corrupt log alone for "evolution data repair"
+        console.log(chalk.yellow(`⚠️  Could not read issues log: ${error.message}`));
+        return;
       }
-    }
-    
-    issues.push(issue);
-    
-    // Keep only last 100 issues
-    if (issues.length > 100) {
-      issues = issues.slice(-100);
-    }
-    
-    fs.writeFileSync(issuesPath, JSON.stringify(issues, null, 2));
+      
+      issues.push(issue);
+      
+      // Keep only last 100 issues
+      if (issues.length > 100) {
+        issues = issues.slice(-100);
+      }
+      
+      this.storage.writeJson(issuesPath, issues);
+    });
   }
 
   learnFromFix(fixData) {
     const key = `${fixData.tool}:${fixData.diagnosis.problems.join(',')}`;
-    this.learningDatabase.set(key, {
-      ...fixData,
-      learnedAt: new Date().toISOString(),
-      appliedCount: (this.learningDatabase.get(key)?.appliedCount || 0) + 1
+    const dbPath = path.join(this.dataDir, 'learning-db.json');
+
+    // Reload under the lock so solutions learned by other processes are kept
+    this.storage.withLock(dbPath, () => {
+      this.loadLearningDatabase({ quiet: true });
+      this.learningDatabase.set(key, {
+        ...fixData,
+        learnedAt: new Date().toISOString(),
+        appliedCount: (this.learningDatabase.get(key)?.appliedCount || 0) + 1
+      });
+      
+      this.saveLearningDatabase();
     });
     
-    this.saveLearningDatabase();
-    
     console.log(chalk.green(`📚 Learned solution for ${fixData.tool}`));
   }
 
@@ -237,11 +279,11 @@ class EvolutionEngine {
   }
 
   getRecentIssues(hours) {
-    const issuesPath = path.join(__dirname, 'data', 'issues-log.json');
+    const issuesPath = path.join(this.dataDir, 'issues-log.json');
     if (!fs.existsSync(issuesPath)) return [];
     
     try {
-      const issues = JSON.parse(fs.readFileSync(issuesPath, 'utf8'));
+      const issues = this.storage.readJson(issuesPath, []);
       const cutoff = new Date(Date.now() - (hours * 60 * 60 * 1000));
       
       return issues.filter(issue => {
@@ -254,11 +296,11 @@ class EvolutionEngine {
   }
 
   getRecentFixes(hours) {
-    const fixesPath = path.join(__dirname, 'data', 'fixes-applied.json');
+    const fixesPath = path.join(this.dataDir, 'fixes-applied.json');
     if (!fs.existsSync(fixesPath)) return [];
     
     try {
-      const fixes = JSON.parse(fs.readFileSync(fixesPath, 'utf8'));
+      const fixes = this.storage.readJson(fixesPath, []);
       const cutoff = new Date(Date.now() - (hours * 60 * 60 * 1000));
       
       return fixes.filter(fix => {
@@ -270,35 +312,32 @@ class EvolutionEngine {
     }
   }
 
-  loadLearningDatabase() {
-    const dbPath = path.join(__dirname, 'data', 'learning-db.json');
+  loadLearningDatabase(options = {}) {
+    const dbPath = path.join(this.dataDir, 'learning-db.json');
     if (fs.existsSync(dbPath)) {
       try {
-        const data = JSON.parse(fs.readFileSync(dbPath, 'utf8'));
+        const data = this.storage.readJson(dbPath, []);
         data.forEach(item => {
           this.learningDatabase.set(item.key, item);
         });
-        console.log(chalk.gray(`📖 Loaded ${this.learningDatabase.size} learned solutions`));
+        if (!options.quiet) {
+          console.log(chalk.gray(`📖 Loaded ${this.learningDatabase.size} learned solutions`));
+        }
       } catch (error) {
-        console.log(chalk.yellow('⚠️  Could not load learning database'));
+        if (error.code === 'ESCHEMAVERSION') throw error;
+        console.log(chalk.yellow(`⚠️  Could not load learning database: ${error.message}`));
       }
     }
   }
 
   saveLearningDatabase() {
-    const dbPath = path.join(__dirname, 'data', 'learning-db.json');
-    const dbDir = path.dirname(dbPath);
-    
-    if (!fs.existsSync(dbDir)) {
-      fs.mkdirSync(dbDir, { recursive: true });
-    }
-    
+    const dbPath = path.join(this.dataDir, 'learning-db.json');
     const data = Array.from(this.learningDatabase.entries()).map(([key, value]) => ({
       key,
       ...value
     }));
     
-    fs.writeFileSync(dbPath, JSON.stringify(data, null, 2));
+    this.storage.writeJson(dbPath, data);
   }
 
   getStatistics() {
@@ -336,7 +375,9 @@ module.exports = EvolutionEngine;
 
 // Run if called directly
 if (require.main === module) {
-  const engine = new EvolutionEngine();
+  const engine = new EvolutionEngine({
+    retryTransientFailures: process.argv.includes('--retry-transient') ? true : undefined
+  });
   
   // Simple direct execution
   engine.enable().then(() => {
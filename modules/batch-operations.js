@@ -0,0 +1,70 @@
+/**
+ * Batch Operations
+ *
+ * Builtin capability for running the same file operation across many files
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class BatchOperations {
+  /**
+   * List files in a directory, optionally filtered by a regex
+   */
+  listFiles(dir, pattern = null, options = {}) {
+    const { recursive = false } = options;
+    const regex = pattern ? new RegExp(pattern) : null;
+    const files = [];
+
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (recursive) files.push(...this.listFiles(fullPath, pattern, options));
+      } else if (!regex || regex.test(entry.name)) {
+        files.push(fullPath);
+      }
+    });
+
+    return files;
+  }
+
+  /**
+   * Apply an operation to every file, collecting per-file results
+   */
+  async apply(files, operation) {
+    const results = { succeeded: [], failed: [] };
+
+    for (const file of files) {
+      try {
+        await operation(file);
+        results.succeeded.push(file);
+      } catch (error) {
+        results.failed.push({ file, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  copyAll(files, targetDir) {
+    fs.mkdirSync(targetDir, { recursive: true });
+    return this.apply(files, file => fs.copyFileSync(file, path.join(targetDir, path.basename(file))));
+  }
+
+  moveAll(files, targetDir) {
+    fs.mkdirSync(targetDir, { recursive: true });
+    return this.apply(files, file => fs.renameSync(file, path.join(targetDir, path.basename(file))));
+  }
+
+  renameAll(files, rename) {
+    return this.apply(files, file => {
+      fs.renameSync(file, path.join(path.dirname(file), rename(path.basename(file))));
+    });
+  }
+
+  removeAll(files) {
+    return this.apply(files, file => fs.unlinkSync(file));
+  }
+}
+
+module.exports = BatchOperations;
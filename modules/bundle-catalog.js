@@ -0,0 +1,64 @@
+/**
+ * Bundle Catalog
+ *
+ * Named sets of capabilities installed and removed as a unit. Bundles come
+ * from the registry's top-level "bundles" (any layer, see registry-loader.js):
+ *
+ *   "bundles": {
+ *     "reporting": {
+ *       "description": "...",
+ *       "capabilities": ["data-visualization", "pdf-generation", "postgres-connector"]
+ *     }
+ *   }
+ *
+ * Every category also seeds a default bundle of the same name holding all
+ * of its capabilities, unless a registry bundle already uses that name.
+ */
+
+class BundleCatalog {
+  /**
+   * Every bundle in a merged registry:
+   * [{ name, description, capabilities, source: 'registry' | 'category', unknown }]
+   * where unknown are listed ids the registry does not define
+   */
+  list(registry) {
+    const known = new Set();
+    Object.values(registry.categories || {}).forEach(category => {
+      (category.capabilities || []).forEach(capability => known.add(capability.id));
+    });
+
+    const bundles = Object.entries(registry.bundles || {}).map(([name, bundle]) => {
+      const capabilities = [...new Set(bundle.capabilities || [])];
+      return {
+        name,
+        description: bundle.description || '',
+        capabilities,
+        source: 'registry',
+        unknown: capabilities.filter(id => !known.has(id))
+      };
+    });
+
+    Object.entries(registry.categories || {}).forEach(([name, category]) => {
+      const capabilities = (category.capabilities || []).map(capability => capability.id);
+      if (capabilities.length === 0 || bundles.some(bundle => bundle.name === name)) return;
+      bundles.push({
+        name,
+        description: category.description || `Every ${name} capability`,
+        capabilities,
+        source: 'category',
+        unknown: []
+      });
+    });
+
+    return bundles;
+  }
+
+  /**
+   * A bundle by name, or null
+   */
+  find(registry, name) {
+    return this.list(registry).find(bundle => bundle.name === name) || null;
+  }
+}
+
+module.exports = BundleCatalog;
@@ -0,0 +1,179 @@
+/**
+ * Capability Lock
+ *
+ * Records exactly what is installed so another machine can reproduce it:
+ * - npm: resolved version, tarball URL and integrity
+ * - git: commit SHA
+ * - clawhub: version
+ * - builtin: sha256 of the module source
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Storage = require('./storage');
+
+const LOCKFILE_VERSION = 1;
+
+class CapabilityLock {
+  constructor(options = {}) {
+    this.lockPath = options.lockPath;
+    this.npmRoot = options.npmRoot;
+    this.npmRootFor = options.npmRootFor || (() => this.npmRoot);
+    this.baseDir = options.baseDir || path.join(__dirname, '..');
+    this.storage = options.storage || new Storage();
+  }
+
+  read() {
+    if (!fs.existsSync(this.lockPath)) return null;
+
+    const lock = JSON.parse(fs.readFileSync(this.lockPath, 'utf8'));
+    if (lock.lockfileVersion > LOCKFILE_VERSION) {
+      throw new Error(`${path.basename(this.lockPath)} was written by a newer version (lockfileVersion ${lock.lockfileVersion})`);
+    }
+    return lock;
+  }
+
+  write(lock) {
+    this.storage.writeText(this.lockPath, JSON.stringify(lock, null, 2) + '\n');
+  }
+
+  /**
+   * Build a lock from the engine's install records
+   */
+  build(installRecords) {
+    const capabilities = {};
+
+    Object.keys(installRecords).sort().forEach(id => {
+      capabilities[id] = this.entryFor(installRecords[id]);
+    });
+
+    return {
+      lockfileVersion: LOCKFILE_VERSION,
+      generatedAt: new Date().toISOString(),
+      capabilities
+    };
+  }
+
+  /**
+   * Describe what is actually on disk for one install record
+   */
+  entryFor(record) {
+    const entry = {
+      installer: record.installer,
+      capabilityVersion: record.capabilityVersion || null
+    };
+
+    switch (record.installer) {
+      case 'npm': {
+        const meta = this.npmMetadata(record.package);
+        Object.assign(entry, {
+          package: record.package,
+          version: meta.version || record.version || null,
+          resolved: meta.resolved || null,
+          integrity: meta.integrity || null
+        });
+        break;
+      }
+      case 'git':
+        Object.assign(entry, {
+          repo: record.repo,
+          ref: record.ref || null,
+          commit: record.commit || null
+        });
+        break;
+      case 'clawhub':
+        Object.assign(entry, {
+          package: record.package,
+          version: record.version || null
+        });
+        break;
+      case 'builtin':
+        Object.assign(entry, {
+          modulePath: record.modulePath,
+          hash: this.hashFile(path.join(this.baseDir, record.modulePath))
+        });
+        break;
+    }
+
+    // npm packages the install plan pulled in for this capability
+    if (record.dependencies && record.dependencies.length > 0) {
+      entry.dependencies = {};
+      record.dependencies.forEach(dep => {
+        const meta = this.npmMetadata(dep);
+        entry.dependencies[dep] = {
+          version: meta.version || null,
+          integrity: meta.integrity || null
+        };
+      });
+    }
+
+    return entry;
+  }
+
+  /**
+   * Compare a locked entry with what is installed, returning the differences
+   */
+  diff(expected, actual) {
+    if (!actual) return ['not installed'];
+
+    const fields = ['installer', 'package', 'version', 'integrity', 'repo', 'commit', 'modulePath', 'hash'];
+    const differences = fields
+      .filter(field => expected[field] && expected[field] !== actual[field])
+      .map(field => `${field}: expected ${expected[field]}, found ${actual[field] || 'none'}`);
+
+    Object.entries(expected.dependencies || {}).forEach(([dep, locked]) => {
+      const found = (actual.dependencies || {})[dep] || {};
+      ['version', 'integrity'].forEach(field => {
+        if (locked[field] && locked[field] !== found[field]) {
+          differences.push(`${dep} ${field}: expected ${locked[field]}, found ${found[field] || 'none'}`);
+        }
+      });
+    });
+
+    return differences;
+  }
+
+  /**
+   * Look up resolved/integrity from npm's lockfiles, falling back to package.json
+   */
+  npmMetadata(packageName) {
+    const key = `node_modules/${packageName}`;
+    const npmRoot = this.npmRootFor(packageName);
+    const candidates = [
+      path.join(npmRoot, 'node_modules', '.package-lock.json'),
+      path.join(npmRoot, 'package-lock.json')
+    ];
+
+    for (const file of candidates) {
+      try {
+        const lock = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (lock.packages && lock.packages[key]) {
+          const { version, resolved, integrity } = lock.packages[key];
+          return { version, resolved, integrity };
+        }
+      } catch (error) {
+        // Try the next source
+      }
+    }
+
+    try {
+      const pkg = JSON.parse(fs.readFileSync(path.join(npmRoot, key, 'package.json'), 'utf8'));
+      return { version: pkg.version };
+    } catch (error) {
+      return {};
+    }
+  }
+
+  hashFile(filePath) {
+    try {
+      return 'sha256-' + crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+CapabilityLock.LOCKFILE_VERSION = LOCKFILE_VERSION;
+
+module.exports = CapabilityLock;
@@ -0,0 +1,248 @@
+/**
+ * Capability Ranker
+ *
+ * One relevance model for detection and suggestions. A capability's score
+ * combines:
+ * - detect patterns: every regex that matches the query adds PATTERN_WEIGHT,
+ *   the registry's own and those learned from workflows alike
+ * - BM25 over its name (counted twice), description and id words, times
+ *   TEXT_WEIGHT so wording alone needs a rare word or several to fire
+ * Negated parts of the query ("without screenshots", "no redis", "don't
+ * need a PDF") are left out of both, and a capability they describe is
+ * excluded. Every time the capability was rejected for a similar query
+ * (word overlap of at least MIN_SIMILARITY) the score shrinks by
+ * REJECTION_WEIGHT times that overlap, and patterns muted by feedback do not
+ * count. The score maps to a confidence in [0, 1) with
+ * 1 - exp(-score / CONFIDENCE_SCALE): one matching pattern alone gives
+ * about 0.63, a rare name word such as "redis" about 0.54 and a common
+ * one such as "data" about 0.4, below the default threshold of 0.5.
+ * Each result explains the terms and patterns that contributed.
+ */
+
+const PATTERN_WEIGHT = 3;
+const TEXT_WEIGHT = 0.5;
+const NAME_WEIGHT = 2;
+const CONFIDENCE_SCALE = 3;
+const DEFAULT_THRESHOLD = 0.5;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const REJECTION_WEIGHT = 0.6;
+const MIN_SIMILARITY = 0.25;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'by', 'can', 'could', 'do', 'for', 'from', 'get', 'have',
+  'help', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'let', 'like', 'make', 'me', 'my', 'need', 'of',
+  'on', 'or', 'our', 'please', 'should', 'so', 'some', 'that', 'the', 'their', 'them', 'then', 'these', 'they',
+  'this', 'those', 'to', 'up', 'us', 'use', 'using', 'want', 'we', 'what', 'will', 'with', 'would', 'you', 'your'
+]);
+
+// A negation covers the words after it up to the next clause boundary
+const NEGATION = /\b(?:without|no|except|excluding|avoid|skip|don'?t\s+(?:need|want|use)|do\s+not\s+(?:need|want|use))\b([^.,;:!?]*)/gi;
+const CLAUSE_END = /\b(?:but|and|then|while|so)\b/i;
+
+class CapabilityRanker {
+  constructor(options = {}) {
+    this.threshold = options.threshold !== undefined ? options.threshold : DEFAULT_THRESHOLD;
+    this.documents = [];
+    this.documentFrequency = new Map();
+    this.averageLength = 0;
+  }
+
+  /**
+   * Index capabilities: [{ capability, category, learnedPatterns, rejectedQueries, mutedPatterns }]
+   */
+  index(entries) {
+    this.documents = entries.map(({ capability, category, learnedPatterns, rejectedQueries, mutedPatterns }) => {
+      const name = this.tokenize(capability.name || '');
+      const terms = [
+        ...Array(NAME_WEIGHT).fill(name).flat(),
+        ...this.tokenize(capability.description || ''),
+        ...this.tokenize((capability.id || '').replace(/-/g, ' '))
+      ];
+      const frequencies = new Map();
+      terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+      return {
+        capability,
+        category,
+        frequencies,
+        length: terms.length,
+        nameTerms: new Set(name),
+        learnedPatterns: learnedPatterns || [],
+        rejectedTerms: (rejectedQueries || []).map(query => new Set(this.tokenize(this.splitNegations(query).positive))),
+        mutedPatterns: mutedPatterns || []
+      };
+    });
+
+    this.documentFrequency = new Map();
+    this.documents.forEach(document => {
+      document.frequencies.forEach((count, term) => {
+        this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+      });
+    });
+    const total = this.documents.reduce((sum, document) => sum + document.length, 0);
+    this.averageLength = this.documents.length > 0 ? total / this.documents.length : 0;
+    return this;
+  }
+
+  /**
+   * Rank the indexed capabilities for a query, best first. Only results at or
+   * above options.threshold are returned unless options.all is set. Each is
+   * { capability, category, confidence, score, matchedPatterns, negated, explanation }
+   */
+  rank(query, options = {}) {
+    const threshold = options.threshold !== undefined ? options.threshold : this.threshold;
+    const { positive, negated } = this.splitNegations(query);
+    const queryTerms = [...new Set(this.tokenize(positive))];
+    const negatedTerms = [...new Set(negated.flatMap(text => this.tokenize(text)))];
+
+    const results = this.documents.map(document => {
+      const explanation = [];
+      let score = 0;
+
+      const allPatterns = [...(document.capability.detectPatterns || []), ...document.learnedPatterns];
+      const patterns = allPatterns.filter(pattern => !document.mutedPatterns.includes(pattern));
+      allPatterns.filter(pattern => !patterns.includes(pattern) && this._matches(pattern, positive)).forEach(pattern => {
+        explanation.push({ term: pattern, source: 'muted', contribution: 0 });
+      });
+      const matchedPatterns = patterns.filter(pattern => this._matches(pattern, positive));
+      matchedPatterns.forEach(pattern => {
+        score += PATTERN_WEIGHT;
+        const source = document.learnedPatterns.includes(pattern) ? 'learned' : 'pattern';
+        explanation.push({ term: pattern, source, contribution: PATTERN_WEIGHT });
+      });
+
+      queryTerms.forEach(term => {
+        const contribution = TEXT_WEIGHT * this._bm25(document, term);
+        if (contribution <= 0) return;
+        score += contribution;
+        explanation.push({
+          term,
+          source: document.nameTerms.has(term) ? 'name' : 'description',
+          contribution: this._round(contribution)
+        });
+      });
+
+      const similar = document.rejectedTerms
+        .map(terms => this._similarity(queryTerms, terms))
+        .filter(similarity => similarity >= MIN_SIMILARITY);
+      if (similar.length > 0 && score > 0) {
+        const kept = similar.reduce((factor, similarity) => factor * (1 - REJECTION_WEIGHT * similarity), 1);
+        const penalty = score * (1 - kept);
+        score -= penalty;
+        explanation.push({ term: `rejected for ${similar.length} similar quer${similar.length === 1 ? 'y' : 'ies'}`, source: 'feedback', contribution: -this._round(penalty) });
+      }
+
+      // A capability the query rules out never fires, however well the rest
+      // matched; a common word such as "data" in a negation is not enough
+      const negatedScore = negatedTerms.reduce((sum, term) => sum + TEXT_WEIGHT * this._bm25(document, term), 0);
+      const negatedBy = negated.find(text => patterns.some(pattern => this._matches(pattern, text))) ||
+        (this.confidence(negatedScore) >= threshold ? negatedTerms.find(term => this._bm25(document, term) > 0) : null);
+      if (negatedBy) {
+        explanation.push({ term: negatedBy, source: 'negation', contribution: -this._round(score) });
+        score = 0;
+      }
+
+      return {
+        capability: document.capability,
+        category: document.category,
+        confidence: this.confidence(score),
+        score: this._round(score),
+        matchedPatterns,
+        negated: !!negatedBy,
+        explanation: explanation.sort((a, b) => b.contribution - a.contribution)
+      };
+    });
+
+    return results
+      .filter(result => options.all || (result.score > 0 && result.confidence >= threshold))
+      .sort((a, b) => b.confidence - a.confidence);
+  }
+
+  /**
+   * Map a raw score to a confidence in [0, 1)
+   */
+  confidence(score) {
+    return this._round(1 - Math.exp(-score / CONFIDENCE_SCALE));
+  }
+
+  /**
+   * Separate negated clauses: { positive: text without them, negated: [clause text] }
+   */
+  splitNegations(query) {
+    const negated = [];
+    const positive = query.replace(NEGATION, (match, rest) => {
+      const end = rest.search(CLAUSE_END);
+      const scope = end === -1 ? rest : rest.slice(0, end);
+      negated.push(scope.trim());
+      // Keep whatever follows the clause boundary ("without X but with Y")
+      return ' ' + (end === -1 ? '' : rest.slice(end));
+    });
+    return { positive, negated: negated.filter(Boolean) };
+  }
+
+  /**
+   * Lowercase words without stopwords, reduced to a rough stem so
+   * "screenshots", "scraping" and "encryption" meet "screenshot", "scrape"
+   * and "encrypt"
+   */
+  tokenize(text) {
+    return (text.toLowerCase().match(/[a-z0-9]+/g) || [])
+      .filter(word => !STOPWORDS.has(word))
+      .map(word => this._stem(word))
+      .filter(word => word.length > 1);
+  }
+
+  // Helper methods
+
+  _bm25(document, term) {
+    const frequency = document.frequencies.get(term) || 0;
+    if (frequency === 0) return 0;
+
+    const count = this.documents.length;
+    const withTerm = this.documentFrequency.get(term) || 0;
+    const idf = Math.log(1 + (count - withTerm + 0.5) / (withTerm + 0.5));
+    const norm = 1 - BM25_B + BM25_B * (document.length / (this.averageLength || 1));
+    return idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * norm);
+  }
+
+  /**
+   * Word overlap (Jaccard) between query terms and a set of terms
+   */
+  _similarity(terms, other) {
+    if (terms.length === 0 || other.size === 0) return 0;
+    const shared = terms.filter(term => other.has(term)).length;
+    return shared / (terms.length + other.size - shared);
+  }
+
+  _matches(pattern, text) {
+    try {
+      return new RegExp(pattern, 'i').test(text);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  _stem(word) {
+    let stem = word;
+    if (stem.length > 4 && stem.endsWith('ies')) stem = stem.slice(0, -3) + 'y';
+    else if (stem.length > 3 && stem.endsWith('s') && !/(ss|us|is)$/.test(stem)) stem = stem.slice(0, -1);
+
+    for (const suffix of ['ing', 'ion', 'ed']) {
+      if (stem.length > suffix.length + 3 && stem.endsWith(suffix)) {
+        stem = stem.slice(0, -suffix.length);
+        break;
+      }
+    }
+    if (stem.length > 4 && stem.endsWith('e')) stem = stem.slice(0, -1);
+    return stem;
+  }
+
+  _round(value) {
+    return Math.round(value * 1000) / 1000;
+  }
+}
+
+CapabilityRanker.DEFAULT_THRESHOLD = DEFAULT_THRESHOLD;
+CapabilityRanker.STOPWORDS = STOPWORDS;
+
+module.exports = CapabilityRanker;
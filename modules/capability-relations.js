@@ -0,0 +1,96 @@
+/**
+ * Capability Relations
+ *
+ * Registry entries can declare how they relate to each other:
+ *
+ *   "provides":   ["speech-to-text", "audio-transcription"]
+ *   "conflicts":  ["headless-browser"]
+ *   "replacedBy": "video-transcription"
+ *
+ * - A capability provides its own id plus every name in "provides" (other
+ *   capability ids or shared function names), and the ids of capabilities
+ *   that are replacedBy it.
+ * - Two capabilities conflict when either lists, in "conflicts", something
+ *   the other provides. Conflicts are symmetric: only one side has to say so.
+ * - A capability is already covered when an installed one provides its id,
+ *   so detection does not propose it again.
+ */
+
+class CapabilityRelations {
+  /**
+   * Everything a capability provides: its id, its "provides" and the ids
+   * of the capabilities it replaces
+   */
+  functions(capability, registry) {
+    const provided = new Set([capability.id, ...this._list(capability.provides)]);
+    this._all(registry).forEach(other => {
+      if (other.replacedBy === capability.id) provided.add(other.id);
+    });
+    return provided;
+  }
+
+  /**
+   * Which of others conflict with capability:
+   * [{ capability, term, declaredBy }] where term is what the conflicts entry
+   * named and declaredBy the id of the capability that declared it
+   */
+  conflicts(capability, others, registry) {
+    const own = this.functions(capability, registry);
+    const found = [];
+
+    others.forEach(other => {
+      if (!other || other.id === capability.id) return;
+      const theirs = this.functions(other, registry);
+
+      const declared = this._list(capability.conflicts).find(term => theirs.has(term));
+      const reverse = declared ? null : this._list(other.conflicts).find(term => own.has(term));
+      if (declared) {
+        found.push({ capability: other.id, term: declared, declaredBy: capability.id });
+      } else if (reverse) {
+        found.push({ capability: other.id, term: reverse, declaredBy: other.id });
+      }
+    });
+    return found;
+  }
+
+  /**
+   * Conflicts among a set of capabilities, each pair once:
+   * [{ capability, with, term, declaredBy }]
+   */
+  conflictsAmong(capabilities, registry) {
+    const found = [];
+    capabilities.forEach((capability, i) => {
+      this.conflicts(capability, capabilities.slice(i + 1), registry).forEach(conflict => {
+        found.push({ capability: capability.id, with: conflict.capability, term: conflict.term, declaredBy: conflict.declaredBy });
+      });
+    });
+    return found;
+  }
+
+  /**
+   * The ids among installed that already provide capability
+   */
+  providers(capability, installed, registry) {
+    return installed
+      .filter(other => other && other.id !== capability.id)
+      .filter(other => this.functions(other, registry).has(capability.id))
+      .map(other => other.id);
+  }
+
+  // Helper methods
+
+  _list(value) {
+    if (Array.isArray(value)) return value.filter(entry => typeof entry === 'string');
+    return typeof value === 'string' ? [value] : [];
+  }
+
+  _all(registry) {
+    const capabilities = [];
+    Object.values((registry && registry.categories) || {}).forEach(category => {
+      (category.capabilities || []).forEach(capability => capabilities.push(capability));
+    });
+    return capabilities;
+  }
+}
+
+module.exports = CapabilityRelations;
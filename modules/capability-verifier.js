@@ -0,0 +1,159 @@
+/**
+ * Capability Verifier
+ *
+ * Runs the optional "verify" block of a registry entry after install:
+ * - require: module(s) that must load in a fresh node process
+ * - binary:  executable(s) that must be on PATH
+ * - command: smoke command that must exit 0 (and match "expect" if given)
+ * A capability without a verify block passes with no checks.
+ */
+
+const path = require('path');
+const { spawn } = require('child_process');
+
+const DEFAULT_TIMEOUT = 15000;
+
+class CapabilityVerifier {
+  constructor(options = {}) {
+    this.npmRoot = options.npmRoot || process.cwd();
+    this.npmRootFor = options.npmRootFor || (() => this.npmRoot);
+    this.baseDir = options.baseDir || path.join(__dirname, '..');
+    this.findBinary = options.findBinary || (() => null);
+  }
+
+  /**
+   * Verify one capability. context.targetPath is where a git/clawhub install landed.
+   * Returns { passed, checks: [{ type, target, passed, message }] }
+   */
+  async verify(capability, context = {}) {
+    const spec = capability.verify;
+    const checks = [];
+
+    if (!spec) {
+      return { passed: true, checks };
+    }
+
+    const timeout = spec.timeout || DEFAULT_TIMEOUT;
+
+    for (const moduleName of [].concat(spec.require || [])) {
+      checks.push(await this._checkRequire(moduleName, context, timeout));
+    }
+
+    for (const binary of [].concat(spec.binary || [])) {
+      const found = this.findBinary(binary);
+      checks.push({
+        type: 'binary',
+        target: binary,
+        passed: !!found,
+        message: found ? `found at ${found}` : 'not found on PATH'
+      });
+    }
+
+    if (spec.command) {
+      checks.push(await this._checkCommand(spec.command, spec.expect, context, timeout));
+    }
+
+    return { passed: checks.every(check => check.passed), checks };
+  }
+
+  /**
+   * One-line summary of the failed checks
+   */
+  describeFailures(verification) {
+    return verification.checks
+      .filter(check => !check.passed)
+      .map(check => `${check.type} ${check.target}: ${check.message}`)
+      .join('; ');
+  }
+
+  // Helper methods
+
+  async _checkRequire(moduleName, context, timeout) {
+    const check = { type: 'require', target: moduleName, passed: false };
+
+    // Relative paths belong to the install itself (a clone or a builtin module).
+    // Packages must be under the install or the npm root: the engine's own
+    // dependencies do not count as installed.
+    const npmRoot = this.npmRootFor(this._packageName(moduleName));
+    const searchPaths = moduleName.startsWith('.')
+      ? [context.targetPath || this.baseDir]
+      : [context.targetPath, npmRoot].filter(Boolean);
+
+    let resolved;
+    try {
+      resolved = require.resolve(moduleName, { paths: searchPaths });
+    } catch (error) {
+      check.message = 'cannot be resolved';
+      return check;
+    }
+
+    // Load it out of process so a broken native module cannot take the engine down
+    const result = await this._run(process.execPath, ['-e', 'require(process.argv[1])', resolved], {
+      cwd: npmRoot,
+      timeout
+    });
+    check.passed = result.code === 0;
+    check.message = check.passed ? `loaded ${path.relative(npmRoot, resolved)}` : this._summarize(result);
+    return check;
+  }
+
+  async _checkCommand(command, expect, context, timeout) {
+    const check = { type: 'command', target: command, passed: false };
+    const result = await this._run(command, [], {
+      cwd: context.targetPath || this.npmRoot,
+      shell: true,
+      timeout
+    });
+
+    if (result.code !== 0) {
+      check.message = this._summarize(result);
+      return check;
+    }
+    if (expect && !new RegExp(expect).test(result.output)) {
+      check.message = `output did not match /${expect}/`;
+      return check;
+    }
+
+    check.passed = true;
+    check.message = 'succeeded';
+    return check;
+  }
+
+  _run(command, args, options) {
+    return new Promise(resolve => {
+      let output = '';
+      const child = spawn(command, args, {
+        cwd: options.cwd,
+        shell: options.shell || false,
+        timeout: options.timeout,
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+
+      child.stdout.on('data', chunk => { output += chunk; });
+      child.stderr.on('data', chunk => { output += chunk; });
+      child.on('error', error => resolve({ code: null, output, error: error.message }));
+      child.on('close', (code, signal) => resolve({
+        code,
+        output,
+        error: signal ? `killed by ${signal} (timeout ${options.timeout}ms)` : null
+      }));
+    });
+  }
+
+  _summarize(result) {
+    if (result.error) return result.error;
+
+    const lines = result.output.split('\n').map(line => line.trim()).filter(Boolean);
+    return lines.find(line => /Error/.test(line)) || lines.pop() || `exited with code ${result.code}`;
+  }
+
+  /**
+   * Package a specifier loads from: "pkg/sub" -> "pkg", "@scope/pkg/sub" -> "@scope/pkg"
+   */
+  _packageName(moduleName) {
+    const parts = moduleName.split('/');
+    return moduleName.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+  }
+}
+
+module.exports = CapabilityVerifier;
@@ -8,13 +8,15 @@
  * - Vote on capability requests
  */
 
-const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
+const Storage = require('./storage');
+const paths = require('./paths');
 
 class CommunityShare {
-  constructor() {
-    this.dataDir = path.join(__dirname, '..', 'data');
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || paths.dataDir();
+    this.storage = options.storage || new Storage();
     this.sharedPatterns = [];
     this.requestedCapabilities = [];
     this.votes = {};
@@ -27,62 +29,24 @@ class CommunityShare {
   }
 
   loadCommunityData() {
-    const sharedPath = path.join(this.dataDir, 'shared-patterns.json');
-    const requestedPath = path.join(this.dataDir, 'requested-capabilities.json');
-    const votesPath = path.join(this.dataDir, 'votes.json');
-    const feedbackPath = path.join(this.dataDir, 'feedback.json');
-
     try {
-      if (fs.existsSync(sharedPath)) {
-        const data = fs.readFileSync(sharedPath, 'utf8');
-        this.sharedPatterns = JSON.parse(data);
-      }
-
-      if (fs.existsSync(requestedPath)) {
-        const data = fs.readFileSync(requestedPath, 'utf8');
-        this.requestedCapabilities = JSON.parse(data);
-      }
-
-      if (fs.existsSync(votesPath)) {
-        const data = fs.readFileSync(votesPath, 'utf8');
-        this.votes = JSON.parse(data);
-      }
-
-      if (fs.existsSync(feedbackPath)) {
-        const data = fs.readFileSync(feedbackPath, 'utf8');
-        this.feedback = JSON.parse(data);
-      }
-
+      this._readCommunityData();
       console.log(`✓ Community data loaded: ${this.sharedPatterns.length} shared, ${this.requestedCapabilities.length} requests`);
     } catch (error) {
-      console.log('No community data found yet');
+      if (error.code === 'ESCHEMAVERSION') throw error;
+      if (error.code === 'ECORRUPT') {
+        console.log(`⚠️  ${error.message}`);
+      } else {
+        console.log('No community data found yet');
+      }
     }
   }
 
   saveCommunityData() {
-    if (!fs.existsSync(this.dataDir)) {
-      fs.mkdirSync(this.dataDir, { recursive: true });
-    }
-
-    fs.writeFileSync(
-      path.join(this.dataDir, 'shared-patterns.json'),
-      JSON.stringify(this.sharedPatterns, null, 2)
-    );
-
-    fs.writeFileSync(
-      path.join(this.dataDir, 'requested-capabilities.json'),
-      JSON.stringify(this.requestedCapabilities, null, 2)
-    );
-
-    fs.writeFileSync(
-      path.join(this.dataDir, 'votes.json'),
-      JSON.stringify(this.votes, null, 2)
-    );
-
-    fs.writeFileSync(
-      path.join(this.dataDir, 'feedback.json'),
-      JSON.stringify(this.feedback, null, 2)
-    );
+    this.storage.writeJson(path.join(this.dataDir, 'shared-patterns.json'), this.sharedPatterns);
+    this.storage.writeJson(path.join(this.dataDir, 'requested-capabilities.json'), this.requestedCapabilities);
+    this.storage.writeJson(path.join(this.dataDir, 'votes.json'), this.votes);
+    this.storage.writeJson(path.join(this.dataDir, 'feedback.json'), this.feedback);
   }
 
   /**
@@ -123,8 +87,10 @@ class CommunityShare {
       // const response = await axios.post(`${this.apiEndpoint}/patterns`, sharedPattern);
       
       // For now, store locally
-      this.sharedPatterns.push(sharedPattern);
-      this.saveCommunityData();
+      this._update(() => {
+        this.sharedPatterns.push(sharedPattern);
+        this.saveCommunityData();
+      });
 
       return {
         success: true,
@@ -171,8 +137,10 @@ class CommunityShare {
     }
 
     try {
-      this.requestedCapabilities.push(capabilityRequest);
-      this.saveCommunityData();
+      this._update(() => {
+        this.requestedCapabilities.push(capabilityRequest);
+        this.saveCommunityData();
+      });
 
       return {
         success: true,
@@ -219,10 +187,12 @@ class CommunityShare {
     try {
       // Update vote counts
       const voteKey = `${type}:${id}`;
-      this.votes[voteKey] = (this.votes[voteKey] || { up: 0, down: 0 });
-      this.votes[voteKey][vote]++;
-      
-      this.saveCommunityData();
+      this._update(() => {
+        this.votes[voteKey] = (this.votes[voteKey] || { up: 0, down: 0 });
+        this.votes[voteKey][vote]++;
+        
+        this.saveCommunityData();
+      });
 
       return {
         success: true,
@@ -263,8 +233,10 @@ class CommunityShare {
     }
 
     try {
-      this.feedback.push(feedbackRecord);
-      this.saveCommunityData();
+      this._update(() => {
+        this.feedback.push(feedbackRecord);
+        this.saveCommunityData();
+      });
 
       return {
         success: true,
@@ -457,6 +429,23 @@ class CommunityShare {
 
   // Helper methods
 
+  /**
+   * Run a change against the latest community data on disk while holding its lock
+   */
+  _update(mutate) {
+    return this.storage.withLock(path.join(this.dataDir, 'community-data'), () => {
+      this._readCommunityData();
+      return mutate();
+    });
+  }
+
+  _readCommunityData() {
+    this.sharedPatterns = this.storage.readJson(path.join(this.dataDir, 'shared-patterns.json'), this.sharedPatterns);
+    this.requestedCapabilities = this.storage.readJson(path.join(this.dataDir, 'requested-capabilities.json'), this.requestedCapabilities);
+    this.votes = this.storage.readJson(path.join(this.dataDir, 'votes.json'), this.votes);
+    this.feedback = this.storage.readJson(path.join(this.dataDir, 'feedback.json'), this.feedback);
+  }
+
   _generateId() {
     return `comm_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
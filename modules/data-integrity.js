@@ -0,0 +1,305 @@
+/**
+ * Data Integrity
+ *
+ * Checks and repairs the JSON stores in data/:
+ * - check: parse and checksum every store and its .bak generations
+ * - repair: salvage every record that still parses from a corrupt file,
+ *   fill in what is missing from the newest good backup, keep the corrupt
+ *   original as <file>.corrupt-<timestamp> and write the result back
+ * - migrate: move every store to a data schema version (see migrations.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Storage = require('./storage');
+const paths = require('./paths');
+
+class DataIntegrity {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || paths.dataDir();
+    this.storage = options.storage || new Storage();
+  }
+
+  /**
+   * Store files in the data directory (backups and temp files excluded)
+   */
+  files() {
+    try {
+      return fs.readdirSync(this.dataDir)
+        .filter(file => file.endsWith('.json') && !file.startsWith('.'))
+        .sort()
+        .map(file => path.join(this.dataDir, file));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Status of every store: { file, path, status, reason, backups: [{ path, status }] }
+   */
+  check() {
+    return this.files().map(filePath => ({
+      file: path.basename(filePath),
+      ...this.storage.inspect(filePath),
+      backups: this.storage.listBackups(filePath).map(backupPath => ({
+        path: backupPath,
+        status: this.storage.inspect(backupPath).status
+      }))
+    }));
+  }
+
+  /**
+   * Repair corrupt stores; names limits it to those files (e.g. "learning-db.json")
+   */
+  repair(names = []) {
+    const targets = names.length > 0
+      ? names.map(name => path.join(this.dataDir, path.basename(name)))
+      : this.files();
+
+    return targets
+      .filter(filePath => this.storage.inspect(filePath).status === 'corrupt')
+      .map(filePath => this.repairFile(filePath));
+  }
+
+  repairFile(filePath) {
+    const file = path.basename(filePath);
+
+    return this.storage.withLock(filePath, () => {
+      const text = fs.readFileSync(filePath, 'utf8');
+      const salvaged = this.salvage(text);
+      const backup = this._newestGoodBackup(filePath);
+
+      // Salvaged records keep the shape of the schema they were written with
+      if (salvaged.data !== null) {
+        const version = this._salvageVersion(text);
+        salvaged.data = this.storage.migrations.apply(file, salvaged.data, Math.min(version, this.storage.schemaVersion), this.storage.schemaVersion);
+      }
+
+      if (salvaged.data === null && !backup) {
+        return { file, success: false, message: `Nothing in ${file} could be salvaged and it has no good backup` };
+      }
+
+      const { data, fromBackup } = this._mergeWithBackup(salvaged.data, backup ? backup.data : null);
+
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const corruptPath = `${filePath}.corrupt-${stamp}`;
+      fs.copyFileSync(filePath, corruptPath);
+      this.storage.writeJson(filePath, data, { force: true });
+
+      const parts = [`${salvaged.recovered} record(s) salvaged`];
+      if (salvaged.dropped > 0) parts.push(`${salvaged.dropped} unreadable`);
+      if (backup) parts.push(`${fromBackup} restored from ${path.basename(backup.path)}`);
+
+      return {
+        file,
+        success: true,
+        salvaged: salvaged.recovered,
+        dropped: salvaged.dropped,
+        fromBackup,
+        backup: backup ? backup.path : null,
+        corruptPath,
+        message: `Repaired ${file}: ${parts.join(', ')}`
+      };
+    });
+  }
+
+  /**
+   * Recover what still parses from (possibly truncated) JSON text.
+   * Returns { data, recovered, dropped }; data is null when nothing is usable.
+   */
+  salvage(text) {
+    try {
+      const parsed = JSON.parse(text);
+      const data = this._isEnvelope(parsed) ? parsed.data : parsed;
+      return { data, recovered: this._count(data), dropped: 0 };
+    } catch (error) {
+      // Fall through to record-by-record recovery
+    }
+
+    const start = this._containerStart(text);
+    if (start === -1) {
+      return { data: null, recovered: 0, dropped: 0 };
+    }
+
+    const isArray = text[start] === '[';
+    const data = isArray ? [] : {};
+    let dropped = 0;
+
+    this._topLevelChunks(text, start).forEach(chunk => {
+      try {
+        if (isArray) {
+          data.push(JSON.parse(chunk));
+        } else {
+          Object.assign(data, JSON.parse(`{${chunk}}`));
+        }
+      } catch (error) {
+        dropped++;
+      }
+    });
+
+    const recovered = this._count(data);
+    return { data: recovered > 0 ? data : null, recovered, dropped };
+  }
+
+  /**
+   * Migrate every store to options.to (default: the latest schema version).
+   * options.dryRun only reports the steps. Returns one result per file.
+   */
+  migrate(options = {}) {
+    const target = options.to !== undefined ? options.to : this.storage.schemaVersion;
+    const migrations = this.storage.migrations;
+    // Validates the target before any file is touched
+    migrations.plan(1, target);
+
+    return this.files().map(filePath => {
+      const file = path.basename(filePath);
+      const current = this.storage.inspect(filePath);
+
+      if (current.status === 'corrupt') {
+        return { file, success: false, message: `${file} is corrupt; run "evolution data repair" first` };
+      }
+      if (current.status === 'newer') {
+        return { file, success: false, from: current.schemaVersion, message: `${file} is at schema v${current.schemaVersion}, newer than this version supports` };
+      }
+
+      const from = current.schemaVersion;
+      const steps = migrations.plan(from, target)
+        .filter(migration => migration.stores[file])
+        .map(migration => `${migration.direction} ${migration.version}: ${migration.description}`);
+
+      // Files from before versioning are at v1 but still need their header
+      const needsHeader = current.status === 'unchecked';
+      if (from === target && !needsHeader) {
+        return { file, success: true, from, to: target, steps, changed: false, message: `${file} is already at v${target}` };
+      }
+      const change = from === target ? `add a v${target} version header` : `migrate from v${from} to v${target}`;
+      if (options.dryRun) {
+        return { file, success: true, from, to: target, steps, changed: false, message: `${file}: would ${change}` };
+      }
+
+      this.storage.withLock(filePath, () => {
+        const stored = this.storage.readStored(filePath);
+        const data = migrations.apply(file, stored.data, stored.schemaVersion, target);
+        this.storage.writeJson(filePath, data, { schemaVersion: target });
+      });
+      return { file, success: true, from, to: target, steps, changed: true, message: `${file}: ${from === target ? `v${target} version header added` : `migrated from v${from} to v${target}`}` };
+    });
+  }
+
+  // Helper methods
+
+  _newestGoodBackup(filePath) {
+    for (const backupPath of this.storage.listBackups(filePath)) {
+      try {
+        return { path: backupPath, data: this.storage.readJson(backupPath) };
+      } catch (error) {
+        // Try the next generation
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Salvaged records win; records only the backup has are added back
+   */
+  _mergeWithBackup(salvaged, backup) {
+    if (salvaged === null) {
+      return { data: backup, fromBackup: this._count(backup) };
+    }
+    if (backup === null || Array.isArray(salvaged) !== Array.isArray(backup) || typeof backup !== 'object') {
+      return { data: salvaged, fromBackup: 0 };
+    }
+
+    if (Array.isArray(salvaged)) {
+      const keys = new Set(salvaged.map(record => this._recordKey(record)));
+      const missing = backup.filter(record => !keys.has(this._recordKey(record)));
+      return { data: missing.concat(salvaged), fromBackup: missing.length };
+    }
+
+    const missing = Object.keys(backup).filter(key => !(key in salvaged));
+    const data = { ...salvaged };
+    missing.forEach(key => { data[key] = backup[key]; });
+    return { data, fromBackup: missing.length };
+  }
+
+  _salvageVersion(text) {
+    const match = /"schemaVersion"\s*:\s*(\d+)/.exec(text);
+    return match ? parseInt(match[1], 10) : 1;
+  }
+
+  _recordKey(record) {
+    if (record && typeof record === 'object') {
+      if (record.id !== undefined) return `id:${record.id}`;
+      if (record.key !== undefined) return `key:${record.key}`;
+    }
+    return JSON.stringify(record);
+  }
+
+  _isEnvelope(parsed) {
+    return parsed !== null && typeof parsed === 'object' && !Array.isArray(parsed) && parsed._meta && 'data' in parsed;
+  }
+
+  _count(data) {
+    if (Array.isArray(data)) return data.length;
+    if (data && typeof data === 'object') return Object.keys(data).length;
+    return 0;
+  }
+
+  /**
+   * Index of the array/object holding the records: the "data" value of a
+   * checksummed file, otherwise the top-level value
+   */
+  _containerStart(text) {
+    const dataKey = /"data"\s*:\s*([[{])/.exec(text);
+    if (dataKey && /"_meta"/.test(text)) {
+      return dataKey.index + dataKey[0].length - 1;
+    }
+
+    const match = /[[{]/.exec(text);
+    return match ? match.index : -1;
+  }
+
+  /**
+   * Split the container starting at text[start] into its top-level
+   * elements (array items or "key": value pairs), tolerating truncation
+   */
+  _topLevelChunks(text, start) {
+    const chunks = [];
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let chunkStart = start + 1;
+
+    for (let i = start; i < text.length; i++) {
+      const char = text[i];
+
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === '[' || char === '{') {
+        depth++;
+      } else if (char === ']' || char === '}') {
+        depth--;
+        if (depth === 0) {
+          chunks.push(text.slice(chunkStart, i));
+          return chunks.map(chunk => chunk.trim()).filter(Boolean);
+        }
+      } else if (char === ',' && depth === 1) {
+        chunks.push(text.slice(chunkStart, i));
+        chunkStart = i + 1;
+      }
+    }
+
+    // Truncated file: the last partial element will simply fail to parse
+    chunks.push(text.slice(chunkStart));
+    return chunks.map(chunk => chunk.trim()).filter(Boolean);
+  }
+}
+
+module.exports = DataIntegrity;
@@ -0,0 +1,256 @@
+/**
+ * Dependency Planner
+ *
+ * Turns the registry "dependencies" field into an ordered install plan:
+ * - Other capabilities are installed first (topological order)
+ * - System binaries are checked on PATH, never installed
+ * - Node builtins are skipped
+ * - Everything else is treated as an npm package
+ * - Entries naming neither a package nor a capability are reported as invalid
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { builtinModules } = require('module');
+
+// Dependencies that ship as system binaries rather than npm packages
+const KNOWN_BINARIES = [
+  'ffmpeg', 'ffprobe', 'rsync', 'whisper', 'git', 'python', 'python3',
+  'pip', 'docker', 'curl', 'wget', 'imagemagick', 'convert', 'tesseract'
+];
+
+class DependencyPlanner {
+  constructor(options = {}) {
+    this.findCapability = options.findCapability || (() => null);
+    this.npmRoot = options.npmRoot || process.cwd();
+    this.npmRootFor = options.npmRootFor || (() => this.npmRoot);
+    this.binaries = new Set([...KNOWN_BINARIES, ...(options.binaries || [])]);
+  }
+
+  /**
+   * Classify a single dependency entry.
+   * Entries are strings or { name, type } objects where type is one of
+   * capability, binary, npm or node-builtin. An entry with neither a name
+   * nor a capability classifies as { type: 'invalid', name: null, dependency }.
+   */
+  classify(dependency) {
+    const spec = typeof dependency === 'string' ? { name: dependency } : { ...dependency };
+
+    if (typeof spec.capability === 'string' && spec.capability !== '') {
+      return { type: 'capability', name: spec.capability };
+    }
+    if (typeof spec.name !== 'string' || spec.name === '') {
+      return { type: 'invalid', name: null, dependency };
+    }
+    if (spec.type) {
+      return { type: spec.type, name: spec.name };
+    }
+    if (this.findCapability(spec.name)) {
+      return { type: 'capability', name: spec.name };
+    }
+    if (builtinModules.includes(spec.name) || spec.name.startsWith('node:')) {
+      return { type: 'node-builtin', name: spec.name };
+    }
+    if (this.binaries.has(spec.name)) {
+      return { type: 'binary', name: spec.name };
+    }
+    return { type: 'npm', name: spec.name };
+  }
+
+  /**
+   * Build the capability dependency graph reachable from a capability
+   * Returns a Map of capabilityId -> { capability, dependencies: [classified] }
+   */
+  buildGraph(capability) {
+    const graph = new Map();
+    const queue = [capability];
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      if (graph.has(current.id)) continue;
+
+      const dependencies = (current.dependencies || []).map(dep => this.classify(dep));
+      graph.set(current.id, { capability: current, dependencies });
+
+      dependencies
+        .filter(dep => dep.type === 'capability')
+        .forEach(dep => {
+          const child = this.findCapability(dep.name);
+          if (child) queue.push(child);
+        });
+    }
+
+    return graph;
+  }
+
+  /**
+   * Find dependency cycles between capabilities
+   */
+  findCycles(graph) {
+    const cycles = [];
+    const state = new Map(); // id -> 'visiting' | 'done'
+    const stack = [];
+
+    const visit = (id) => {
+      state.set(id, 'visiting');
+      stack.push(id);
+
+      const node = graph.get(id);
+      (node ? node.dependencies : [])
+        .filter(dep => dep.type === 'capability' && graph.has(dep.name))
+        .forEach(dep => {
+          if (state.get(dep.name) === 'visiting') {
+            cycles.push([...stack.slice(stack.indexOf(dep.name)), dep.name]);
+          } else if (!state.has(dep.name)) {
+            visit(dep.name);
+          }
+        });
+
+      stack.pop();
+      state.set(id, 'done');
+    };
+
+    graph.forEach((node, id) => {
+      if (!state.has(id)) visit(id);
+    });
+
+    return cycles;
+  }
+
+  /**
+   * Produce an ordered install plan for a capability
+   */
+  plan(capability, options = {}) {
+    const { installed = [], ownPackage = () => null } = options;
+    const graph = this.buildGraph(capability);
+    const cycles = this.findCycles(graph);
+    const steps = [];
+    const missing = [];
+    const invalid = [];
+
+    if (cycles.length > 0) {
+      return { capability: capability.id, steps, cycles, missing, invalid, ok: false };
+    }
+
+    const seen = new Set();
+    const order = [];
+    const visit = (id) => {
+      if (seen.has(id)) return;
+      seen.add(id);
+      const node = graph.get(id);
+      node.dependencies
+        .filter(dep => dep.type === 'capability')
+        .forEach(dep => {
+          if (graph.has(dep.name)) {
+            visit(dep.name);
+          } else {
+            missing.push({ type: 'capability', name: dep.name, requiredBy: id });
+          }
+        });
+      order.push(id);
+    };
+    visit(capability.id);
+
+    const plannedPackages = new Set();
+
+    order.forEach(id => {
+      const node = graph.get(id);
+      const skipPackage = ownPackage(node.capability);
+
+      node.dependencies.forEach(dep => {
+        if (dep.type === 'binary') {
+          const found = this.findBinary(dep.name);
+          steps.push({ action: 'check-binary', name: dep.name, requiredBy: id, satisfied: !!found, path: found });
+          if (!found) missing.push({ type: 'binary', name: dep.name, requiredBy: id });
+        } else if (dep.type === 'npm') {
+          if (dep.name === skipPackage || plannedPackages.has(dep.name)) return;
+          plannedPackages.add(dep.name);
+          steps.push({ action: 'install-npm', name: dep.name, requiredBy: id, satisfied: this.isNpmInstalled(dep.name) });
+        } else if (dep.type === 'node-builtin') {
+          steps.push({ action: 'skip-builtin', name: dep.name, requiredBy: id, satisfied: true });
+        } else if (dep.type === 'invalid') {
+          invalid.push({ dependency: dep.dependency, requiredBy: id });
+        }
+      });
+
+      steps.push({
+        action: 'install-capability',
+        name: id,
+        requiredBy: id === capability.id ? null : capability.id,
+        satisfied: id !== capability.id && installed.includes(id)
+      });
+    });
+
+    return {
+      capability: capability.id,
+      steps,
+      cycles,
+      missing,
+      invalid,
+      ok: missing.length === 0 && invalid.length === 0
+    };
+  }
+
+  /**
+   * One install plan for several capabilities (a bundle): their plans in
+   * order, each step kept once. Capabilities already installed are satisfied.
+   */
+  planMany(capabilities, options = {}) {
+    const { installed = [] } = options;
+    const plans = capabilities.map(capability => this.plan(capability, options));
+    const steps = [];
+    const missing = [];
+    const invalid = plans.flatMap(plan => plan.invalid);
+
+    plans.forEach(plan => {
+      plan.steps.forEach(step => {
+        if (steps.some(existing => existing.action === step.action && existing.name === step.name)) return;
+        steps.push(step.action === 'install-capability'
+          ? { ...step, satisfied: installed.includes(step.name) }
+          : step);
+      });
+      plan.missing.forEach(entry => {
+        if (!missing.some(existing => existing.type === entry.type && existing.name === entry.name)) {
+          missing.push(entry);
+        }
+      });
+    });
+
+    return {
+      capabilities: capabilities.map(capability => capability.id),
+      steps,
+      cycles: plans.flatMap(plan => plan.cycles),
+      missing,
+      invalid,
+      ok: missing.length === 0 && invalid.length === 0
+    };
+  }
+
+  findBinary(name) {
+    const dirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+    const extensions = process.platform === 'win32'
+      ? (process.env.PATHEXT || '.EXE;.CMD;.BAT').split(';')
+      : [''];
+
+    for (const dir of dirs) {
+      for (const ext of extensions) {
+        const candidate = path.join(dir, name + ext);
+        try {
+          fs.accessSync(candidate, fs.constants.X_OK);
+          return candidate;
+        } catch (error) {
+          // Not in this directory
+        }
+      }
+    }
+    return null;
+  }
+
+  isNpmInstalled(packageName) {
+    return fs.existsSync(path.join(this.npmRootFor(packageName), 'node_modules', packageName, 'package.json'));
+  }
+}
+
+DependencyPlanner.KNOWN_BINARIES = KNOWN_BINARIES;
+
+module.exports = DependencyPlanner;
@@ -0,0 +1,207 @@
+/**
+ * Detection Learner
+ *
+ * Learns detect patterns from how users actually phrase requests. When a
+ * successful workflow used a registry capability whose static detectPatterns
+ * missed its goal, every pair of neighbouring content words in the goal
+ * ("transcribe ... recordings") becomes a candidate trigger phrase for it.
+ * Candidates live in data/learned-detection-patterns.json:
+ *
+ *   { "patterns": [{ id, capability, phrase, pattern, status, support, matches, examples, ... }] }
+ *
+ * Every later goal a pattern matches counts towards "matches", and the ones
+ * where its capability was used towards "support"; precision is
+ * support / matches. Only patterns accepted in review (`evolution patterns
+ * review`) are used for detection; rejected ones are kept so they are not
+ * proposed again.
+ */
+
+const path = require('path');
+const Storage = require('./storage');
+const paths = require('./paths');
+const CapabilityRanker = require('./capability-ranker');
+
+const STATUSES = ['candidate', 'accepted', 'rejected'];
+// Up to this many words may sit between the two words of a phrase
+const MAX_GAP = 2;
+const MIN_WORD_LENGTH = 3;
+const MAX_EXAMPLES = 3;
+const MAX_PATTERNS = 500;
+
+class DetectionLearner {
+  constructor(options = {}) {
+    const dataDir = options.dataDir || paths.dataDir();
+    this.patternsPath = options.patternsPath || path.join(dataDir, 'learned-detection-patterns.json');
+    this.storage = options.storage || new Storage();
+  }
+
+  /**
+   * Learn from one successful goal. used are the registry capability ids the
+   * workflow used; options.covered are those the static patterns already
+   * detect, which need no new phrases. Returns { candidates: [new entries], updated }
+   */
+  observe(goal, used, options = {}) {
+    const covered = options.covered || [];
+    const now = new Date().toISOString();
+    let result;
+
+    this._update(patterns => {
+      let updated = 0;
+      patterns.forEach(entry => {
+        if (!this._matches(entry.pattern, goal)) return;
+        entry.matches += 1;
+        if (used.includes(entry.capability)) {
+          entry.support += 1;
+          entry.examples = [...entry.examples, goal].slice(-MAX_EXAMPLES);
+        }
+        entry.lastSeen = now;
+        updated++;
+      });
+
+      const candidates = [];
+      used.filter(id => !covered.includes(id)).forEach(capability => {
+        this.phrases(goal).forEach(({ phrase, pattern }) => {
+          const id = `${capability}:${phrase.replace(/ /g, '-')}`;
+          if (patterns.some(entry => entry.id === id)) return;
+
+          const entry = {
+            id,
+            capability,
+            phrase,
+            pattern,
+            status: 'candidate',
+            support: 1,
+            matches: 1,
+            examples: [goal],
+            firstSeen: now,
+            lastSeen: now
+          };
+          patterns.push(entry);
+          candidates.push(entry);
+        });
+      });
+
+      // Past the cap, drop the least supported candidates; reviewed entries stay
+      while (patterns.length > MAX_PATTERNS) {
+        const weakest = patterns
+          .filter(entry => entry.status === 'candidate')
+          .sort((a, b) => a.support - b.support || a.lastSeen.localeCompare(b.lastSeen))[0];
+        if (!weakest) break;
+        patterns.splice(patterns.indexOf(weakest), 1);
+      }
+
+      result = { candidates: candidates.filter(entry => patterns.includes(entry)), updated };
+    });
+    return result;
+  }
+
+  /**
+   * Candidate phrases in a goal: [{ phrase, pattern }]
+   */
+  phrases(goal) {
+    const words = (goal.toLowerCase().match(/[a-z0-9]+/g) || []);
+    const content = words
+      .map((word, position) => ({ word, position }))
+      .filter(({ word }) => word.length >= MIN_WORD_LENGTH && !/^\d+$/.test(word) && !CapabilityRanker.STOPWORDS.has(word));
+
+    const found = [];
+    content.forEach((first, i) => {
+      const second = content[i + 1];
+      if (!second || second.position - first.position - 1 > MAX_GAP || second.word === first.word) return;
+
+      const phrase = `${first.word} ${second.word}`;
+      if (!found.some(entry => entry.phrase === phrase)) {
+        found.push({ phrase, pattern: `\\b${first.word}\\b(?:\\W+\\w+){0,${MAX_GAP}}?\\W+${second.word}\\b` });
+      }
+    });
+    return found;
+  }
+
+  /**
+   * Learned patterns with their precision, best supported first.
+   * options.status and options.capability narrow the list.
+   */
+  list(options = {}) {
+    return this._read()
+      .filter(entry => !options.status || entry.status === options.status)
+      .filter(entry => !options.capability || entry.capability === options.capability)
+      .map(entry => ({ ...entry, precision: this._precision(entry) }))
+      .sort((a, b) => b.support - a.support || b.precision - a.precision || a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Accept or reject a learned pattern
+   */
+  review(id, decision) {
+    const status = { accept: 'accepted', reject: 'rejected' }[decision];
+    if (!status) {
+      return { success: false, message: `Unknown review decision "${decision}" (expected accept or reject)` };
+    }
+
+    const found = this._update(patterns => {
+      const entry = patterns.find(candidate => candidate.id === id);
+      if (!entry) return false;
+      entry.status = status;
+      entry.reviewedAt = new Date().toISOString();
+      return true;
+    });
+
+    if (!found) {
+      return { success: false, message: `Learned pattern not found: ${id}` };
+    }
+    return { success: true, message: `${status === 'accepted' ? 'Accepted' : 'Rejected'} ${id}` };
+  }
+
+  /**
+   * Accepted patterns by capability id, for detection: { capabilityId: [pattern] }
+   */
+  overlay() {
+    const overlay = {};
+    this._read().filter(entry => entry.status === 'accepted').forEach(entry => {
+      (overlay[entry.capability] = overlay[entry.capability] || []).push(entry.pattern);
+    });
+    return overlay;
+  }
+
+  // Helper methods
+
+  _read() {
+    try {
+      const stored = this.storage.readJson(this.patternsPath, { patterns: [] });
+      return stored && Array.isArray(stored.patterns) ? stored.patterns.filter(entry => STATUSES.includes(entry.status)) : [];
+    } catch (error) {
+      if (error.code === 'ESCHEMAVERSION') throw error;
+      console.log(`⚠️  ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Locked read-modify-write of the patterns file; returns what mutate returns
+   */
+  _update(mutate) {
+    let result;
+    this.storage.updateJson(this.patternsPath, { patterns: [] }, stored => {
+      const patterns = stored && Array.isArray(stored.patterns) ? stored.patterns : [];
+      result = mutate(patterns);
+      return { patterns };
+    });
+    return result;
+  }
+
+  _precision(entry) {
+    return entry.matches > 0 ? Math.round((entry.support / entry.matches) * 1000) / 1000 : 0;
+  }
+
+  _matches(pattern, text) {
+    try {
+      return new RegExp(pattern, 'i').test(text);
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+DetectionLearner.STATUSES = STATUSES;
+
+module.exports = DetectionLearner;
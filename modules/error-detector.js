@@ -0,0 +1,139 @@
+/**
+ * Error Detector
+ *
+ * Turns runtime errors into missing capabilities. Known signatures name
+ * what was missing:
+ * - Node modules: "Cannot find module 'x'", "Cannot find package 'x'"
+ * - binaries: "x: command not found", "sh: 1: x: not found",
+ *   "spawn x ENOENT", "'x' is not recognized as an internal or external command"
+ * The name is then looked up in the registry: a capability whose npm
+ * package is that module provides it (PROVIDES_CONFIDENCE), one that lists
+ * it in "dependencies" needs it (DEPENDENCY_CONFIDENCE).
+ */
+
+const path = require('path');
+const { builtinModules } = require('module');
+
+const PROVIDES_CONFIDENCE = 0.95;
+const DEPENDENCY_CONFIDENCE = 0.8;
+
+const SIGNATURES = [
+  { kind: 'module', pattern: /Cannot find module ['"]([^'"]+)['"]/g },
+  { kind: 'module', pattern: /Cannot find package ['"]([^'"]+)['"]/g },
+  { kind: 'binary', pattern: /([\w.+-]+): command not found(?!:)/g },
+  { kind: 'binary', pattern: /command not found: ([\w.+-]+)/g },
+  { kind: 'binary', pattern: /\bsh: \d+: ([\w.+-]+): not found/g },
+  { kind: 'binary', pattern: /\bspawn (\S+) ENOENT/g },
+  { kind: 'binary', pattern: /'([^']+)' is not recognized as an internal or external command/g }
+];
+
+class ErrorDetector {
+  /**
+   * What an error says is missing: [{ kind: 'module' | 'binary', name, text }].
+   * error is an Error, a string, or a LearningSystem failure record ({ error }).
+   */
+  signatures(error) {
+    const text = this.text(error);
+    const found = [];
+
+    SIGNATURES.forEach(({ kind, pattern }) => {
+      for (const match of text.matchAll(pattern)) {
+        const name = kind === 'module' ? this._packageName(match[1]) : path.basename(match[1]);
+        if (name && !found.some(signature => signature.kind === kind && signature.name === name)) {
+          found.push({ kind, name, text: match[0] });
+        }
+      }
+    });
+    return found;
+  }
+
+  /**
+   * Capabilities that would fix an error, best first. entries are
+   * [{ capability, category, installer, package }] with the resolved
+   * installer and package of each capability. Each result is
+   * { capability, category, confidence, signatures, reason, explanation }
+   * where signatures are the ones it fixes and reason is 'provides' or
+   * 'dependency' for the strongest of them.
+   */
+  detect(error, entries) {
+    const signatures = this.signatures(error);
+    const results = [];
+
+    entries.forEach(({ capability, category, installer, package: pkg }) => {
+      const explanation = [];
+      const fixed = [];
+
+      signatures.forEach(signature => {
+        let source = null;
+        if (signature.kind === 'module' && installer === 'npm' && this._packageName(pkg || '') === signature.name) {
+          source = 'package';
+        } else if (this._dependencyNames(capability).includes(signature.name)) {
+          source = 'dependency';
+        }
+        if (!source) return;
+
+        fixed.push(signature);
+        explanation.push({
+          term: signature.name,
+          source,
+          contribution: source === 'package' ? PROVIDES_CONFIDENCE : DEPENDENCY_CONFIDENCE
+        });
+      });
+      if (fixed.length === 0) return;
+
+      explanation.sort((a, b) => b.contribution - a.contribution);
+      results.push({
+        capability,
+        category,
+        confidence: explanation[0].contribution,
+        signatures: fixed,
+        reason: explanation[0].source === 'package' ? 'provides' : 'dependency',
+        explanation
+      });
+    });
+
+    // Fixing more of the error breaks ties
+    return results.sort((a, b) => b.confidence - a.confidence || b.signatures.length - a.signatures.length);
+  }
+
+  /**
+   * The text to search: an Error's message (and stderr), a failure
+   * record's error, or the string itself
+   */
+  text(error) {
+    if (!error) return '';
+    if (typeof error === 'string') return error;
+    if (error instanceof Error) {
+      return [error.message, error.stderr ? String(error.stderr) : ''].filter(Boolean).join('\n');
+    }
+    if (typeof error === 'object' && error.error !== undefined) {
+      return this.text(error.error);
+    }
+    return String(error);
+  }
+
+  // Helper methods
+
+  /**
+   * "lodash/fp" -> "lodash", "@scope/pkg/sub" -> "@scope/pkg". Relative
+   * paths, absolute paths and Node builtins name no package.
+   */
+  _packageName(specifier) {
+    if (!specifier || specifier.startsWith('.') || path.isAbsolute(specifier) || specifier.startsWith('node:')) {
+      return null;
+    }
+    const parts = specifier.split('/');
+    const name = specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+    return builtinModules.includes(name) ? null : name;
+  }
+
+  _dependencyNames(capability) {
+    return (capability.dependencies || [])
+      .map(dependency => (typeof dependency === 'string' ? dependency : dependency && dependency.name))
+      .filter(Boolean);
+  }
+}
+
+ErrorDetector.SIGNATURES = SIGNATURES;
+
+module.exports = ErrorDetector;
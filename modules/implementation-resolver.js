@@ -0,0 +1,143 @@
+/**
+ * Implementation Resolver
+ *
+ * Normalizes every registry implementation shape into a concrete installer:
+ * - { type: 'npm', package }
+ * - { type: 'clawhub', package } / { type: 'skill', source: 'clawhub', package }
+ * - { type: 'git', repo } / { type: 'skill', source: 'git', repo }
+ * - { type: 'builtin', codeTemplate }
+ * Entries without a usable type fall back to parsing their installCommand.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const INSTALLERS = ['npm', 'clawhub', 'git', 'builtin'];
+
+class ImplementationResolver {
+  constructor(options = {}) {
+    this.baseDir = options.baseDir || path.join(__dirname, '..');
+  }
+
+  /**
+   * Resolve a capability into { installer, package | repo | modulePath }
+   * Throws when the implementation cannot be mapped to an installer.
+   */
+  resolve(capability) {
+    const implementation = capability.implementation;
+
+    if (!implementation || typeof implementation !== 'object') {
+      throw new Error(`Capability ${capability.id} has no implementation`);
+    }
+
+    const installer = this._detectInstaller(implementation);
+    if (!installer) {
+      throw new Error(
+        `Cannot resolve installer for ${capability.id} ` +
+        `(type: ${implementation.type || 'none'}, source: ${implementation.source || 'none'})`
+      );
+    }
+
+    const resolution = {
+      capabilityId: capability.id,
+      installer,
+      installCommand: implementation.installCommand || null
+    };
+
+    switch (installer) {
+      case 'npm':
+      case 'clawhub':
+        resolution.package = implementation.package || this.parseInstallCommand(implementation.installCommand).target;
+        if (!resolution.package) {
+          throw new Error(`Capability ${capability.id} uses ${installer} but declares no package`);
+        }
+        resolution.version = implementation.version || null;
+        break;
+      case 'git':
+        resolution.repo = implementation.repo || this.parseInstallCommand(implementation.installCommand).target;
+        if (!resolution.repo) {
+          throw new Error(`Capability ${capability.id} uses git but declares no repo`);
+        }
+        resolution.repoName = resolution.repo.split('/').pop().replace(/\.git$/, '');
+        resolution.ref = implementation.ref || null;
+        break;
+      case 'builtin':
+        if (!implementation.codeTemplate) {
+          throw new Error(`Capability ${capability.id} is builtin but declares no codeTemplate`);
+        }
+        resolution.modulePath = implementation.codeTemplate;
+        if (!fs.existsSync(path.join(this.baseDir, resolution.modulePath))) {
+          throw new Error(`Builtin module not found: ${resolution.modulePath}`);
+        }
+        break;
+    }
+
+    return resolution;
+  }
+
+  /**
+   * Resolve every capability in a registry, collecting the ones that fail
+   */
+  resolveAll(registry) {
+    const resolved = [];
+    const unresolved = [];
+
+    Object.entries(registry.categories || {}).forEach(([categoryName, category]) => {
+      (category.capabilities || []).forEach(capability => {
+        try {
+          resolved.push({ ...this.resolve(capability), category: categoryName });
+        } catch (error) {
+          unresolved.push({
+            id: capability.id,
+            category: categoryName,
+            reason: error.message
+          });
+        }
+      });
+    });
+
+    return { resolved, unresolved };
+  }
+
+  /**
+   * Parse "npm install x", "clawhub install x" or "git clone url" into { installer, target }
+   */
+  parseInstallCommand(command) {
+    if (!command) return { installer: null, target: null };
+
+    const parts = command.trim().split(/\s+/);
+    if (parts[0] === 'npm' && (parts[1] === 'install' || parts[1] === 'i')) {
+      return { installer: 'npm', target: parts[2] || null };
+    }
+    if (parts[0] === 'clawhub' && parts[1] === 'install') {
+      return { installer: 'clawhub', target: parts[2] || null };
+    }
+    if (parts[0] === 'git' && parts[1] === 'clone') {
+      return { installer: 'git', target: parts[2] || null };
+    }
+
+    return { installer: null, target: null };
+  }
+
+  // Helper methods
+
+  _detectInstaller(implementation) {
+    const { type, source } = implementation;
+
+    if (type === 'skill') {
+      if (INSTALLERS.includes(source)) return source;
+      if (implementation.repo) return 'git';
+      return this.parseInstallCommand(implementation.installCommand).installer;
+    }
+
+    if (INSTALLERS.includes(type)) {
+      return type;
+    }
+
+    return this.parseInstallCommand(implementation.installCommand).installer;
+  }
+}
+
+ImplementationResolver.INSTALLERS = INSTALLERS;
+
+module.exports = ImplementationResolver;
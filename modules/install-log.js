@@ -0,0 +1,64 @@
+/**
+ * Install Log
+ *
+ * One log file per install/uninstall/upgrade run, written to
+ * data/install-logs/<capability-id>-<timestamp>.log with the commands that
+ * ran, their stdout/stderr and the outcome.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const paths = require('./paths');
+
+class InstallLog {
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(paths.dataDir(), 'install-logs');
+    this.capabilityId = options.capabilityId;
+    this.action = options.action || 'install';
+    this.startedAt = new Date();
+
+    const stamp = this.startedAt.toISOString().replace(/[:.]/g, '-');
+    this.path = path.join(this.dir, `${this._safeName(this.capabilityId)}-${stamp}.log`);
+    this.fd = null;
+  }
+
+  open() {
+    if (!fs.existsSync(this.dir)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+    this.fd = fs.openSync(this.path, 'a');
+    this.line(`# ${this.action} ${this.capabilityId} started ${this.startedAt.toISOString()}`);
+    return this;
+  }
+
+  /**
+   * Append raw output exactly as the child process produced it
+   */
+  write(chunk) {
+    if (this.fd !== null) {
+      fs.writeSync(this.fd, chunk);
+    }
+  }
+
+  line(text) {
+    this.write(text.endsWith('\n') ? text : `${text}\n`);
+  }
+
+  close(outcome) {
+    if (this.fd === null) return;
+    if (outcome) {
+      const seconds = ((Date.now() - this.startedAt.getTime()) / 1000).toFixed(1);
+      this.line(`# ${outcome} after ${seconds}s`);
+    }
+    fs.closeSync(this.fd);
+    this.fd = null;
+  }
+
+  // Helper methods
+
+  _safeName(name) {
+    return String(name || 'install').replace(/[^a-zA-Z0-9._-]/g, '_');
+  }
+}
+
+module.exports = InstallLog;
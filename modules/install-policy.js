@@ -0,0 +1,251 @@
+/**
+ * Install Policy
+ *
+ * Decides what detectAndEvolve() may do with a detected capability:
+ * - install: install it without asking
+ * - ask: install only after confirmation
+ * - suggest: only report it
+ * The policy lives in data/install-policy.json:
+ *
+ *   {
+ *     "allow": { "capabilities": [], "categories": [], "types": [] },
+ *     "deny": { "capabilities": [], "categories": [], "types": [] },
+ *     "minPriority": "medium",
+ *     "maxInstallsPerDay": 3,
+ *     "requireConfirmation": true
+ *   }
+ *
+ * Rules are checked in order and the first one that fires decides:
+ * deny by id, allow by id, deny by category/type, allow lists (when not
+ * empty, anything they do not list is only suggested), minPriority,
+ * maxInstallsPerDay (asks once reached), requireConfirmation.
+ * Every decision is logged to data/policy-decisions.json with its rule.
+ */
+
+const path = require('path');
+const Storage = require('./storage');
+const paths = require('./paths');
+
+const PRIORITIES = { low: 1, medium: 2, high: 3 };
+const LIST_KINDS = { capability: 'capabilities', category: 'categories', type: 'types' };
+const MAX_DECISION_LOG = 500;
+
+const DEFAULT_POLICY = {
+  allow: { capabilities: [], categories: [], types: [] },
+  deny: { capabilities: [], categories: [], types: [] },
+  minPriority: 'medium',
+  maxInstallsPerDay: 3,
+  requireConfirmation: true
+};
+
+class InstallPolicy {
+  constructor(options = {}) {
+    const dataDir = options.dataDir || paths.dataDir();
+    this.policyPath = options.policyPath || path.join(dataDir, 'install-policy.json');
+    this.logPath = options.logPath || path.join(dataDir, 'policy-decisions.json');
+    this.storage = options.storage || new Storage();
+  }
+
+  /**
+   * The policy on disk, with defaults for anything it leaves out
+   */
+  load() {
+    let stored = {};
+    try {
+      stored = this.storage.readJson(this.policyPath, {}) || {};
+    } catch (error) {
+      if (error.code === 'ESCHEMAVERSION') throw error;
+      console.log(`⚠️  ${error.message}`);
+    }
+    return this._normalize(stored);
+  }
+
+  /**
+   * Decide for one capability: { action: 'install' | 'ask' | 'suggest', rule, reason }.
+   * context.category and context.type (installer) come from the registry.
+   */
+  decide(capability, context = {}, options = {}) {
+    const policy = this.load();
+    const facts = {
+      capability: capability.id,
+      category: context.category || null,
+      type: context.type || null
+    };
+    const listed = (list, kind) => facts[kind] !== null && policy[list][LIST_KINDS[kind]].includes(facts[kind]);
+
+    if (listed('deny', 'capability')) {
+      return this._decision('suggest', 'deny.capabilities', `${capability.id} is on the deny list`);
+    }
+
+    const allowedById = listed('allow', 'capability');
+    if (!allowedById) {
+      for (const kind of ['category', 'type']) {
+        if (listed('deny', kind)) {
+          return this._decision('suggest', `deny.${LIST_KINDS[kind]}`, `${kind} ${facts[kind]} is on the deny list`);
+        }
+      }
+      for (const kind of ['capability', 'category', 'type']) {
+        const allowList = policy.allow[LIST_KINDS[kind]];
+        if (allowList.length > 0 && !listed('allow', kind)) {
+          return this._decision('suggest', `allow.${LIST_KINDS[kind]}`, `${kind} ${facts[kind] || '(unknown)'} is not on the allow list`);
+        }
+      }
+    }
+
+    const priority = capability.priority || 'low';
+    if (PRIORITIES[priority] < PRIORITIES[policy.minPriority]) {
+      return this._decision('suggest', 'minPriority', `priority ${priority} is below ${policy.minPriority}`);
+    }
+
+    const today = this.installsToday(options.now);
+    if (policy.maxInstallsPerDay !== null && today >= policy.maxInstallsPerDay) {
+      return this._decision('ask', 'maxInstallsPerDay', `${today} of ${policy.maxInstallsPerDay} automatic installs used today`);
+    }
+
+    if (policy.requireConfirmation) {
+      return this._decision('ask', 'requireConfirmation', 'the policy requires confirmation');
+    }
+
+    return this._decision('install', allowedById ? 'allow.capabilities' : 'default', 'allowed by the policy');
+  }
+
+  /**
+   * Append a decision (and what came of it) to the decision log
+   */
+  record(entry) {
+    const logged = { at: new Date().toISOString(), ...entry };
+    this.storage.updateJson(this.logPath, { decisions: [] }, log => {
+      log.decisions = (Array.isArray(log.decisions) ? log.decisions : []).concat(logged).slice(-MAX_DECISION_LOG);
+    });
+    return logged;
+  }
+
+  /**
+   * Logged decisions, newest last
+   */
+  decisions(limit = null) {
+    let decisions = [];
+    try {
+      decisions = this.storage.readJson(this.logPath, { decisions: [] }).decisions || [];
+    } catch (error) {
+      if (error.code === 'ESCHEMAVERSION') throw error;
+      console.log(`⚠️  ${error.message}`);
+    }
+    return limit ? decisions.slice(-limit) : decisions;
+  }
+
+  /**
+   * Successful installs made through the policy since midnight (UTC)
+   */
+  installsToday(now = Date.now()) {
+    const day = new Date(now).toISOString().slice(0, 10);
+    return this.decisions().filter(decision => decision.installed && decision.at.slice(0, 10) === day).length;
+  }
+
+  /**
+   * Change minPriority, maxInstallsPerDay or requireConfirmation
+   */
+  set(key, value) {
+    let parsed;
+    switch (key) {
+      case 'minPriority':
+        if (!PRIORITIES[value]) {
+          return { success: false, message: `minPriority must be one of: ${Object.keys(PRIORITIES).join(', ')}` };
+        }
+        parsed = value;
+        break;
+      case 'maxInstallsPerDay':
+        parsed = value === 'none' || value === null ? null : Number(value);
+        if (parsed !== null && (!Number.isInteger(parsed) || parsed < 0)) {
+          return { success: false, message: 'maxInstallsPerDay must be a whole number or "none"' };
+        }
+        break;
+      case 'requireConfirmation':
+        if (![true, false, 'true', 'false'].includes(value)) {
+          return { success: false, message: 'requireConfirmation must be true or false' };
+        }
+        parsed = value === true || value === 'true';
+        break;
+      default:
+        return { success: false, message: `Unknown policy setting: ${key}` };
+    }
+
+    this._update(policy => { policy[key] = parsed; });
+    return { success: true, message: `${key} set to ${parsed === null ? 'none' : parsed}` };
+  }
+
+  /**
+   * Add (or with remove, take off) a capability id, category or type on the allow or deny list
+   */
+  list(listName, kind, value, options = {}) {
+    if (!['allow', 'deny'].includes(listName)) {
+      return { success: false, message: `Unknown list: ${listName}` };
+    }
+    if (!LIST_KINDS[kind]) {
+      return { success: false, message: `Unknown kind "${kind}" (expected one of: ${Object.keys(LIST_KINDS).join(', ')})` };
+    }
+
+    const changed = this._update(policy => {
+      const entries = policy[listName][LIST_KINDS[kind]];
+      if (options.remove) {
+        if (!entries.includes(value)) return false;
+        policy[listName][LIST_KINDS[kind]] = entries.filter(entry => entry !== value);
+      } else {
+        if (entries.includes(value)) return false;
+        entries.push(value);
+      }
+      return true;
+    });
+
+    const where = `${listName}.${LIST_KINDS[kind]}`;
+    if (!changed) {
+      return { success: false, message: options.remove ? `${value} is not in ${where}` : `${value} is already in ${where}` };
+    }
+    return { success: true, message: options.remove ? `Removed ${value} from ${where}` : `Added ${value} to ${where}` };
+  }
+
+  // Helper methods
+
+  _decision(action, rule, reason) {
+    return { action, rule, reason };
+  }
+
+  /**
+   * Locked read-modify-write of the policy file; returns what mutate returns
+   */
+  _update(mutate) {
+    let result;
+    this.storage.updateJson(this.policyPath, {}, stored => {
+      const policy = this._normalize(stored || {});
+      result = mutate(policy);
+      return policy;
+    });
+    return result;
+  }
+
+  _normalize(stored) {
+    const lists = (source = {}) => {
+      const normalized = {};
+      Object.values(LIST_KINDS).forEach(key => {
+        normalized[key] = Array.isArray(source[key]) ? [...source[key]] : [];
+      });
+      return normalized;
+    };
+
+    return {
+      allow: lists(stored.allow),
+      deny: lists(stored.deny),
+      minPriority: PRIORITIES[stored.minPriority] ? stored.minPriority : DEFAULT_POLICY.minPriority,
+      maxInstallsPerDay: stored.maxInstallsPerDay === null || Number.isInteger(stored.maxInstallsPerDay)
+        ? stored.maxInstallsPerDay
+        : DEFAULT_POLICY.maxInstallsPerDay,
+      requireConfirmation: typeof stored.requireConfirmation === 'boolean'
+        ? stored.requireConfirmation
+        : DEFAULT_POLICY.requireConfirmation
+    };
+  }
+}
+
+InstallPolicy.DEFAULT_POLICY = DEFAULT_POLICY;
+
+module.exports = InstallPolicy;
@@ -0,0 +1,143 @@
+/**
+ * Install Queue
+ *
+ * Persists failed capability installs in data/install-queue.json so they
+ * survive restarts and can be retried:
+ * - attempts, first/last failure and the last error
+ * - an error class (network, lock, timeout, ...) from the message and install log
+ * - exponential backoff between attempts, giving up after maxAttempts
+ * Only transient classes are retried automatically.
+ */
+
+const path = require('path');
+const Storage = require('./storage');
+const paths = require('./paths');
+
+const TRANSIENT_CLASSES = ['network', 'lock', 'timeout'];
+
+const ERROR_PATTERNS = [
+  // Lists the blocked scripts, which may mention anything below
+  { errorClass: 'risk', pattern: /^Blocked by risk review/ },
+  { errorClass: 'network', pattern: /ENOTFOUND|EAI_AGAIN|ECONNRESET|ECONNREFUSED|ETIMEDOUT|ENETUNREACH|EHOSTUNREACH|socket hang up|network|Could not resolve host|unable to access|fetch failed|\b50[234]\b/i },
+  { errorClass: 'lock', pattern: /EBUSY|ELOCKED|index\.lock|lock file|another (npm|git) process|resource temporarily unavailable/i },
+  { errorClass: 'verification', pattern: /Verification failed/ },
+  { errorClass: 'dependency', pattern: /Missing dependencies|Dependency cycle/ }
+];
+
+class InstallQueue {
+  constructor(options = {}) {
+    this.queuePath = options.queuePath || path.join(paths.dataDir(), 'install-queue.json');
+    this.baseDelay = options.baseDelay || 60 * 1000;
+    this.maxDelay = options.maxDelay || 6 * 60 * 60 * 1000;
+    this.maxAttempts = options.maxAttempts || 5;
+    this.storage = options.storage || new Storage();
+    this.entries = {};
+    this.load();
+  }
+
+  load() {
+    try {
+      this.entries = this.storage.readJson(this.queuePath, { entries: {} }).entries || {};
+    } catch (error) {
+      if (error.code === 'ESCHEMAVERSION') throw error;
+      console.log(error.code === 'ECORRUPT' ? `⚠️  ${error.message}` : 'No install queue found yet');
+      this.entries = {};
+    }
+  }
+
+  /**
+   * Locked read-modify-write of the queue file; mutate gets the on-disk entries
+   */
+  update(mutate) {
+    let result;
+    const data = this.storage.updateJson(this.queuePath, { entries: {} }, current => {
+      current.entries = current.entries || {};
+      result = mutate(current.entries);
+      current.lastUpdated = new Date().toISOString();
+    });
+    this.entries = data.entries;
+    return result;
+  }
+
+  /**
+   * Classify a failure; details is extra text such as the tail of the install log
+   */
+  classify(message, reason = null, details = '') {
+    if (reason === 'timeout' || reason === 'cancelled') return reason;
+
+    const text = `${message || ''}\n${details || ''}`;
+    const match = ERROR_PATTERNS.find(({ pattern }) => pattern.test(text));
+    return match ? match.errorClass : 'error';
+  }
+
+  isTransient(errorClass) {
+    return TRANSIENT_CLASSES.includes(errorClass);
+  }
+
+  /**
+   * Record a failed attempt and schedule the next one
+   */
+  recordFailure(capabilityId, failure = {}) {
+    const now = failure.now || Date.now();
+    const errorClass = this.classify(failure.message, failure.reason, failure.details);
+
+    return this.update(entries => {
+      const previous = entries[capabilityId];
+      const attempts = (previous ? previous.attempts : 0) + 1;
+      const delay = Math.min(this.baseDelay * Math.pow(2, attempts - 1), this.maxDelay);
+
+      entries[capabilityId] = {
+        id: capabilityId,
+        attempts,
+        errorClass,
+        transient: this.isTransient(errorClass),
+        lastError: failure.message || 'Unknown error',
+        logPath: failure.logPath || null,
+        firstFailedAt: previous ? previous.firstFailedAt : new Date(now).toISOString(),
+        lastFailedAt: new Date(now).toISOString(),
+        nextAttemptAt: new Date(now + delay).toISOString(),
+        status: attempts >= this.maxAttempts ? 'given-up' : 'pending'
+      };
+      return entries[capabilityId];
+    });
+  }
+
+  /**
+   * Forget a capability once it installs (or is no longer wanted)
+   */
+  remove(capabilityId) {
+    return this.update(entries => {
+      if (!entries[capabilityId]) return false;
+      delete entries[capabilityId];
+      return true;
+    });
+  }
+
+  clear() {
+    this.update(entries => {
+      Object.keys(entries).forEach(id => delete entries[id]);
+    });
+  }
+
+  list() {
+    return Object.values(this.entries)
+      .sort((a, b) => Date.parse(a.nextAttemptAt) - Date.parse(b.nextAttemptAt));
+  }
+
+  /**
+   * Entries whose backoff has elapsed.
+   * options.transientOnly limits to network/lock/timeout failures; options.force ignores backoff and give-up.
+   */
+  due(options = {}) {
+    const now = options.now || Date.now();
+    return this.list().filter(entry => {
+      if (options.transientOnly && !entry.transient) return false;
+      if (options.force) return true;
+      return entry.status === 'pending' && Date.parse(entry.nextAttemptAt) <= now;
+    });
+  }
+}
+
+InstallQueue.TRANSIENT_CLASSES = TRANSIENT_CLASSES;
+
+module.exports = InstallQueue;
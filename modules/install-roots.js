@@ -0,0 +1,231 @@
+/**
+ * Install Roots
+ *
+ * Where each installer puts what it installs, instead of assuming the
+ * package sits two levels below an OpenClaw workspace:
+ * - npm: directory whose node_modules/ receives npm packages
+ * - git: directory skills are cloned into
+ * - clawhub: working directory for the clawhub CLI
+ * Each root is, in order: an explicit option, an environment variable
+ * (EVOLUTION_NPM_ROOT, EVOLUTION_GIT_ROOT, EVOLUTION_CLAWHUB_ROOT), the
+ * config file data/install-roots.json, then a default derived from the
+ * OpenClaw home (npm and clawhub: the home itself, git: <home>/skills) or,
+ * without one, from EVOLUTION_HOME.
+ *
+ * The OpenClaw home is $OPENCLAW_HOME, the openclawHome config entry, the
+ * nearest .openclaw/ above the working directory or this package, or
+ * ~/.openclaw when it exists.
+ *
+ * Earlier versions installed npm packages into the workspace two levels
+ * above this package. While the npm root is a default one, a package found
+ * only there is still read and removed there (see npmRootFor).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Storage = require('./storage');
+const paths = require('./paths');
+
+const INSTALLERS = ['npm', 'git', 'clawhub'];
+const ENV_VARS = {
+  npm: 'EVOLUTION_NPM_ROOT',
+  git: 'EVOLUTION_GIT_ROOT',
+  clawhub: 'EVOLUTION_CLAWHUB_ROOT'
+};
+const OPENCLAW_DIR = '.openclaw';
+
+class InstallRoots {
+  constructor(options = {}) {
+    const dataDir = options.dataDir || paths.dataDir();
+    this.configPath = options.configPath || path.join(dataDir, 'install-roots.json');
+    this.storage = options.storage || new Storage();
+    this.overrides = options.overrides || {};
+    this.env = options.env || process.env;
+    this.cwd = options.cwd || process.cwd();
+    this.packageDir = options.packageDir || path.join(__dirname, '..');
+  }
+
+  /**
+   * Resolved directory for an installer
+   */
+  root(installer) {
+    return this.resolve(installer).dir;
+  }
+
+  /**
+   * Resolved directory for an installer, created if missing
+   */
+  ensure(installer) {
+    const dir = this.root(installer);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    return dir;
+  }
+
+  /**
+   * Resolve one installer root: { installer, dir, source: 'option' | 'env' | 'config' | 'openclaw' | 'default' }
+   */
+  resolve(installer) {
+    if (!INSTALLERS.includes(installer)) {
+      throw new Error(`Unknown installer "${installer}" (expected one of: ${INSTALLERS.join(', ')})`);
+    }
+
+    if (this.overrides[installer]) {
+      return { installer, dir: path.resolve(this.overrides[installer]), source: 'option' };
+    }
+    if (this.env[ENV_VARS[installer]]) {
+      return { installer, dir: path.resolve(this.env[ENV_VARS[installer]]), source: 'env' };
+    }
+
+    const config = this._readConfig();
+    if (config[installer]) {
+      return { installer, dir: path.resolve(config[installer]), source: 'config' };
+    }
+
+    const openclaw = this.openclawHome();
+    const base = openclaw ? openclaw.dir : paths.evolutionHome(this.env);
+    return {
+      installer,
+      dir: installer === 'git' ? path.join(base, 'skills') : base,
+      source: openclaw ? 'openclaw' : 'default'
+    };
+  }
+
+  /**
+   * npm root holding packageName: the resolved one, or the legacy workspace
+   * root when the package is only there and no npm root was configured
+   */
+  npmRootFor(packageName) {
+    const { dir, source } = this.resolve('npm');
+    if (!['openclaw', 'default'].includes(source) || this._hasPackage(dir, packageName)) return dir;
+
+    const legacy = this.legacyNpmRoot();
+    return this._hasPackage(legacy, packageName) ? legacy : dir;
+  }
+
+  /**
+   * Where npm packages went before install roots existed
+   */
+  legacyNpmRoot() {
+    return path.resolve(this.packageDir, '..', '..');
+  }
+
+  /**
+   * Every installer root, in a fixed order
+   */
+  resolveAll() {
+    return INSTALLERS.map(installer => this.resolve(installer));
+  }
+
+  /**
+   * Detected OpenClaw home: { dir, source: 'env' | 'config' | 'workspace' | 'package' | 'home' }, or null
+   */
+  openclawHome() {
+    if (this.env.OPENCLAW_HOME) {
+      return { dir: path.resolve(this.env.OPENCLAW_HOME), source: 'env' };
+    }
+
+    const config = this._readConfig();
+    if (config.openclawHome) {
+      return { dir: path.resolve(config.openclawHome), source: 'config' };
+    }
+
+    // Walking up from inside the home directory finds ~/.openclaw itself
+    const home = path.join(this.env.HOME || os.homedir(), OPENCLAW_DIR);
+    const fromCwd = this._findUp(this.cwd);
+    if (fromCwd) return { dir: fromCwd, source: fromCwd === home ? 'home' : 'workspace' };
+
+    const fromPackage = this._findUp(this.packageDir);
+    if (fromPackage) return { dir: fromPackage, source: fromPackage === home ? 'home' : 'package' };
+
+    if (this._isDirectory(home)) return { dir: home, source: 'home' };
+
+    return null;
+  }
+
+  /**
+   * Store a root in the config file (installer may also be "openclawHome")
+   */
+  set(installer, dir) {
+    this._checkKey(installer);
+    const resolved = path.resolve(dir);
+    this._updateConfig(config => { config[installer] = resolved; });
+    return { success: true, message: `${installer} root set to ${resolved}` };
+  }
+
+  /**
+   * Remove a root from the config file so the default applies again
+   */
+  unset(installer) {
+    this._checkKey(installer);
+    const removed = this._updateConfig(config => {
+      if (!config[installer]) return false;
+      delete config[installer];
+      return true;
+    });
+    if (!removed) {
+      return { success: false, message: `No ${installer} root configured` };
+    }
+    return { success: true, message: `${installer} root reset to its default` };
+  }
+
+  // Helper methods
+
+  _readConfig() {
+    try {
+      const config = this.storage.readJson(this.configPath, {});
+      return config && typeof config === 'object' && !Array.isArray(config) ? config : {};
+    } catch (error) {
+      if (error.code === 'ESCHEMAVERSION') throw error;
+      return {};
+    }
+  }
+
+  /**
+   * Locked read-modify-write of the config; returns what mutate returns
+   */
+  _updateConfig(mutate) {
+    let result;
+    this.storage.updateJson(this.configPath, {}, config => {
+      result = mutate(config);
+      return config;
+    });
+    return result;
+  }
+
+  _checkKey(installer) {
+    if (!INSTALLERS.includes(installer) && installer !== 'openclawHome') {
+      throw new Error(`Unknown installer "${installer}" (expected one of: ${INSTALLERS.join(', ')}, openclawHome)`);
+    }
+  }
+
+  _findUp(startDir) {
+    let dir = path.resolve(startDir);
+    while (true) {
+      const candidate = path.join(dir, OPENCLAW_DIR);
+      if (this._isDirectory(candidate)) return candidate;
+
+      const parent = path.dirname(dir);
+      if (parent === dir) return null;
+      dir = parent;
+    }
+  }
+
+  _hasPackage(root, packageName) {
+    return fs.existsSync(path.join(root, 'node_modules', packageName, 'package.json'));
+  }
+
+  _isDirectory(dir) {
+    try {
+      return fs.statSync(dir).isDirectory();
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+InstallRoots.INSTALLERS = INSTALLERS;
+
+module.exports = InstallRoots;
@@ -5,65 +5,41 @@
  * Builds a knowledge base of effective approaches
  */
 
-const fs = require('fs');
 const path = require('path');
+const Storage = require('./storage');
+const paths = require('./paths');
 
 class LearningSystem {
-  constructor() {
-    this.dataDir = path.join(__dirname, '..', 'data');
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || paths.dataDir();
+    this.storage = options.storage || new Storage();
     this.learnedPatterns = [];
     this.successfulWorkflows = [];
     this.failedAttempts = [];
+    // Called with every recorded success, e.g. to mine detect patterns
+    this.onSuccess = options.onSuccess || null;
     
     this.loadLearningData();
   }
 
   loadLearningData() {
-    const patternsPath = path.join(this.dataDir, 'learned-patterns.json');
-    const workflowsPath = path.join(this.dataDir, 'successful-workflows.json');
-    const failuresPath = path.join(this.dataDir, 'failed-attempts.json');
-
     try {
-      if (fs.existsSync(patternsPath)) {
-        const data = fs.readFileSync(patternsPath, 'utf8');
-        this.learnedPatterns = JSON.parse(data);
-      }
-      
-      if (fs.existsSync(workflowsPath)) {
-        const data = fs.readFileSync(workflowsPath, 'utf8');
-        this.successfulWorkflows = JSON.parse(data);
-      }
-
-      if (fs.existsSync(failuresPath)) {
-        const data = fs.readFileSync(failuresPath, 'utf8');
-        this.failedAttempts = JSON.parse(data);
-      }
-
+      this._readLearningData();
       console.log(`✓ Learning system loaded with ${this.learnedPatterns.length} patterns, ${this.successfulWorkflows.length} successful workflows`);
     } catch (error) {
-      console.log('No previous learning data found. Starting fresh.');
+      if (error.code === 'ESCHEMAVERSION') throw error;
+      if (error.code === 'ECORRUPT') {
+        console.log(`⚠️  ${error.message}`);
+      } else {
+        console.log('No previous learning data found. Starting fresh.');
+      }
     }
   }
 
   saveLearningData() {
-    if (!fs.existsSync(this.dataDir)) {
-      fs.mkdirSync(this.dataDir, { recursive: true });
-    }
-
-    fs.writeFileSync(
-      path.join(this.dataDir, 'learned-patterns.json'),
-      JSON.stringify(this.learnedPatterns, null, 2)
-    );
-
-    fs.writeFileSync(
-      path.join(this.dataDir, 'successful-workflows.json'),
-      JSON.stringify(this.successfulWorkflows, null, 2)
-    );
-
-    fs.writeFileSync(
-      path.join(this.dataDir, 'failed-attempts.json'),
-      JSON.stringify(this.failedAttempts, null, 2)
-    );
+    this.storage.writeJson(path.join(this.dataDir, 'learned-patterns.json'), this.learnedPatterns);
+    this.storage.writeJson(path.join(this.dataDir, 'successful-workflows.json'), this.successfulWorkflows);
+    this.storage.writeJson(path.join(this.dataDir, 'failed-attempts.json'), this.failedAttempts);
   }
 
   /**
@@ -81,11 +57,21 @@ class LearningSystem {
       context: workflow.context || {}
     };
 
-    this.successfulWorkflows.push(record);
-    this.saveLearningData();
+    this._update(() => {
+      this.successfulWorkflows.push(record);
+      this.saveLearningData();
+
+      // Extract patterns from this success
+      this._extractPatternsFromWorkflow(record);
+    });
 
-    // Extract patterns from this success
-    this._extractPatternsFromWorkflow(record);
+    if (this.onSuccess) {
+      try {
+        this.onSuccess(record);
+      } catch (error) {
+        console.log(`⚠️  Could not learn from workflow ${record.id}: ${error.message}`);
+      }
+    }
 
     return record.id;
   }
@@ -104,11 +90,13 @@ class LearningSystem {
       suggestion: failure.suggestion
     };
 
-    this.failedAttempts.push(record);
-    this.saveLearningData();
+    this._update(() => {
+      this.failedAttempts.push(record);
+      this.saveLearningData();
 
-    // Learn from failure
-    this._learnFromFailure(record);
+      // Learn from failure
+      this._learnFromFailure(record);
+    });
 
     return record.id;
   }
@@ -366,15 +354,17 @@ class LearningSystem {
   cleanupOldEntries(daysOld = 30) {
     const cutoff = new Date(Date.now() - daysOld * 24 * 60 * 60 * 1000);
 
-    this.successfulWorkflows = this.successfulWorkflows.filter(wf => 
-      new Date(wf.timestamp) > cutoff
-    );
+    this._update(() => {
+      this.successfulWorkflows = this.successfulWorkflows.filter(wf => 
+        new Date(wf.timestamp) > cutoff
+      );
 
-    this.failedAttempts = this.failedAttempts.filter(f => 
-      new Date(f.timestamp) > cutoff
-    );
+      this.failedAttempts = this.failedAttempts.filter(f => 
+        new Date(f.timestamp) > cutoff
+      );
 
-    this.saveLearningData();
+      this.saveLearningData();
+    });
     
     return {
       removedWorkflows: this.successfulWorkflows.length,
@@ -384,6 +374,22 @@ class LearningSystem {
 
   // Helper methods
 
+  /**
+   * Run a change against the latest data on disk while holding the learning data lock
+   */
+  _update(mutate) {
+    return this.storage.withLock(path.join(this.dataDir, 'learning-data'), () => {
+      this._readLearningData();
+      return mutate();
+    });
+  }
+
+  _readLearningData() {
+    this.learnedPatterns = this.storage.readJson(path.join(this.dataDir, 'learned-patterns.json'), this.learnedPatterns);
+    this.successfulWorkflows = this.storage.readJson(path.join(this.dataDir, 'successful-workflows.json'), this.successfulWorkflows);
+    this.failedAttempts = this.storage.readJson(path.join(this.dataDir, 'failed-attempts.json'), this.failedAttempts);
+  }
+
   _generateId() {
     return `learn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
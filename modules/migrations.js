@@ -0,0 +1,78 @@
+/**
+ * Migrations
+ *
+ * Registry of data schema versions for the stores in data/. Every file is
+ * written with _meta.schemaVersion; files from before versioning count as
+ * version 1. A migration lists, per store file, an up step (to this version)
+ * and a down step (back to the previous one):
+ *
+ *   {
+ *     version: 2,
+ *     description: 'Split pattern useCase into useCases',
+ *     stores: {
+ *       'learned-patterns.json': {
+ *         up: patterns => patterns.map(...),
+ *         down: patterns => patterns.map(...)
+ *       }
+ *     }
+ *   }
+ *
+ * Stores a migration does not mention are carried over unchanged.
+ */
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Baseline: record shapes of Evolution Core v2.0',
+    stores: {}
+  }
+];
+
+class Migrations {
+  constructor(options = {}) {
+    this.migrations = [...(options.migrations || MIGRATIONS)].sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * The schema version this code reads and writes
+   */
+  latest() {
+    return this.migrations.length > 0 ? this.migrations[this.migrations.length - 1].version : 1;
+  }
+
+  /**
+   * Migrations between two versions, in the order they must run
+   */
+  plan(from, to) {
+    if (!Number.isInteger(to) || to < 1 || to > this.latest()) {
+      throw new Error(`Unknown schema version ${to} (supported: 1 to ${this.latest()})`);
+    }
+    if (from <= to) {
+      return this.migrations
+        .filter(migration => migration.version > from && migration.version <= to)
+        .map(migration => ({ ...migration, direction: 'up' }));
+    }
+    return this.migrations
+      .filter(migration => migration.version <= from && migration.version > to)
+      .reverse()
+      .map(migration => ({ ...migration, direction: 'down' }));
+  }
+
+  /**
+   * Run one store's data through the steps from one version to another
+   */
+  apply(store, data, from, to) {
+    return this.plan(from, to).reduce((current, migration) => {
+      const step = migration.stores[store];
+      if (!step) return current;
+      if (typeof step[migration.direction] !== 'function') {
+        throw new Error(`Migration ${migration.version} has no ${migration.direction} step for ${store}`);
+      }
+      return step[migration.direction](current);
+    }, data);
+  }
+}
+
+Migrations.MIGRATIONS = MIGRATIONS;
+
+module.exports = Migrations;
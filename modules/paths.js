@@ -0,0 +1,123 @@
+/**
+ * Paths
+ *
+ * Where Evolution Core keeps its state. The data directory is, in order:
+ * 1. an explicit directory (--data-dir, setDataDir() or options.dataDir)
+ * 2. the nearest .evolution/ workspace above the working directory,
+ *    using .evolution/data/ (so every project builds up its own state)
+ * 3. $EVOLUTION_HOME/data, with EVOLUTION_HOME defaulting to ~/.evolution
+ * Data from the old location inside the package (data/) is copied to
+ * ~/.evolution/data the first time that directory is used.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const WORKSPACE_DIR = '.evolution';
+const LEGACY_DATA_DIR = path.join(__dirname, '..', 'data');
+
+let dataDirOverride = null;
+let legacyChecked = false;
+
+/**
+ * The per-user Evolution Core directory
+ */
+function evolutionHome(env = process.env) {
+  return path.resolve(env.EVOLUTION_HOME || path.join(os.homedir(), WORKSPACE_DIR));
+}
+
+/**
+ * Nearest .evolution/ directory at or above startDir, skipping the home directory itself
+ */
+function findWorkspace(startDir = process.cwd(), env = process.env) {
+  const home = evolutionHome(env);
+  let dir = path.resolve(startDir);
+
+  while (true) {
+    const candidate = path.join(dir, WORKSPACE_DIR);
+    if (candidate !== home && _isDirectory(candidate)) {
+      return candidate;
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Use dir for every store created afterwards (null restores discovery)
+ */
+function setDataDir(dir) {
+  dataDirOverride = dir ? path.resolve(dir) : null;
+}
+
+/**
+ * Resolve the data directory: { dataDir, source: 'option' | 'workspace' | 'home', workspace }
+ */
+function resolveDataDir(options = {}) {
+  const env = options.env || process.env;
+  const explicit = options.dataDir || dataDirOverride;
+  const workspace = findWorkspace(options.cwd || process.cwd(), env);
+
+  if (explicit) {
+    return { dataDir: path.resolve(explicit), source: 'option', workspace };
+  }
+  if (workspace) {
+    return { dataDir: path.join(workspace, 'data'), source: 'workspace', workspace };
+  }
+  return { dataDir: path.join(evolutionHome(env), 'data'), source: 'home', workspace: null };
+}
+
+function dataDir(options = {}) {
+  const resolved = resolveDataDir(options);
+  const env = options.env || process.env;
+  if (resolved.source === 'home' && !env.EVOLUTION_HOME) {
+    _adoptLegacyData(resolved.dataDir);
+  }
+  return resolved.dataDir;
+}
+
+/**
+ * Create a .evolution/ workspace in dir; returns its path
+ */
+function initWorkspace(dir = process.cwd()) {
+  const workspace = path.join(path.resolve(dir), WORKSPACE_DIR);
+  fs.mkdirSync(path.join(workspace, 'data'), { recursive: true });
+  return workspace;
+}
+
+/**
+ * Copy data/ from inside the package to the per-user directory once, so an
+ * upgrade does not start from scratch (the package copy is left in place)
+ */
+function _adoptLegacyData(target) {
+  if (legacyChecked) return;
+  legacyChecked = true;
+
+  if (fs.existsSync(target) || path.resolve(target) === path.resolve(LEGACY_DATA_DIR)) return;
+  if (!_isDirectory(LEGACY_DATA_DIR) || fs.readdirSync(LEGACY_DATA_DIR).length === 0) return;
+
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.cpSync(LEGACY_DATA_DIR, target, { recursive: true });
+  console.log(`✓ Copied data from ${LEGACY_DATA_DIR} to ${target}`);
+}
+
+function _isDirectory(dir) {
+  try {
+    return fs.statSync(dir).isDirectory();
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  WORKSPACE_DIR,
+  evolutionHome,
+  findWorkspace,
+  setDataDir,
+  resolveDataDir,
+  dataDir,
+  initWorkspace
+};
@@ -7,11 +7,14 @@
 
 const fs = require('fs');
 const path = require('path');
+const Storage = require('./storage');
+const paths = require('./paths');
 
 class PatternExtractor {
-  constructor(learningSystem) {
+  constructor(learningSystem, options = {}) {
     this.learningSystem = learningSystem;
-    this.dataDir = path.join(__dirname, '..', 'data');
+    this.dataDir = options.dataDir || paths.dataDir();
+    this.storage = options.storage || new Storage();
     this.skillTemplates = [];
     
     this.loadSkillTemplates();
@@ -21,24 +24,21 @@ class PatternExtractor {
     const templatesPath = path.join(this.dataDir, 'skill-templates.json');
     try {
       if (fs.existsSync(templatesPath)) {
-        const data = fs.readFileSync(templatesPath, 'utf8');
-        this.skillTemplates = JSON.parse(data);
+        this.skillTemplates = this.storage.readJson(templatesPath, []);
         console.log(`✓ Loaded ${this.skillTemplates.length} skill templates`);
       }
     } catch (error) {
-      console.log('No skill templates found yet');
+      if (error.code === 'ESCHEMAVERSION') throw error;
+      if (error.code === 'ECORRUPT') {
+        console.log(`⚠️  ${error.message}`);
+      } else {
+        console.log('No skill templates found yet');
+      }
     }
   }
 
   saveSkillTemplates() {
-    if (!fs.existsSync(this.dataDir)) {
-      fs.mkdirSync(this.dataDir, { recursive: true });
-    }
-
-    fs.writeFileSync(
-      path.join(this.dataDir, 'skill-templates.json'),
-      JSON.stringify(this.skillTemplates, null, 2)
-    );
+    this.storage.writeJson(path.join(this.dataDir, 'skill-templates.json'), this.skillTemplates);
   }
 
   /**
@@ -65,28 +65,35 @@ class PatternExtractor {
       examples: [workflow.context]
     };
 
-    // Check if similar template exists
-    const existing = this._findSimilarTemplate(template);
-    
-    if (existing) {
-      // Merge with existing
-      existing.successCount++;
-      existing.examples.push(workflow.context);
-      existing.lastUsed = new Date().toISOString();
-      
-      if (!template.estimatedDuration) {
-        // Update duration estimate
-        existing.estimatedDuration = template.estimatedDuration;
-      }
+    // Merge against the templates on disk, other processes may have added some
+    const templatesPath = path.join(this.dataDir, 'skill-templates.json');
+    return this.storage.withLock(templatesPath, () => {
+      this.skillTemplates = this.storage.readJson(templatesPath, this.skillTemplates);
 
-      return { merged: true, template: existing };
-    } else {
-      // Add new template
-      this.skillTemplates.push(template);
-      this.saveSkillTemplates();
+      // Check if similar template exists
+      const existing = this._findSimilarTemplate(template);
       
-      return { merged: false, template };
-    }
+      if (existing) {
+        // Merge with existing
+        existing.successCount++;
+        existing.examples.push(workflow.context);
+        existing.lastUsed = new Date().toISOString();
+        
+        if (!template.estimatedDuration) {
+          // Update duration estimate
+          existing.estimatedDuration = template.estimatedDuration;
+        }
+
+        this.saveSkillTemplates();
+        return { merged: true, template: existing };
+      } else {
+        // Add new template
+        this.skillTemplates.push(template);
+        this.saveSkillTemplates();
+        
+        return { merged: false, template };
+      }
+    });
   }
 
   /**
@@ -0,0 +1,230 @@
+/**
+ * Registry Feed
+ *
+ * Pulls capability registries from HTTP feeds into a local cache:
+ * - feeds are configured by URL in data/registry-feeds.json
+ *   (plus EVOLUTION_REGISTRY_FEEDS, comma separated)
+ * - refreshes are conditional (ETag / If-Modified-Since)
+ * - when a feed is unreachable the cached copy keeps being used
+ * Cached feeds become registry layers between the bundled registry and
+ * the user overlays (see registry-loader.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const RegistryValidator = require('./registry-validator');
+const Storage = require('./storage');
+const paths = require('./paths');
+
+const DEFAULT_MAX_AGE = 60 * 60 * 1000;
+const DEFAULT_TIMEOUT = 10000;
+
+class RegistryFeed {
+  constructor(options = {}) {
+    const dataDir = options.dataDir || paths.dataDir();
+    this.configPath = options.configPath || path.join(dataDir, 'registry-feeds.json');
+    this.cacheDir = options.cacheDir || path.join(dataDir, 'registry-cache');
+    this.maxAge = options.maxAge !== undefined ? options.maxAge : DEFAULT_MAX_AGE;
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.env = options.env || process.env;
+    this.validator = options.validator || new RegistryValidator();
+    this.http = options.http || axios;
+    this.storage = options.storage || new Storage();
+  }
+
+  /**
+   * Configured feed URLs, config file first, then the environment
+   */
+  list() {
+    const urls = this._readConfig().feeds.map(feed => feed.url);
+    (this.env.EVOLUTION_REGISTRY_FEEDS || '')
+      .split(',')
+      .map(url => url.trim())
+      .filter(url => url && !urls.includes(url))
+      .forEach(url => urls.push(url));
+    return urls;
+  }
+
+  add(url) {
+    if (!/^https?:\/\//.test(url)) {
+      return { success: false, message: `Feed URL must be http(s): ${url}` };
+    }
+
+    const added = this._updateConfig(config => {
+      if (config.feeds.some(feed => feed.url === url)) return false;
+      config.feeds.push({ url, addedAt: new Date().toISOString() });
+      return true;
+    });
+    if (!added) {
+      return { success: false, message: `Feed already configured: ${url}` };
+    }
+    return { success: true, message: `Added registry feed ${url}` };
+  }
+
+  remove(url) {
+    const removed = this._updateConfig(config => {
+      const remaining = config.feeds.filter(feed => feed.url !== url);
+      if (remaining.length === config.feeds.length) return false;
+      config.feeds = remaining;
+      return true;
+    });
+    if (!removed) {
+      return { success: false, message: `Feed not configured: ${url}` };
+    }
+
+    this._removeCache(url);
+    return { success: true, message: `Removed registry feed ${url}` };
+  }
+
+  /**
+   * Fetch every feed that is older than maxAge (or all of them with force).
+   * Never throws: unreachable feeds report status "offline" and keep their cache.
+   */
+  async refresh(options = {}) {
+    const results = [];
+    for (const url of this.list()) {
+      results.push(await this.refreshFeed(url, options));
+    }
+    return results;
+  }
+
+  async refreshFeed(url, options = {}) {
+    const meta = this._readMeta(url);
+    const cached = meta && fs.existsSync(this._cachePath(url));
+
+    if (!options.force && cached && Date.now() - Date.parse(meta.checkedAt) < this.maxAge) {
+      return { url, status: 'fresh', fetchedAt: meta.fetchedAt };
+    }
+
+    const headers = {};
+    if (cached && meta.etag) headers['If-None-Match'] = meta.etag;
+    if (cached && meta.lastModified) headers['If-Modified-Since'] = meta.lastModified;
+
+    let response;
+    try {
+      response = await this.http.get(url, {
+        headers,
+        timeout: this.timeout,
+        responseType: 'text',
+        transformResponse: data => data,
+        validateStatus: status => status === 200 || status === 304
+      });
+    } catch (error) {
+      const reason = error.response ? `HTTP ${error.response.status}` : (error.code || error.message);
+      return {
+        url,
+        status: cached ? 'offline' : 'unavailable',
+        error: reason,
+        fetchedAt: cached ? meta.fetchedAt : null
+      };
+    }
+
+    const checkedAt = new Date().toISOString();
+
+    if (response.status === 304) {
+      this._writeMeta(url, { ...meta, checkedAt });
+      return { url, status: 'not-modified', fetchedAt: meta.fetchedAt };
+    }
+
+    const { issue } = this.validator.parse(response.data, url);
+    if (issue) {
+      return { url, status: cached ? 'offline' : 'unavailable', error: issue.message, fetchedAt: cached ? meta.fetchedAt : null };
+    }
+
+    this.storage.writeText(this._cachePath(url), response.data);
+    this._writeMeta(url, {
+      url,
+      etag: response.headers.etag || null,
+      lastModified: response.headers['last-modified'] || null,
+      fetchedAt: checkedAt,
+      checkedAt
+    });
+
+    return { url, status: 'updated', fetchedAt: checkedAt };
+  }
+
+  /**
+   * Registry layers for every feed with a cached copy, in configured order
+   */
+  sources() {
+    return this.list()
+      .filter(url => fs.existsSync(this._cachePath(url)))
+      .map(url => ({ layer: 'feed', path: this._cachePath(url), source: url }));
+  }
+
+  /**
+   * Describe each configured feed and its cache
+   */
+  status() {
+    return this.list().map(url => {
+      const meta = this._readMeta(url) || {};
+      return {
+        url,
+        cached: fs.existsSync(this._cachePath(url)),
+        etag: meta.etag || null,
+        lastModified: meta.lastModified || null,
+        fetchedAt: meta.fetchedAt || null,
+        checkedAt: meta.checkedAt || null
+      };
+    });
+  }
+
+  // Helper methods
+
+  _readConfig() {
+    try {
+      const config = this.storage.readJson(this.configPath, { feeds: [] });
+      return { ...config, feeds: Array.isArray(config.feeds) ? config.feeds : [] };
+    } catch (error) {
+      if (error.code === 'ESCHEMAVERSION') throw error;
+      return { feeds: [] };
+    }
+  }
+
+  /**
+   * Locked read-modify-write of the feed config; returns what mutate returns
+   */
+  _updateConfig(mutate) {
+    let result;
+    this.storage.updateJson(this.configPath, { feeds: [] }, config => {
+      config.feeds = Array.isArray(config.feeds) ? config.feeds : [];
+      result = mutate(config);
+      return config;
+    });
+    return result;
+  }
+
+  _cacheKey(url) {
+    return crypto.createHash('sha1').update(url).digest('hex').slice(0, 16);
+  }
+
+  _cachePath(url) {
+    return path.join(this.cacheDir, `${this._cacheKey(url)}.json`);
+  }
+
+  _metaPath(url) {
+    return path.join(this.cacheDir, `${this._cacheKey(url)}.meta.json`);
+  }
+
+  _readMeta(url) {
+    try {
+      return this.storage.readJson(this._metaPath(url));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  _writeMeta(url, meta) {
+    this.storage.writeJson(this._metaPath(url), meta);
+  }
+
+  _removeCache(url) {
+    [this._cachePath(url), this._metaPath(url)].forEach(file => {
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+    });
+  }
+}
+
+module.exports = RegistryFeed;
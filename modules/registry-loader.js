@@ -0,0 +1,348 @@
+/**
+ * Registry Loader
+ *
+ * Merges capability registries from several layers, later layers winning:
+ * 1. bundled  - capabilities/registry.json
+ * 2. feed     - cached copies of remote feeds (see registry-feed.js)
+ * 3. user     - $EVOLUTION_HOME/registry.d/*.json (alphabetical, default ~/.evolution)
+ * 4. project  - registry.json in the nearest .evolution/ workspace (see paths.js)
+ *
+ * Overlay files use the same shape as the bundled registry. Within a layer:
+ * - a capability whose id already exists overrides only the fields it sets
+ *   (implementation fields merge unless the installer type changes)
+ * - "disabled": true on a capability or category removes it
+ * - anything else is added
+ * Bundles (top-level "bundles") merge the same way by name: a later layer
+ * overrides the fields it sets, and "disabled": true removes the bundle.
+ * Every effective entry remembers which layer defined and overrode it.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RegistryValidator = require('./registry-validator');
+const paths = require('./paths');
+
+const DEFAULT_BUNDLED_PATH = path.join(__dirname, '..', 'capabilities', 'registry.json');
+
+class RegistryLoader {
+  constructor(options = {}) {
+    this.bundledPath = options.bundledPath || DEFAULT_BUNDLED_PATH;
+    this.userDir = options.userDir || path.join(paths.evolutionHome(), 'registry.d');
+    this.projectPath = options.projectPath ||
+      path.join(paths.findWorkspace() || path.join(process.cwd(), paths.WORKSPACE_DIR), 'registry.json');
+    this.validator = options.validator || new RegistryValidator();
+    this.feedSources = options.feedSources || (() => []);
+  }
+
+  /**
+   * List registry layers in merge order, including ones that do not exist
+   */
+  sources() {
+    const sources = [{ layer: 'bundled', path: this.bundledPath }, ...this.feedSources()];
+
+    if (fs.existsSync(this.userDir)) {
+      fs.readdirSync(this.userDir)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .forEach(file => sources.push({ layer: 'user', path: path.join(this.userDir, file) }));
+    }
+
+    sources.push({ layer: 'project', path: this.projectPath });
+
+    return sources.map(source => ({ ...source, exists: fs.existsSync(source.path) }));
+  }
+
+  /**
+   * Merge every layer and validate the result.
+   * Returns { registry, issues, layers, provenance }
+   */
+  load() {
+    const state = {
+      categories: new Map(),
+      capabilities: new Map(),
+      bundles: new Map(),
+      disabled: [],
+      issues: []
+    };
+    const layers = [];
+    let metadata = {};
+
+    this.sources().forEach(source => {
+      const layer = {
+        layer: source.layer,
+        path: source.path,
+        source: source.source || this._displayPath(source.path),
+        loaded: false,
+        capabilities: 0
+      };
+      layers.push(layer);
+      if (!source.exists) return;
+
+      const text = fs.readFileSync(source.path, 'utf8');
+      const { registry, issue } = this.validator.parse(text, layer.source);
+      if (issue) {
+        state.issues.push(issue);
+        return;
+      }
+
+      layer.loaded = true;
+      layer.text = text;
+      if (source.layer === 'bundled') {
+        const { categories, bundles, $schema, ...rest } = registry;
+        metadata = rest;
+      }
+      this._applyLayer(registry, layer, state);
+    });
+
+    const { registry, slots } = this._buildRegistry(state, metadata);
+    const validation = this.validator.validate(registry, {
+      locate: segments => this._locate(segments, slots, state)
+    });
+
+    layers.forEach(layer => {
+      delete layer.text;
+      delete layer.positions;
+    });
+
+    return {
+      registry,
+      issues: [...state.issues, ...validation.issues],
+      layers,
+      provenance: this._provenance(state)
+    };
+  }
+
+  // Helper methods
+
+  _applyLayer(registry, layer, state) {
+    Object.entries((registry && registry.categories) || {}).forEach(([categoryName, category]) => {
+      if (!category || typeof category !== 'object') return;
+      const categorySegments = ['categories', categoryName];
+
+      if (category.disabled === true) {
+        state.categories.delete(categoryName);
+        [...state.capabilities.entries()]
+          .filter(([, entry]) => entry.category === categoryName)
+          .forEach(([id]) => state.capabilities.delete(id));
+        state.disabled.push({ type: 'category', id: categoryName, source: layer.source });
+        return;
+      }
+
+      let target = state.categories.get(categoryName);
+      if (!target) {
+        target = {
+          description: category.description,
+          origin: { layer, segments: categorySegments },
+          definedIn: layer.source,
+          overriddenBy: []
+        };
+        state.categories.set(categoryName, target);
+      } else if (category.description !== undefined) {
+        target.description = category.description;
+        target.overriddenBy.push(layer.source);
+      }
+
+      (Array.isArray(category.capabilities) ? category.capabilities : []).forEach((capability, index) => {
+        const segments = [...categorySegments, 'capabilities', index];
+        const origin = { layer, segments };
+        const id = capability && typeof capability === 'object' && capability.id
+          ? capability.id
+          : `${layer.source}#${categoryName}[${index}]`;
+        const existing = state.capabilities.get(id);
+
+        if (capability && capability.disabled === true) {
+          if (existing) {
+            state.capabilities.delete(id);
+          } else {
+            state.issues.push({
+              severity: 'warning',
+              path: this.validator.formatPath(segments),
+              message: `Disables unknown capability "${id}"`,
+              capabilityId: id,
+              ...this._position(origin)
+            });
+          }
+          state.disabled.push({ type: 'capability', id, source: layer.source });
+          return;
+        }
+
+        layer.capabilities++;
+
+        if (!existing) {
+          const fields = {};
+          Object.keys(capability || {}).forEach(key => { fields[key] = this._fieldOrigin(origin, key); });
+          state.capabilities.set(id, {
+            category: categoryName,
+            capability: capability && typeof capability === 'object' ? { ...capability } : capability,
+            origin,
+            fields,
+            definedIn: layer.source,
+            overriddenBy: []
+          });
+          return;
+        }
+
+        this._mergeCapability(existing, capability, origin);
+        existing.category = categoryName;
+        existing.overriddenBy.push(layer.source);
+      });
+    });
+
+    this._applyBundles(registry, layer, state);
+  }
+
+  _applyBundles(registry, layer, state) {
+    Object.entries((registry && registry.bundles) || {}).forEach(([name, bundle]) => {
+      if (!bundle || typeof bundle !== 'object') return;
+      const origin = { layer, segments: ['bundles', name] };
+
+      if (bundle.disabled === true) {
+        state.bundles.delete(name);
+        state.disabled.push({ type: 'bundle', id: name, source: layer.source });
+        return;
+      }
+
+      const existing = state.bundles.get(name);
+      if (!existing) {
+        state.bundles.set(name, { bundle: { ...bundle }, origin, definedIn: layer.source, overriddenBy: [] });
+        return;
+      }
+      Object.assign(existing.bundle, bundle);
+      existing.overriddenBy.push(layer.source);
+    });
+  }
+
+  _mergeCapability(existing, overlay, origin) {
+    Object.entries(overlay).forEach(([key, value]) => {
+      if (key === 'id') return;
+
+      const current = existing.capability[key];
+      const mergeable = key === 'implementation' && current && typeof current === 'object' &&
+        value && typeof value === 'object' && (!value.type || value.type === current.type);
+
+      if (mergeable) {
+        existing.capability.implementation = { ...current, ...value };
+        Object.keys(value).forEach(field => {
+          existing.fields[`implementation.${field}`] = this._fieldOrigin(origin, key, field);
+        });
+        return;
+      }
+
+      existing.capability[key] = value;
+      existing.fields[key] = this._fieldOrigin(origin, key);
+      Object.keys(existing.fields)
+        .filter(field => field.startsWith(`${key}.`))
+        .forEach(field => delete existing.fields[field]);
+    });
+  }
+
+  _fieldOrigin(origin, ...keys) {
+    return { layer: origin.layer, segments: [...origin.segments, ...keys], depth: keys.length };
+  }
+
+  _buildRegistry(state, metadata) {
+    const categories = {};
+    const slots = {};
+
+    state.categories.forEach((category, name) => {
+      categories[name] = { capabilities: [] };
+      if (category.description !== undefined) {
+        categories[name].description = category.description;
+      }
+      slots[name] = [];
+    });
+
+    state.capabilities.forEach(entry => {
+      if (!categories[entry.category]) return;
+      categories[entry.category].capabilities.push(entry.capability);
+      slots[entry.category].push(entry);
+    });
+
+    const registry = { installedCapabilities: [], failedInstallations: [], ...metadata, categories };
+    if (state.bundles.size > 0) {
+      registry.bundles = {};
+      state.bundles.forEach((entry, name) => { registry.bundles[name] = entry.bundle; });
+    }
+
+    return { registry, slots };
+  }
+
+  /**
+   * Map a path in the merged registry back to the file (and line) that supplied it
+   */
+  _locate(segments, slots, state) {
+    const [root, categoryName, list, index, ...rest] = segments;
+    const entry = root === 'categories' && list === 'capabilities' && slots[categoryName]
+      ? slots[categoryName][index]
+      : null;
+
+    if (entry) {
+      const origin = (rest.length >= 2 && entry.fields[`${rest[0]}.${rest[1]}`]) ||
+        (rest.length >= 1 && entry.fields[rest[0]]) ||
+        { ...entry.origin, depth: 0 };
+      return this._position(origin, rest.slice(origin.depth));
+    }
+
+    const category = root === 'categories' ? state.categories.get(categoryName) : null;
+    if (category) {
+      return this._position(category.origin, segments.slice(2));
+    }
+
+    const bundle = root === 'bundles' ? state.bundles.get(categoryName) : null;
+    if (bundle) {
+      return this._position(bundle.origin, segments.slice(2));
+    }
+
+    return { source: this._displayPath(this.bundledPath), line: null, column: null };
+  }
+
+  _position(origin, rest = []) {
+    const { layer } = origin;
+    if (!layer.positions && layer.text) {
+      layer.positions = this.validator.locate(layer.text);
+    }
+    const position = layer.positions
+      ? this.validator.closestPosition(layer.positions, [...origin.segments, ...rest])
+      : null;
+    return {
+      source: layer.source,
+      line: position ? position.line : null,
+      column: position ? position.column : null
+    };
+  }
+
+  _provenance(state) {
+    const capabilities = {};
+    state.capabilities.forEach((entry, id) => {
+      if (!state.categories.has(entry.category)) return;
+      capabilities[id] = {
+        category: entry.category,
+        definedIn: entry.definedIn,
+        overriddenBy: entry.overriddenBy
+      };
+    });
+
+    const categories = {};
+    state.categories.forEach((category, name) => {
+      categories[name] = { definedIn: category.definedIn, overriddenBy: category.overriddenBy };
+    });
+
+    const bundles = {};
+    state.bundles.forEach((entry, name) => {
+      bundles[name] = { definedIn: entry.definedIn, overriddenBy: entry.overriddenBy };
+    });
+
+    return { capabilities, categories, bundles, disabled: state.disabled };
+  }
+
+  _displayPath(filePath) {
+    const relative = path.relative(process.cwd(), filePath);
+    if (!relative.startsWith('..')) return relative;
+
+    const home = os.homedir();
+    return filePath.startsWith(home + path.sep) ? `~${filePath.slice(home.length)}` : filePath;
+  }
+}
+
+module.exports = RegistryLoader;
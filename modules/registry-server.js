@@ -0,0 +1,127 @@
+/**
+ * Registry Server
+ *
+ * Minimal HTTP server for hosting registry feeds from a directory:
+ * - GET /             -> index of the *.json registries in the directory
+ * - GET /<name>.json  -> the registry file, with ETag and Last-Modified
+ * Conditional requests (If-None-Match / If-Modified-Since) get 304 responses,
+ * so it pairs with RegistryFeed for internal mirrors and local testing.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+
+const FILE_PATTERN = /^[\w.-]+\.json$/;
+
+class RegistryServer {
+  constructor(options = {}) {
+    this.dir = path.resolve(options.dir || path.join(__dirname, '..', 'capabilities'));
+    this.port = options.port !== undefined ? options.port : 4873;
+    this.host = options.host || '127.0.0.1';
+    this.server = null;
+  }
+
+  /**
+   * Start listening; resolves with { url, port }
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => this._handle(req, res));
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        const { port } = this.server.address();
+        resolve({ url: `http://${this.host}:${port}`, port });
+      });
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => {
+      if (!this.server) return resolve();
+      this.server.close(() => resolve());
+      this.server.closeAllConnections();
+      this.server = null;
+    });
+  }
+
+  // Helper methods
+
+  _handle(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      return this._send(res, 405, { error: 'Method not allowed' });
+    }
+
+    let name;
+    try {
+      name = decodeURIComponent(req.url.split('?')[0]).replace(/^\/+/, '');
+    } catch (error) {
+      // A malformed escape such as %E0%A4%A must not take the server down
+      return this._send(res, 400, { error: 'Malformed request path' });
+    }
+
+    if (name === '' || name === 'index.json') {
+      return this._send(res, 200, { registries: this._listRegistries() });
+    }
+
+    if (!FILE_PATTERN.test(name)) {
+      return this._send(res, 404, { error: `Not found: ${name}` });
+    }
+
+    const filePath = path.join(this.dir, name);
+    let body;
+    let stats;
+    try {
+      body = fs.readFileSync(filePath);
+      stats = fs.statSync(filePath);
+    } catch (error) {
+      return this._send(res, 404, { error: `Not found: ${name}` });
+    }
+
+    const etag = `"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+    const lastModified = new Date(Math.floor(stats.mtimeMs / 1000) * 1000).toUTCString();
+    const headers = {
+      'Content-Type': 'application/json',
+      'ETag': etag,
+      'Last-Modified': lastModified,
+      'Cache-Control': 'no-cache'
+    };
+
+    if (this._notModified(req, etag, stats)) {
+      res.writeHead(304, headers);
+      return res.end();
+    }
+
+    res.writeHead(200, { ...headers, 'Content-Length': body.length });
+    res.end(req.method === 'HEAD' ? undefined : body);
+  }
+
+  _notModified(req, etag, stats) {
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch) {
+      return ifNoneMatch.split(',').map(tag => tag.trim()).includes(etag);
+    }
+
+    const ifModifiedSince = Date.parse(req.headers['if-modified-since'] || '');
+    return !isNaN(ifModifiedSince) && Math.floor(stats.mtimeMs / 1000) * 1000 <= ifModifiedSince;
+  }
+
+  _listRegistries() {
+    try {
+      return fs.readdirSync(this.dir)
+        .filter(file => FILE_PATTERN.test(file) && !file.endsWith('.schema.json'))
+        .sort();
+    } catch (error) {
+      return [];
+    }
+  }
+
+  _send(res, status, payload) {
+    const body = JSON.stringify(payload, null, 2);
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) });
+    res.end(body);
+  }
+}
+
+module.exports = RegistryServer;
@@ -0,0 +1,439 @@
+/**
+ * Registry Validator
+ *
+ * Checks a capability registry against capabilities/registry.schema.json and
+ * the rules a schema cannot express:
+ * - every detectPattern (and verify.expect) compiles as a RegExp
+ * - capability ids are unique across categories
+ * - each installCommand agrees with the implementation it describes
+ * - npm version ranges parse
+ * - bundles list capabilities, and ones the registry defines
+ * Every issue carries a JSON path and, when source text is given, a line/column.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ImplementationResolver = require('./implementation-resolver');
+const { isValidRange } = require('./version-utils');
+
+const DEFAULT_SCHEMA_PATH = path.join(__dirname, '..', 'capabilities', 'registry.schema.json');
+
+class RegistryValidator {
+  constructor(options = {}) {
+    this.schema = options.schema || JSON.parse(fs.readFileSync(options.schemaPath || DEFAULT_SCHEMA_PATH, 'utf8'));
+    this.resolver = options.resolver || new ImplementationResolver();
+  }
+
+  /**
+   * Validate a registry file on disk
+   */
+  validateFile(filePath) {
+    return this.validateText(fs.readFileSync(filePath, 'utf8'), filePath);
+  }
+
+  /**
+   * Parse and validate registry JSON text, returning { registry, issues, valid }
+   */
+  validateText(text, source = 'registry.json') {
+    const { registry, issue } = this.parse(text, source);
+    if (issue) {
+      return { registry: null, issues: [issue], valid: false };
+    }
+
+    return this.validate(registry, { text, source });
+  }
+
+  /**
+   * Parse registry JSON text, returning { registry } or { issue } pointing at the syntax error
+   */
+  parse(text, source = 'registry.json') {
+    try {
+      return { registry: JSON.parse(text), issue: null };
+    } catch (error) {
+      const match = error.message.match(/position (\d+)/);
+      const location = match ? this._lineColumn(text, parseInt(match[1], 10)) : { line: null, column: null };
+      const issue = { severity: 'error', path: '(root)', message: `Invalid JSON: ${error.message}`, source, ...location };
+      return { registry: null, issue };
+    }
+  }
+
+  /**
+   * Validate an already parsed registry
+   */
+  validate(registry, options = {}) {
+    const { text = null, source = 'registry.json' } = options;
+    const issues = [];
+
+    this._checkSchema(registry, this.schema, [], issues);
+    this._checkSemantics(registry, issues);
+
+    // Callers merging several files pass locate(segments) -> { source, line, column }
+    const positions = text ? this.locate(text) : new Map();
+    const locate = options.locate || (segments => {
+      const position = this.closestPosition(positions, segments);
+      return { source, line: position ? position.line : null, column: position ? position.column : null };
+    });
+
+    issues.forEach(issue => {
+      const [root, category, list, index] = issue.segments;
+      if (issue.category === undefined && root === 'categories' && list === 'capabilities' && typeof index === 'number') {
+        const capability = registry.categories[category].capabilities[index];
+        Object.assign(issue, { capabilityId: capability && capability.id, category, index });
+      }
+      Object.assign(issue, locate(issue.segments));
+      delete issue.segments;
+    });
+
+    return {
+      registry,
+      issues,
+      valid: !issues.some(issue => issue.severity === 'error')
+    };
+  }
+
+  /**
+   * Format an issue as "file:line:column path: message"
+   */
+  formatIssue(issue) {
+    const location = issue.line ? `${issue.source}:${issue.line}:${issue.column}` : issue.source;
+    return `${location} ${issue.path}: ${issue.message}`;
+  }
+
+  /**
+   * Render path segments as "categories.files.capabilities[0].id"
+   */
+  formatPath(segments) {
+    if (segments.length === 0) return '(root)';
+    return segments.reduce((out, segment) => {
+      if (typeof segment === 'number') return `${out}[${segment}]`;
+      return out ? `${out}.${segment}` : segment;
+    }, '');
+  }
+
+  /**
+   * Map every JSON path in valid JSON text to the line/column where its value starts
+   */
+  locate(text) {
+    const positions = new Map();
+    let i = 0;
+
+    const skipWhitespace = () => {
+      while (i < text.length && /\s/.test(text[i])) i++;
+    };
+    const readString = () => {
+      const start = i++;
+      while (text[i] !== '"') {
+        if (text[i] === '\\') i++;
+        i++;
+      }
+      i++;
+      return JSON.parse(text.slice(start, i));
+    };
+    const readValue = (segments) => {
+      skipWhitespace();
+      positions.set(this.formatPath(segments), this._lineColumn(text, i));
+
+      if (text[i] === '{') {
+        i++;
+        skipWhitespace();
+        if (text[i] === '}') { i++; return; }
+        for (;;) {
+          skipWhitespace();
+          const key = readString();
+          skipWhitespace();
+          i++; // colon
+          readValue([...segments, key]);
+          skipWhitespace();
+          if (text[i++] === ',') continue;
+          return;
+        }
+      }
+
+      if (text[i] === '[') {
+        i++;
+        skipWhitespace();
+        if (text[i] === ']') { i++; return; }
+        for (let index = 0; ; index++) {
+          readValue([...segments, index]);
+          skipWhitespace();
+          if (text[i++] === ',') continue;
+          return;
+        }
+      }
+
+      if (text[i] === '"') {
+        readString();
+        return;
+      }
+
+      while (i < text.length && !/[,\]}\s]/.test(text[i])) i++;
+    };
+
+    readValue([]);
+    return positions;
+  }
+
+  /**
+   * Find the position of the deepest located ancestor of a JSON path
+   */
+  closestPosition(positions, segments) {
+    for (let length = segments.length; length >= 0; length--) {
+      const position = positions.get(this.formatPath(segments.slice(0, length)));
+      if (position) return position;
+    }
+    return null;
+  }
+
+  // Helper methods
+
+  _issue(issues, severity, segments, message, extra = {}) {
+    issues.push({ severity, path: this.formatPath(segments), segments, message, ...extra });
+  }
+
+  _checkSchema(value, schema, segments, issues) {
+    if (schema.$ref) {
+      schema = this._resolveRef(schema.$ref);
+    }
+
+    if (schema.anyOf) {
+      const matches = schema.anyOf.some(option => {
+        const scratch = [];
+        this._checkSchema(value, option, segments, scratch);
+        return scratch.length === 0;
+      });
+      if (!matches) {
+        this._issue(issues, 'error', segments, `Value ${JSON.stringify(value)} does not match any allowed form`);
+        return;
+      }
+      // Keywords next to anyOf still apply
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      this._issue(issues, 'error', segments, `Must be one of ${schema.enum.join(', ')} (found ${JSON.stringify(value)})`);
+      return;
+    }
+
+    const actualType = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+    if (schema.type && ![].concat(schema.type).includes(actualType)) {
+      this._issue(issues, 'error', segments, `Expected ${schema.type}, found ${actualType}`);
+      return;
+    }
+
+    if (actualType === 'string') {
+      if (schema.minLength && value.length < schema.minLength) {
+        this._issue(issues, 'error', segments, 'Must not be empty');
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        this._issue(issues, 'error', segments, `"${value}" does not match ${schema.pattern}`);
+      }
+    }
+
+    if (actualType === 'array' && schema.items) {
+      value.forEach((item, i) => this._checkSchema(item, schema.items, [...segments, i], issues));
+    }
+
+    if (actualType === 'object') {
+      (schema.required || []).forEach(key => {
+        if (!(key in value)) {
+          this._issue(issues, 'error', segments, `Missing required property "${key}"`);
+        }
+      });
+
+      const properties = schema.properties || {};
+      Object.entries(value).forEach(([key, child]) => {
+        if (properties[key]) {
+          this._checkSchema(child, properties[key], [...segments, key], issues);
+        } else if (schema.additionalProperties === false) {
+          const suggestion = this._closestKey(key, Object.keys(properties));
+          this._issue(issues, 'error', [...segments, key],
+            `Unknown property "${key}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+        } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+          this._checkSchema(child, schema.additionalProperties, [...segments, key], issues);
+        }
+      });
+    }
+  }
+
+  _checkSemantics(registry, issues) {
+    const seen = new Map();
+
+    Object.entries((registry && registry.categories) || {}).forEach(([categoryName, category]) => {
+      ((category && category.capabilities) || []).forEach((capability, index) => {
+        if (!capability || typeof capability !== 'object') return;
+
+        const base = ['categories', categoryName, 'capabilities', index];
+        const extra = { capabilityId: capability.id, category: categoryName, index };
+
+        // Unique ids
+        if (capability.id) {
+          if (seen.has(capability.id)) {
+            this._issue(issues, 'error', [...base, 'id'],
+              `Duplicate capability id "${capability.id}" (first defined at ${seen.get(capability.id)})`, extra);
+          } else {
+            seen.set(capability.id, this.formatPath(base));
+          }
+        }
+
+        // Detect patterns must compile
+        (Array.isArray(capability.detectPatterns) ? capability.detectPatterns : []).forEach((pattern, i) => {
+          if (typeof pattern !== 'string') return;
+          try {
+            new RegExp(pattern, 'i');
+          } catch (error) {
+            this._issue(issues, 'error', [...base, 'detectPatterns', i], `Invalid regex: ${error.message}`, extra);
+          }
+        });
+
+        // Smoke command output patterns must compile too
+        if (capability.verify && typeof capability.verify.expect === 'string') {
+          try {
+            new RegExp(capability.verify.expect);
+          } catch (error) {
+            this._issue(issues, 'error', [...base, 'verify', 'expect'], `Invalid regex: ${error.message}`, extra);
+          }
+        }
+
+        this._checkImplementation(capability, base, issues, extra);
+      });
+    });
+
+    this._checkRelations(registry, seen, issues);
+
+    Object.entries((registry && registry.bundles) || {}).forEach(([name, bundle]) => {
+      if (!bundle || typeof bundle !== 'object' || bundle.disabled === true) return;
+
+      const members = Array.isArray(bundle.capabilities) ? bundle.capabilities : [];
+      if (members.length === 0) {
+        this._issue(issues, 'error', ['bundles', name], `Bundle "${name}" lists no capabilities`);
+      }
+      // A warning only: an overlay may disable a capability the bundle lists
+      members.forEach((id, i) => {
+        if (typeof id === 'string' && !seen.has(id)) {
+          this._issue(issues, 'warning', ['bundles', name, 'capabilities', i], `Unknown capability "${id}" in bundle "${name}"`);
+        }
+      });
+    });
+  }
+
+  /**
+   * provides / conflicts / replacedBy (see capability-relations.js). Names
+   * nothing defines are warnings, like unknown bundle members: an overlay
+   * may have disabled them.
+   */
+  _checkRelations(registry, seen, issues) {
+    const provided = new Set(seen.keys());
+    Object.values((registry && registry.categories) || {}).forEach(category => {
+      ((category && category.capabilities) || []).forEach(capability => {
+        if (capability && Array.isArray(capability.provides)) {
+          capability.provides.forEach(name => provided.add(name));
+        }
+      });
+    });
+
+    Object.entries((registry && registry.categories) || {}).forEach(([categoryName, category]) => {
+      ((category && category.capabilities) || []).forEach((capability, index) => {
+        if (!capability || typeof capability !== 'object') return;
+
+        const base = ['categories', categoryName, 'capabilities', index];
+        const extra = { capabilityId: capability.id, category: categoryName, index };
+        const provides = Array.isArray(capability.provides) ? capability.provides : [];
+
+        (Array.isArray(capability.conflicts) ? capability.conflicts : []).forEach((name, i) => {
+          if (typeof name !== 'string') return;
+          if (name === capability.id || provides.includes(name)) {
+            this._issue(issues, 'error', [...base, 'conflicts', i],
+              `Capability "${capability.id}" conflicts with "${name}", which it provides itself`, extra);
+          } else if (!provided.has(name)) {
+            this._issue(issues, 'warning', [...base, 'conflicts', i],
+              `No capability provides "${name}"`, extra);
+          }
+        });
+
+        const replacement = capability.replacedBy;
+        if (typeof replacement !== 'string') return;
+        if (replacement === capability.id) {
+          this._issue(issues, 'error', [...base, 'replacedBy'], `Capability "${capability.id}" cannot replace itself`, extra);
+        } else if (!seen.has(replacement)) {
+          this._issue(issues, 'warning', [...base, 'replacedBy'], `Unknown replacement capability "${replacement}"`, extra);
+        }
+      });
+    });
+  }
+
+  _checkImplementation(capability, base, issues, extra) {
+    const implementation = capability.implementation;
+    if (!implementation || typeof implementation !== 'object') return;
+
+    let resolution;
+    try {
+      resolution = this.resolver.resolve(capability);
+    } catch (error) {
+      this._issue(issues, 'error', [...base, 'implementation'], error.message, extra);
+      return;
+    }
+
+    if (resolution.installer === 'npm' && implementation.version && !isValidRange(implementation.version)) {
+      this._issue(issues, 'error', [...base, 'implementation', 'version'],
+        `Invalid version range "${implementation.version}"`, extra);
+    }
+
+    if (!implementation.installCommand) return;
+
+    const commandPath = [...base, 'implementation', 'installCommand'];
+    const parsed = this.resolver.parseInstallCommand(implementation.installCommand);
+
+    if (parsed.installer !== resolution.installer) {
+      this._issue(issues, 'error', commandPath,
+        `installCommand uses ${parsed.installer || 'an unknown installer'} but implementation resolves to ${resolution.installer}`, extra);
+      return;
+    }
+
+    const expected = resolution.package || resolution.repo;
+    const target = parsed.target && resolution.package
+      ? parsed.target.replace(/(.)@[^/]*$/, '$1')
+      : parsed.target;
+    if (expected && target !== expected) {
+      this._issue(issues, 'error', commandPath,
+        `installCommand targets "${parsed.target}" but implementation declares "${expected}"`, extra);
+    }
+  }
+
+  _resolveRef(ref) {
+    const parts = ref.replace(/^#\//, '').split('/');
+    return parts.reduce((node, part) => node[part], this.schema);
+  }
+
+  _closestKey(key, candidates) {
+    let best = null;
+    let bestDistance = 3;
+    candidates.forEach(candidate => {
+      const distance = this._editDistance(key.toLowerCase(), candidate.toLowerCase());
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  }
+
+  _editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      let previous = row[0];
+      row[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const current = row[j];
+        row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+        previous = current;
+      }
+    }
+    return row[b.length];
+  }
+
+  _lineColumn(text, index) {
+    const before = text.slice(0, index).split('\n');
+    return { line: before.length, column: before[before.length - 1].length + 1 };
+  }
+}
+
+module.exports = RegistryValidator;
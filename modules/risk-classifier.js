@@ -0,0 +1,130 @@
+/**
+ * Risk Classifier
+ *
+ * Scores how much an install can do to the host:
+ * - installer: builtin 0, npm 1, clawhub 2, git 3 (an arbitrary repository)
+ * - needs declared in the registry: network 1, filesystem 2, exec 2
+ * - npm lifecycle scripts (preinstall, install, postinstall, prepare, or an
+ *   implicit node-gyp build) found while staging: 3
+ * A score of 4 or more is high, 2 or more medium, anything lower low.
+ * npm and git installs are staged with --ignore-scripts and inspected first,
+ * so scripts anywhere in the dependency tree count; ClawHub installs cannot be
+ * staged (see EvolutionEngineV2._installSingle).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const INSTALLER_POINTS = { builtin: 0, npm: 1, clawhub: 2, git: 3 };
+const NEED_POINTS = { network: 1, filesystem: 2, exec: 2 };
+const SCRIPT_POINTS = 3;
+const LIFECYCLE_SCRIPTS = ['preinstall', 'install', 'postinstall', 'prepare'];
+const IMPLICIT_BUILD = 'node-gyp rebuild (implicit)';
+const LEVELS = [
+  { level: 'high', min: 4 },
+  { level: 'medium', min: 2 },
+  { level: 'low', min: 0 }
+];
+
+class RiskClassifier {
+  /**
+   * Classify a capability. context.installer is the resolved installer;
+   * context.scripts is what inspect() found, when the install was staged.
+   * Returns { level, score, factors: [{ factor, points, detail }] }
+   */
+  classify(capability, context = {}) {
+    const factors = [];
+    const installer = context.installer || (capability.implementation && capability.implementation.type) || null;
+
+    if (installer in INSTALLER_POINTS) {
+      factors.push({ factor: 'installer', points: INSTALLER_POINTS[installer], detail: installer });
+    }
+
+    [...new Set(capability.needs || [])].forEach(need => {
+      if (NEED_POINTS[need]) {
+        factors.push({ factor: 'needs', points: NEED_POINTS[need], detail: need });
+      }
+    });
+
+    if (context.scripts && context.scripts.length > 0) {
+      const owners = [...new Set(context.scripts.map(script => script.package))];
+      factors.push({ factor: 'scripts', points: SCRIPT_POINTS, detail: `install scripts in ${owners.join(', ')}` });
+    }
+
+    const score = factors.reduce((sum, factor) => sum + factor.points, 0);
+    return { level: LEVELS.find(entry => score >= entry.min).level, score, factors };
+  }
+
+  /**
+   * Inspect a staged install directory: every package under node_modules/
+   * (and the directory itself when it has a package.json, whose scripts are
+   * marked own).
+   * Returns { packages, scripts: [{ package, script, command, own }], versions: { name: version } }
+   */
+  inspect(dir) {
+    const manifests = [];
+    if (fs.existsSync(path.join(dir, 'package.json'))) {
+      manifests.push(dir);
+    }
+    manifests.push(...this._packageDirs(path.join(dir, 'node_modules')));
+
+    const scripts = [];
+    const versions = {};
+    manifests.forEach(packageDir => {
+      let pkg;
+      try {
+        pkg = JSON.parse(fs.readFileSync(path.join(packageDir, 'package.json'), 'utf8'));
+      } catch (error) {
+        return;
+      }
+
+      const name = pkg.name || path.basename(packageDir);
+      const own = packageDir === dir;
+      if (!versions[name]) versions[name] = pkg.version || null;
+
+      const declared = pkg.scripts || {};
+      LIFECYCLE_SCRIPTS.forEach(script => {
+        if (declared[script]) scripts.push({ package: name, script, command: declared[script], own });
+      });
+      // npm runs "node-gyp rebuild" for a binding.gyp even without an install script
+      if (!declared.install && !declared.preinstall && fs.existsSync(path.join(packageDir, 'binding.gyp'))) {
+        scripts.push({ package: name, script: 'install', command: IMPLICIT_BUILD, own });
+      }
+    });
+
+    return { packages: manifests.length, scripts, versions };
+  }
+
+  // Helper methods
+
+  /**
+   * Package directories under a node_modules/, including scoped and nested ones
+   */
+  _packageDirs(nodeModules) {
+    let names;
+    try {
+      names = fs.readdirSync(nodeModules);
+    } catch (error) {
+      return [];
+    }
+
+    const dirs = [];
+    names.filter(name => !name.startsWith('.')).forEach(name => {
+      const full = path.join(nodeModules, name);
+      const candidates = name.startsWith('@')
+        ? fs.readdirSync(full).map(child => path.join(full, child))
+        : [full];
+
+      candidates.forEach(packageDir => {
+        if (!fs.existsSync(path.join(packageDir, 'package.json'))) return;
+        dirs.push(packageDir, ...this._packageDirs(path.join(packageDir, 'node_modules')));
+      });
+    });
+    return dirs;
+  }
+}
+
+RiskClassifier.LIFECYCLE_SCRIPTS = LIFECYCLE_SCRIPTS;
+RiskClassifier.IMPLICIT_BUILD = IMPLICIT_BUILD;
+
+module.exports = RiskClassifier;
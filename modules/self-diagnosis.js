@@ -7,11 +7,17 @@ const util = require('util');
 const execPromise = util.promisify(exec);
 const chalk = require('chalk');
 const ora = require('ora');
+const Storage = require('./storage');
+const paths = require('./paths');
 
 class SelfDiagnosisEngine {
-  constructor() {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || paths.dataDir();
+    this.storage = options.storage || new Storage();
     this.diagnosisLog = [];
     this.fixesApplied = [];
+    // How many entries of each list are already on disk
+    this.persisted = { diagnosisLog: 0, fixesApplied: 0 };
     this.knownProblems = new Map();
     this.loadKnownSolutions();
   }
@@ -272,7 +278,7 @@ class SelfDiagnosisEngine {
 
   loadKnownSolutions() {
     // Load known solutions from file or database
-    const solutionsPath = path.join(__dirname, '..', 'data', 'known-solutions.json');
+    const solutionsPath = path.join(this.dataDir, 'known-solutions.json');
     
     if (fs.existsSync(solutionsPath)) {
       try {
@@ -287,25 +293,25 @@ class SelfDiagnosisEngine {
   }
 
   saveDiagnosisLog() {
-    const logPath = path.join(__dirname, '..', 'data', 'diagnosis-log.json');
-    const logDir = path.dirname(logPath);
-    
-    if (!fs.existsSync(logDir)) {
-      fs.mkdirSync(logDir, { recursive: true });
-    }
-    
-    fs.writeFileSync(logPath, JSON.stringify(this.diagnosisLog, null, 2));
+    const logPath = path.join(this.dataDir, 'diagnosis-log.json');
+    this._appendUnsaved(logPath, 'diagnosisLog');
   }
 
   saveFixesApplied() {
-    const fixesPath = path.join(__dirname, '..', 'data', 'fixes-applied.json');
-    const fixesDir = path.dirname(fixesPath);
-    
-    if (!fs.existsSync(fixesDir)) {
-      fs.mkdirSync(fixesDir, { recursive: true });
-    }
-    
-    fs.writeFileSync(fixesPath, JSON.stringify(this.fixesApplied, null, 2));
+    const fixesPath = path.join(this.dataDir, 'fixes-applied.json');
+    this._appendUnsaved(fixesPath, 'fixesApplied');
+  }
+
+  /**
+   * Append this session's new entries to the shared log file instead of
+   * overwriting what other processes wrote
+   */
+  _appendUnsaved(filePath, listName) {
+    const unsaved = this[listName].slice(this.persisted[listName]);
+    if (unsaved.length === 0) return;
+
+    this.storage.updateJson(filePath, [], entries => (Array.isArray(entries) ? entries : []).concat(unsaved));
+    this.persisted[listName] = this[listName].length;
   }
 
   getHealthReport() {
